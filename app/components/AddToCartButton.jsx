@@ -1,4 +1,5 @@
 import {CartForm} from '@shopify/hydrogen';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
 
 /**
  * @param {{
@@ -16,8 +17,14 @@ export function AddToCartButton({
   lines,
   onClick,
 }) {
+  const localize = useLocalizePath();
+
   return (
-    <CartForm route="/cart" inputs={{lines}} action={CartForm.ACTIONS.LinesAdd}>
+    <CartForm
+      route={localize('/cart')}
+      inputs={{lines}}
+      action={CartForm.ACTIONS.LinesAdd}
+    >
       {(fetcher) => (
         <>
           <input
@@ -0,0 +1,59 @@
+import {useEffect} from 'react';
+import {useAnalytics} from '@shopify/hydrogen';
+import {
+  createBeaconSink,
+  createGtmSink,
+  createKlaviyoSink,
+  createShopifySink,
+  registerSink,
+  setConsentState,
+  setIdentity,
+  track,
+} from '~/lib/analytics';
+import {trackCartUpdate} from '~/lib/cartAnalytics';
+import {useEngagementTracking} from '~/hooks/useEngagementTracking';
+
+/**
+ * Connects the `track()` event bus to the visitor's consent state, identity
+ * and the configured sinks, and tracks engagement on every route. Must be
+ * rendered inside `<Analytics.Provider>`.
+ * @param {{
+ *   consent: RootLoader['consent'];
+ *   identity: RootLoader['identity'];
+ * }}
+ */
+export function AnalyticsBus({consent, identity}) {
+  const {publish, subscribe, customerPrivacy} = useAnalytics();
+  const {isLoggedIn, customerId, hashedEmail} = identity;
+
+  useEffect(() => {
+    setConsentState({...consent, customerPrivacy});
+  }, [consent, customerPrivacy]);
+
+  useEffect(() => {
+    setIdentity({isLoggedIn, customerId, hashedEmail});
+    // user info event for GTM/Klaviyo identify
+    track('user_data_available');
+  }, [isLoggedIn, customerId, hashedEmail]);
+
+  useEffect(() => {
+    const unregister = [
+      registerSink(createGtmSink()),
+      registerSink(createShopifySink(publish)),
+      registerSink(createKlaviyoSink()),
+      registerSink(createBeaconSink()),
+    ];
+
+    return () => unregister.forEach((fn) => fn());
+  }, [publish]);
+
+  useEffect(() => {
+    subscribe('cart_updated', trackCartUpdate);
+  }, [subscribe]);
+
+  useEngagementTracking();
+
+  return null;
+}
+
+/** @typedef {import('~/root').RootLoader} RootLoader */
@@ -0,0 +1,229 @@
+import {CartForm} from '@shopify/hydrogen';
+import {useEffect, useId, useRef, useState} from 'react';
+import {useFetcher} from 'react-router';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {
+  CART_ATTRIBUTE_FIELDS,
+  CART_NOTE_MAX_LENGTH,
+  getCartAttributeValues,
+  getMinimumDeliveryDate,
+  getMissingCartAttributes,
+  validateCartAttributes,
+  validateCartNote,
+} from '~/lib/cartAttributes';
+
+/** Fetchers of the autosaved forms, also read by the checkout button. */
+const CART_NOTE_FETCHER_KEY = 'cart-note';
+const CART_ATTRIBUTES_FETCHER_KEY = 'cart-attributes';
+
+/** Time after the last change before a form is saved. */
+const AUTOSAVE_DELAY_MS = 800;
+
+/**
+ * The order attributes and note of the cart. Each form is saved a moment
+ * after the shopper stops typing, or when it loses focus.
+ * @param {{
+ *   cart: CartApiQueryFragment;
+ *   layout: CartLayout;
+ * }}
+ */
+export function CartAttributes({cart, layout}) {
+  const values = getCartAttributeValues(cart.attributes);
+  // The aside and the cart page can both be rendered
+  const noteId = useId();
+
+  return (
+    <details className="cart-attributes" open={layout === 'page'}>
+      <summary>Order details and note</summary>
+      <div className="cart-attributes-fields">
+        <AutosaveForm
+          fetcherKey={CART_ATTRIBUTES_FETCHER_KEY}
+          action={CartForm.ACTIONS.AttributesUpdateInput}
+          validate={(formData) =>
+            Object.values(
+              validateCartAttributes(Object.fromEntries(formData)).errors,
+            )
+          }
+        >
+          {CART_ATTRIBUTE_FIELDS.map((field) => (
+            <CartAttributeField
+              key={field.key}
+              field={field}
+              defaultValue={values[field.key] ?? ''}
+            />
+          ))}
+        </AutosaveForm>
+        <AutosaveForm
+          fetcherKey={CART_NOTE_FETCHER_KEY}
+          action={CartForm.ACTIONS.NoteUpdate}
+          validate={(formData) => {
+            const error = validateCartNote(formData.get('note') ?? '');
+            return error ? [error] : [];
+          }}
+        >
+          <div className="cart-attribute">
+            <label htmlFor={noteId}>Note</label>
+            <textarea
+              id={noteId}
+              name="note"
+              rows={3}
+              maxLength={CART_NOTE_MAX_LENGTH}
+              defaultValue={cart.note ?? ''}
+            />
+          </div>
+        </AutosaveForm>
+      </div>
+    </details>
+  );
+}
+
+/**
+ * Labels of the required order attributes the cart is missing, and whether
+ * the attributes or note are being saved. Pending values count as saved so
+ * checkout is enabled as soon as a missing field is filled in.
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+export function useCartAttributesStatus(cart) {
+  const attributesFetcher = useFetcher({key: CART_ATTRIBUTES_FETCHER_KEY});
+  const noteFetcher = useFetcher({key: CART_NOTE_FETCHER_KEY});
+
+  const values = attributesFetcher.formData
+    ? Object.fromEntries(attributesFetcher.formData)
+    : getCartAttributeValues(cart?.attributes);
+
+  return {
+    missing: getMissingCartAttributes(values),
+    isSaving:
+      attributesFetcher.state !== 'idle' || noteFetcher.state !== 'idle',
+  };
+}
+
+/**
+ * @param {{
+ *   field: CartAttributeField;
+ *   defaultValue: string;
+ * }}
+ */
+function CartAttributeField({field, defaultValue}) {
+  const id = useId();
+  const label = `${field.label ?? field.key}${field.required ? ' *' : ''}`;
+
+  return (
+    <div className="cart-attribute">
+      <label htmlFor={id}>{label}</label>
+      {field.type === 'select' ? (
+        <select id={id} name={field.key} defaultValue={defaultValue}>
+          <option value="">Select…</option>
+          {field.options?.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <input
+          id={id}
+          name={field.key}
+          type={field.type === 'date' ? 'date' : 'text'}
+          min={field.type === 'date' ? getMinimumDeliveryDate() : undefined}
+          maxLength={field.maxLength}
+          defaultValue={defaultValue}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * A cart form saved on its own after changes, once its values pass the
+ * same validation the cart action applies.
+ * @param {{
+ *   fetcherKey: string;
+ *   action: string;
+ *   validate: (formData: FormData) => string[];
+ *   children: React.ReactNode;
+ * }}
+ */
+function AutosaveForm({fetcherKey, action, validate, children}) {
+  const localize = useLocalizePath();
+
+  return (
+    <CartForm fetcherKey={fetcherKey} route={localize('/cart')} action={action}>
+      {(fetcher) => (
+        <AutosaveFields fetcher={fetcher} validate={validate}>
+          {children}
+        </AutosaveFields>
+      )}
+    </CartForm>
+  );
+}
+
+/**
+ * @param {{
+ *   fetcher: FetcherWithComponents;
+ *   validate: (formData: FormData) => string[];
+ *   children: React.ReactNode;
+ * }}
+ */
+function AutosaveFields({fetcher, validate, children}) {
+  /** @type {React.MutableRefObject<ReturnType<typeof setTimeout> | null>} */
+  const timer = useRef(null);
+  const [errors, setErrors] = useState(/** @type {string[]} */ ([]));
+
+  useEffect(() => () => clearTimeout(timer.current ?? undefined), []);
+
+  /**
+   * @param {HTMLFormElement | null} form
+   */
+  function save(form) {
+    clearTimeout(timer.current ?? undefined);
+    timer.current = null;
+    if (!form) return;
+
+    const formErrors = validate(new FormData(form));
+    setErrors(formErrors);
+    if (!formErrors.length) void fetcher.submit(form);
+  }
+
+  /** @type {Array<{message: string}>} */
+  const serverErrors = fetcher.data?.errors ?? [];
+  const messages = errors.length
+    ? errors
+    : serverErrors.map((error) => error.message);
+  let status = null;
+  if (fetcher.state !== 'idle') {
+    status = 'Saving…';
+  } else if (!messages.length && fetcher.data) {
+    status = 'Saved';
+  }
+
+  return (
+    <div
+      onChange={(event) => {
+        const {form} = /** @type {HTMLInputElement} */ (event.target);
+        clearTimeout(timer.current ?? undefined);
+        timer.current = setTimeout(() => save(form), AUTOSAVE_DELAY_MS);
+      }}
+      onBlur={(event) => {
+        if (timer.current) {
+          save(/** @type {HTMLInputElement} */ (event.target).form);
+        }
+      }}
+    >
+      {children}
+      <p aria-live="polite" className="cart-attributes-status">
+        {messages.map((message) => (
+          <small className="cart-attributes-error" key={message}>
+            {message}
+          </small>
+        ))}
+        {status && <small>{status}</small>}
+      </p>
+    </div>
+  );
+}
+
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
+/** @typedef {import('~/lib/cartAttributes').CartAttributeField} CartAttributeField */
+/** @typedef {import('react-router').FetcherWithComponents} FetcherWithComponents */
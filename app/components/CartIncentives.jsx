@@ -0,0 +1,84 @@
+import {Money} from '@shopify/hydrogen';
+import {useMemo} from 'react';
+import {useRouteLoaderData} from 'react-router';
+import {
+  getCartIncentiveProgress,
+  parseCartIncentives,
+} from '~/lib/cartIncentives';
+
+/**
+ * Free shipping progress and the next "spend X, get Y" tier of the cart,
+ * configured by the shop metafield loaded with the header.
+ * @param {{cart: CartApiQueryFragment | null}}
+ */
+export function CartIncentives({cart}) {
+  /** @type {RootLoader | undefined} */
+  const rootData = useRouteLoaderData('root');
+  const value = rootData?.header?.shop.cartIncentives?.value;
+  const incentives = useMemo(() => parseCartIncentives(value), [value]);
+  const progress = getCartIncentiveProgress(incentives, cart);
+  if (!progress) return null;
+
+  const {currencyCode, freeShipping, tiers} = progress;
+  const nextTier = tiers.find((tier) => !tier.isUnlocked);
+  const unlockedTiers = tiers.filter((tier) => tier.isUnlocked);
+  if (!freeShipping && !tiers.length) return null;
+
+  return (
+    <div className="cart-incentives" aria-live="polite">
+      {freeShipping && (
+        <div className="cart-incentive">
+          <p>
+            {freeShipping.isUnlocked ? (
+              'Your order ships free!'
+            ) : (
+              <>
+                Spend{' '}
+                <IncentiveAmount
+                  amount={freeShipping.remaining}
+                  currencyCode={currencyCode}
+                />{' '}
+                more to get free shipping
+              </>
+            )}
+          </p>
+          <progress
+            aria-label="Progress towards free shipping"
+            max={1}
+            value={freeShipping.progress}
+          />
+        </div>
+      )}
+      {unlockedTiers.map((tier) => (
+        <p className="cart-incentive" key={tier.reward}>
+          You&rsquo;ve unlocked {tier.reward}!
+        </p>
+      ))}
+      {nextTier && (
+        <p className="cart-incentive">
+          Spend{' '}
+          <IncentiveAmount
+            amount={nextTier.remaining}
+            currencyCode={currencyCode}
+          />{' '}
+          more to get {nextTier.reward}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @param {{amount: number; currencyCode: CurrencyCode}}
+ */
+function IncentiveAmount({amount, currencyCode}) {
+  return (
+    <strong>
+      <Money as="span" data={{amount: amount.toFixed(2), currencyCode}} />
+    </strong>
+  );
+}
+
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CurrencyCode} CurrencyCode */
+/** @typedef {import('~/root').RootLoader} RootLoader */
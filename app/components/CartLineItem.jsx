@@ -1,12 +1,23 @@
+import {useEffect, useMemo, useRef, useState} from 'react';
 import {CartForm, Image} from '@shopify/hydrogen';
 import {useVariantUrl} from '~/lib/variants';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {isGiftLine} from '~/lib/cartIncentives';
+import {
+  getLineItemPropertyValues,
+  parseLineItemProperties,
+  validateLineItemProperties,
+} from '~/lib/lineItemProperties';
+import {SAVED_FOR_LATER_ACTIONS} from '~/lib/savedForLater';
 import {Link} from 'react-router';
 import {ProductPrice} from './ProductPrice';
 import {useAside} from './Aside';
+import {LineItemPropertyFields} from './LineItemPropertyFields';
 
 /**
- * A single line item in the cart. It displays the product image, title, price.
- * It also provides controls to update the quantity or remove the line item.
+ * A single line item in the cart. It displays the product image, title, price
+ * and properties. It also provides controls to update the quantity or
+ * properties, save the line item for later, or remove it.
  * @param {{
  *   layout: CartLayout;
  *   line: CartLine;
@@ -55,12 +66,151 @@ export function CartLineItem({layout, line}) {
             </li>
           ))}
         </ul>
-        <CartLineQuantity line={line} />
+        <CartLineProperties line={line} />
+        {isGiftLine(line) ? (
+          // Gifts are added and removed with their incentive tier
+          <small>Free gift</small>
+        ) : (
+          <CartLineQuantity line={line} />
+        )}
       </div>
     </li>
   );
 }
 
+/**
+ * Lists the properties of a line item, such as an engraving or a gift
+ * message, and lets shoppers edit those declared by its product. Private
+ * attributes, starting with `_`, aren't shown.
+ * @param {{line: CartLine}}
+ */
+function CartLineProperties({line}) {
+  const {id, merchandise, isOptimistic} = line;
+  const lineAttributes = line.attributes ?? [];
+  const propertiesValue = merchandise.product.lineItemProperties?.value;
+  const properties = useMemo(
+    () => parseLineItemProperties(propertiesValue),
+    [propertiesValue],
+  );
+  const [isEditing, setIsEditing] = useState(false);
+  const localize = useLocalizePath();
+  const [values, setValues] = useState(() =>
+    getLineItemPropertyValues(lineAttributes),
+  );
+
+  const visibleAttributes = lineAttributes.filter(
+    ({key, value}) => !key.startsWith('_') && value,
+  );
+  if (!visibleAttributes.length && !properties.length) return null;
+
+  const {attributes, errors} = validateLineItemProperties(properties, values);
+  const hasErrors = Object.keys(errors).length > 0;
+  const lines = [
+    {
+      id,
+      attributes: [
+        ...lineAttributes.filter(({key}) => key.startsWith('_')),
+        ...attributes,
+      ],
+    },
+  ];
+
+  return (
+    <div className="cart-line-properties">
+      {!isEditing && (
+        <ul>
+          {visibleAttributes.map(({key, value}) => (
+            <li key={key}>
+              <small>
+                {key}: {value}
+              </small>
+            </li>
+          ))}
+        </ul>
+      )}
+      {properties.length > 0 && !isEditing && (
+        <button
+          type="button"
+          disabled={!!isOptimistic}
+          onClick={() => {
+            setValues(getLineItemPropertyValues(lineAttributes));
+            setIsEditing(true);
+          }}
+        >
+          {visibleAttributes.length ? 'Edit details' : 'Add details'}
+        </button>
+      )}
+      {isEditing && (
+        <CartForm
+          fetcherKey={getUpdateKey([id])}
+          route={localize('/cart')}
+          action={CartForm.ACTIONS.LinesUpdate}
+          inputs={{lines}}
+        >
+          {(fetcher) => (
+            <>
+              <LineItemPropertyFields
+                properties={properties}
+                values={values}
+                errors={errors}
+                idPrefix={`cart-line-property-${id}`}
+                onChange={(key, value) =>
+                  setValues((current) => ({...current, [key]: value}))
+                }
+              />
+              <CartLinePropertiesStatus
+                fetcher={fetcher}
+                onSaved={() => setIsEditing(false)}
+              />
+              <button
+                type="submit"
+                disabled={hasErrors || fetcher.state !== 'idle'}
+              >
+                Save
+              </button>
+              &nbsp;
+              <button type="button" onClick={() => setIsEditing(false)}>
+                Cancel
+              </button>
+            </>
+          )}
+        </CartForm>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Shows the errors of the cart action, and closes the editor once the
+ * properties it submitted are saved.
+ * @param {{
+ *   fetcher: FetcherWithComponents;
+ *   onSaved: () => void;
+ * }}
+ */
+function CartLinePropertiesStatus({fetcher, onSaved}) {
+  const isSubmitting = useRef(false);
+  /** @type {Array<{message: string}>} */
+  const errors = fetcher.data?.errors ?? [];
+
+  useEffect(() => {
+    if (fetcher.state !== 'idle') {
+      isSubmitting.current = true;
+    } else if (isSubmitting.current) {
+      isSubmitting.current = false;
+      if (!fetcher.data?.errors?.length) onSaved();
+    }
+  }, [fetcher.state, fetcher.data, onSaved]);
+
+  if (fetcher.state !== 'idle') return null;
+
+  return errors.map((error) => (
+    <small className="line-item-property-error" key={error.message}>
+      {error.message}
+    </small>
+  ));
+}
+
 /**
  * Provides the controls to update the quantity of a line item in the cart.
  * These controls are disabled when the line item is new, and the server
@@ -99,6 +249,8 @@ function CartLineQuantity({line}) {
       </CartLineUpdateButton>
       &nbsp;
       <CartLineRemoveButton lineIds={[lineId]} disabled={!!isOptimistic} />
+      &nbsp;
+      <CartLineSaveForLaterButton lineId={lineId} disabled={!!isOptimistic} />
     </div>
   );
 }
@@ -113,10 +265,12 @@ function CartLineQuantity({line}) {
  * }}
  */
 function CartLineRemoveButton({lineIds, disabled}) {
+  const localize = useLocalizePath();
+
   return (
     <CartForm
       fetcherKey={getUpdateKey(lineIds)}
-      route="/cart"
+      route={localize('/cart')}
       action={CartForm.ACTIONS.LinesRemove}
       inputs={{lineIds}}
     >
@@ -127,6 +281,49 @@ function CartLineRemoveButton({lineIds, disabled}) {
   );
 }
 
+/**
+ * A button that moves a line item to the saved-for-later list, listed under
+ * the cart. Like removing it, it is disabled until the line item is added.
+ * @param {{
+ *   lineId: string;
+ *   disabled: boolean;
+ * }}
+ */
+function CartLineSaveForLaterButton({lineId, disabled}) {
+  const localize = useLocalizePath();
+
+  return (
+    <CartForm
+      fetcherKey={[SAVED_FOR_LATER_ACTIONS.SaveForLater, lineId].join('-')}
+      route={localize('/cart')}
+      action={SAVED_FOR_LATER_ACTIONS.SaveForLater}
+      inputs={{lineId}}
+    >
+      {(fetcher) => {
+        /** @type {Array<{message: string}>} */
+        const errors =
+          fetcher.state === 'idle' ? (fetcher.data?.errors ?? []) : [];
+
+        return (
+          <>
+            <button
+              disabled={disabled || fetcher.state !== 'idle'}
+              type="submit"
+            >
+              Save for later
+            </button>
+            {errors.map((error) => (
+              <small className="saved-item-error" key={error.message}>
+                {error.message}
+              </small>
+            ))}
+          </>
+        );
+      }}
+    </CartForm>
+  );
+}
+
 /**
  * @param {{
  *   children: React.ReactNode;
@@ -135,11 +332,12 @@ function CartLineRemoveButton({lineIds, disabled}) {
  */
 function CartLineUpdateButton({children, lines}) {
   const lineIds = lines.map((line) => line.id);
+  const localize = useLocalizePath();
 
   return (
     <CartForm
       fetcherKey={getUpdateKey(lineIds)}
-      route="/cart"
+      route={localize('/cart')}
       action={CartForm.ACTIONS.LinesUpdate}
       inputs={{lines}}
     >
@@ -162,6 +360,7 @@ function getUpdateKey(lineIds) {
 /** @typedef {OptimisticCartLine<CartApiQueryFragment>} CartLine */
 
 /** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineUpdateInput} CartLineUpdateInput */
+/** @typedef {import('react-router').FetcherWithComponents} FetcherWithComponents */
 /** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
 /** @typedef {import('@shopify/hydrogen').OptimisticCartLine} OptimisticCartLine */
 /** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
@@ -2,7 +2,11 @@ import {useOptimisticCart} from '@shopify/hydrogen';
 import {Link} from 'react-router';
 import {useAside} from '~/components/Aside';
 import {CartLineItem} from '~/components/CartLineItem';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {CartIncentives} from './CartIncentives';
+import {CartRecommendations} from './CartRecommendations';
 import {CartSummary} from './CartSummary';
+import {SavedForLater} from './SavedForLater';
 
 /**
  * The main cart component that displays the cart items and summary.
@@ -25,6 +29,7 @@ export function CartMain({layout, cart: originalCart}) {
     <div className={className}>
       <CartEmpty hidden={linesCount} layout={layout} />
       <div className="cart-details">
+        {cartHasItems && <CartIncentives cart={cart} />}
         <div aria-labelledby="cart-lines">
           <ul>
             {(cart?.lines?.nodes ?? []).map((line) => (
@@ -32,6 +37,8 @@ export function CartMain({layout, cart: originalCart}) {
             ))}
           </ul>
         </div>
+        {cartHasItems && <CartRecommendations cart={cart} layout={layout} />}
+        <SavedForLater layout={layout} />
         {cartHasItems && <CartSummary cart={cart} layout={layout} />}
       </div>
     </div>
@@ -46,6 +53,7 @@ export function CartMain({layout, cart: originalCart}) {
  */
 function CartEmpty({hidden = false}) {
   const {close} = useAside();
+  const localize = useLocalizePath();
   return (
     <div hidden={hidden}>
       <br />
@@ -54,7 +62,7 @@ function CartEmpty({hidden = false}) {
         started!
       </p>
       <br />
-      <Link to="/collections" onClick={close} prefetch="viewport">
+      <Link to={localize('/collections')} onClick={close} prefetch="viewport">
         Continue shopping →
       </Link>
     </div>
@@ -0,0 +1,121 @@
+import {useEffect, useMemo} from 'react';
+import {Link, useFetcher, useRouteLoaderData} from 'react-router';
+import {AddToCartButton} from '~/components/AddToCartButton';
+import {useAside} from '~/components/Aside';
+import {ProductItem} from '~/components/ProductItem';
+import {getLocaleCode} from '~/lib/i18n';
+import {parseLineItemProperties} from '~/lib/lineItemProperties';
+import {useVariantUrl} from '~/lib/variants';
+
+/**
+ * "You may also like" rail of products complementing those in the cart,
+ * those without options added with a click. Recommendations are fetched after the cart has
+ * rendered, and in the aside only once it is open, so they never delay it.
+ * @param {{
+ *   cart: CartApiQueryFragment | null;
+ *   layout: CartLayout;
+ * }}
+ */
+export function CartRecommendations({cart, layout}) {
+  const {type: asideType} = useAside();
+  /** @type {{selectedLocale?: I18nLocale} | undefined} */
+  const rootData = useRouteLoaderData('root');
+  /** @type {{load: (href: string) => Promise<void>; data?: CartRecommendationsData}} */
+  const {load, data} = useFetcher();
+  const isVisible = layout === 'page' || asideType === 'cart';
+
+  const locale = rootData?.selectedLocale;
+  const localeCode = locale ? getLocaleCode(locale) : null;
+  // Joined, so the recommendations only reload when the products change
+  const productIdsKey = (cart?.lines?.nodes ?? [])
+    .map((line) => line.merchandise.product?.id)
+    .filter(Boolean)
+    .join(',');
+  const productIds = useMemo(
+    () => [...new Set(productIdsKey.split(',').filter(Boolean))],
+    [productIdsKey],
+  );
+
+  useEffect(() => {
+    if (!isVisible || !productIds.length) return;
+
+    const params = new URLSearchParams();
+    productIds.forEach((id) => params.append('productId', id));
+    if (localeCode) params.set('locale', localeCode);
+    load(`/api/cart-recommendations?${params}`);
+  }, [load, isVisible, productIds, localeCode]);
+
+  // Hide products added from the rail until it reloads
+  const products = (data?.products ?? []).filter(
+    (product) => !productIds.includes(product.id),
+  );
+  if (!productIds.length || !products.length) return null;
+
+  return (
+    <div className="cart-recommendations">
+      <h4>You may also like</h4>
+      <div className="cart-recommendations-rail">
+        {products.map((product, index) => (
+          <CartRecommendation
+            key={product.id}
+            product={product}
+            index={index}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Products with several variants or required properties, such as an
+ * engraving, are chosen on their page instead, so the shopper never gets
+ * a variant they didn't pick.
+ * @param {{
+ *   product: CartRecommendationFragment;
+ *   index: number;
+ * }}
+ */
+function CartRecommendation({product, index}) {
+  const variant = product.selectedOrFirstAvailableVariant;
+  const productUrl = useVariantUrl(product.handle);
+  const hasRequiredProperties = parseLineItemProperties(
+    product.lineItemProperties?.value,
+  ).some((property) => property.required);
+  const canAddToCart =
+    variant && product.variantsCount?.count === 1 && !hasRequiredProperties;
+
+  return (
+    <div className="cart-recommendation">
+      <ProductItem
+        product={product}
+        loading="lazy"
+        listId="cart_recommendations"
+        listName="Cart recommendations"
+        index={index}
+      />
+      {canAddToCart ? (
+        <AddToCartButton
+          lines={[
+            {merchandiseId: variant.id, quantity: 1, selectedVariant: variant},
+          ]}
+        >
+          Add to cart
+        </AddToCartButton>
+      ) : (
+        <Link prefetch="intent" to={productUrl}>
+          Choose options
+        </Link>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @typedef {{products: CartRecommendationFragment[]}} CartRecommendationsData
+ */
+
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
+/** @typedef {import('storefrontapi.generated').CartRecommendationFragment} CartRecommendationFragment */
+/** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
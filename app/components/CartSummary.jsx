@@ -1,6 +1,10 @@
 import {CartForm, Money} from '@shopify/hydrogen';
 import {useEffect, useRef} from 'react';
 import {useFetcher} from 'react-router';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {trackAndFlush} from '~/lib/analytics';
+import {beginCheckout} from '~/lib/ga4';
+import {CartAttributes, useCartAttributesStatus} from './CartAttributes';
 
 /**
  * @param {CartSummaryProps}
@@ -24,22 +28,68 @@ export function CartSummary({cart, layout}) {
       </dl>
       <CartDiscounts discountCodes={cart?.discountCodes} />
       <CartGiftCard giftCardCodes={cart?.appliedGiftCards} />
-      <CartCheckoutActions checkoutUrl={cart?.checkoutUrl} />
+      {cart && <CartAttributes cart={cart} layout={layout} />}
+      <CartCheckoutActions cart={cart} />
     </div>
   );
 }
 
 /**
- * @param {{checkoutUrl?: string}}
+ * Checkout is a full page load on another domain, so `begin_checkout` is
+ * flushed to every sink before navigating instead of being lost on unload.
+ * It stays disabled while order attributes are missing or being saved.
+ * @param {{cart: CartSummaryProps['cart']}}
  */
-function CartCheckoutActions({checkoutUrl}) {
+function CartCheckoutActions({cart}) {
+  const {missing, isSaving} = useCartAttributesStatus(cart);
+  const checkoutUrl = cart?.checkoutUrl;
   if (!checkoutUrl) return null;
 
+  const isDisabled = missing.length > 0 || isSaving;
+
+  /**
+   * @param {React.MouseEvent<HTMLAnchorElement>} event
+   */
+  async function handleCheckoutClick(event) {
+    if (isDisabled) {
+      event.preventDefault();
+      return;
+    }
+
+    // Let the browser handle opening checkout in a new tab or window
+    if (
+      event.metaKey ||
+      event.ctrlKey ||
+      event.shiftKey ||
+      event.button !== 0
+    ) {
+      trackAndFlush('begin_checkout', beginCheckout({cart}));
+      return;
+    }
+
+    event.preventDefault();
+    await trackAndFlush('begin_checkout', beginCheckout({cart}));
+    window.location.href = checkoutUrl;
+  }
+
   return (
-    <div>
-      <a href={checkoutUrl} target="_self">
+    <div className="cart-checkout-actions">
+      <a
+        href={checkoutUrl}
+        aria-disabled={isDisabled || undefined}
+        target="_self"
+        onClick={handleCheckoutClick}
+      >
         <p>Continue to Checkout &rarr;</p>
       </a>
+      {missing.length > 0 && (
+        <p>
+          <small>
+            Fill in the required order details to continue to checkout:{' '}
+            {missing.join(', ')}
+          </small>
+        </p>
+      )}
       <br />
     </div>
   );
@@ -91,9 +141,11 @@ function CartDiscounts({discountCodes}) {
  * }}
  */
 function UpdateDiscountForm({discountCodes, children}) {
+  const localize = useLocalizePath();
+
   return (
     <CartForm
-      route="/cart"
+      route={localize('/cart')}
       action={CartForm.ACTIONS.DiscountCodesUpdate}
       inputs={{
         discountCodes: discountCodes || [],
@@ -185,10 +237,12 @@ function UpdateGiftCardForm({
   fetcherKey,
   children,
 }) {
+  const localize = useLocalizePath();
+
   return (
     <CartForm
       fetcherKey={fetcherKey}
-      route="/cart"
+      route={localize('/cart')}
       action={CartForm.ACTIONS.GiftCardCodesUpdate}
       inputs={{
         giftCardCodes: giftCardCodes || [],
@@ -212,9 +266,11 @@ function UpdateGiftCardForm({
  * }}
  */
 function RemoveGiftCardForm({giftCardId, children}) {
+  const localize = useLocalizePath();
+
   return (
     <CartForm
-      route="/cart"
+      route={localize('/cart')}
       action={CartForm.ACTIONS.GiftCardCodesRemove}
       inputs={{
         giftCardCodes: [giftCardId],
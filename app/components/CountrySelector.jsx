@@ -0,0 +1,103 @@
+import {Suspense, useId} from 'react';
+import {Await, useLocation} from 'react-router';
+import {CartForm} from '@shopify/hydrogen';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getLocaleCode, stripLocalePrefix} from '~/lib/i18n';
+
+/**
+ * Lets shoppers switch market. The choice is saved in the session and
+ * applied to the cart's buyer identity, so prices are shown in the currency
+ * of the selected country without losing the cart's contents.
+ * @param {CountrySelectorProps}
+ */
+export function CountrySelector({localization, selectedLocale}) {
+  return (
+    <Suspense>
+      <Await resolve={localization} errorElement={null}>
+        {(localization) =>
+          localization?.localization?.availableCountries.length ? (
+            <CountrySelectorForm
+              countries={localization.localization.availableCountries}
+              selectedLocale={selectedLocale}
+            />
+          ) : null
+        }
+      </Await>
+    </Suspense>
+  );
+}
+
+/**
+ * @param {{
+ *   countries: AvailableCountry[];
+ *   selectedLocale: CountrySelectorProps['selectedLocale'];
+ * }}
+ */
+function CountrySelectorForm({countries, selectedLocale}) {
+  const {pathname, search} = useLocation();
+  const selectId = useId();
+  const localize = useLocalizePath();
+
+  return (
+    <CartForm
+      route={localize('/cart')}
+      action={CartForm.ACTIONS.BuyerIdentityUpdate}
+      inputs={{}}
+    >
+      <div className="country-selector">
+        {/* The cart action adds the new locale's path prefix */}
+        <input
+          type="hidden"
+          name="redirectTo"
+          value={stripLocalePrefix(pathname) + search}
+        />
+        <label htmlFor={selectId}>Country/region</label>
+        <select
+          // Reset the selection whenever the locale changes
+          key={getLocaleCode(selectedLocale)}
+          id={selectId}
+          name="locale"
+          defaultValue={getLocaleCode(selectedLocale)}
+        >
+          {countries.map((country) => (
+            <option
+              key={country.isoCode}
+              value={getLocaleCode({
+                language: getCountryLanguage(country, selectedLocale.language),
+                country: country.isoCode,
+              })}
+            >
+              {country.name} ({country.currency.isoCode}{' '}
+              {country.currency.symbol})
+            </option>
+          ))}
+        </select>
+        <button type="submit">Update</button>
+      </div>
+    </CartForm>
+  );
+}
+
+/**
+ * Keeps the current language when the country offers it.
+ * @returns {LanguageCode}
+ * @param {AvailableCountry} country
+ * @param {LanguageCode} language
+ */
+function getCountryLanguage(country, language) {
+  const languages = country.availableLanguages.map(({isoCode}) => isoCode);
+  return languages.includes(language) ? language : (languages[0] ?? language);
+}
+
+/**
+ * @typedef {Object} CountrySelectorProps
+ * @property {Promise<LocalizationQuery | null>} localization
+ * @property {Pick<I18nLocale, 'language' | 'country'>} selectedLocale
+ */
+/**
+ * @typedef {LocalizationQuery['localization']['availableCountries'][number]} AvailableCountry
+ */
+
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
+/** @typedef {import('storefrontapi.generated').LocalizationQuery} LocalizationQuery */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').LanguageCode} LanguageCode */
@@ -0,0 +1,127 @@
+import {useEffect, useState} from 'react';
+import {Link, useFetcher, useMatches, useRouteLoaderData} from 'react-router';
+import {SearchForm} from '~/components/SearchForm';
+import {ProductItem} from '~/components/ProductItem';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getErrorPageContent, hasHydrated, reportError} from '~/lib/errors';
+import {getLocaleCode} from '~/lib/i18n';
+
+/**
+ * The page shown by error boundaries. A 404 suggests searching and popular
+ * products, a 410 explains that a cart link expired, and other errors
+ * rendered on the server show the request ID they were logged with as a
+ * reference. Errors shown in the browser are reported with the route that
+ * caught them.
+ * @param {{error: unknown}}
+ */
+export function ErrorPage({error}) {
+  const {status, title, description, detail} = getErrorPageContent(error);
+  const referenceId = useReferenceId();
+  const localize = useLocalizePath();
+  const matches = useMatches();
+  const route = matches[matches.length - 1]?.id ?? null;
+
+  useEffect(() => {
+    // Errors rendered on the server were reported there
+    if (status < 500 || !hasHydrated()) return;
+    reportError(error, {referenceId, route, status});
+  }, [error, referenceId, route, status]);
+
+  return (
+    <div className="error-page">
+      <h1>{title}</h1>
+      <p>{description}</p>
+      {status === 404 ? (
+        <>
+          <SearchForm action={localize('/search')}>
+            {({inputRef}) => (
+              <>
+                <input
+                  ref={inputRef}
+                  type="search"
+                  name="q"
+                  placeholder="Search…"
+                  aria-label="Search"
+                />
+                &nbsp;
+                <button type="submit">Search</button>
+              </>
+            )}
+          </SearchForm>
+          <PopularProducts />
+        </>
+      ) : status === 410 ? (
+        <p>
+          <Link to={localize('/cart')}>View your cart</Link> or{' '}
+          <Link to={localize('/collections/all')}>continue shopping</Link>
+        </p>
+      ) : (
+        <>
+          {referenceId && (
+            <p className="error-page-reference">
+              If the problem continues, contact us with this reference:{' '}
+              <code>{referenceId}</code>
+            </p>
+          )}
+          <p>
+            <Link to={localize('/')}>Back to the home page</Link>
+          </p>
+        </>
+      )}
+      {detail && <pre>{detail}</pre>}
+    </div>
+  );
+}
+
+/**
+ * The request ID of errors rendered on the server, which is logged with
+ * them. Errors shown after hydration have none: React Router replaces those
+ * of loaders with a generic error, so the failed request can't be told.
+ * @returns {string | null}
+ */
+function useReferenceId() {
+  /** @type {{requestId?: string} | undefined} */
+  const rootData = useRouteLoaderData('root');
+  const [referenceId] = useState(() =>
+    hasHydrated() ? null : (rootData?.requestId ?? null),
+  );
+  return referenceId;
+}
+
+function PopularProducts() {
+  /** @type {{selectedLocale?: I18nLocale} | undefined} */
+  const rootData = useRouteLoaderData('root');
+  /** @type {{load: (href: string) => Promise<void>; data?: PopularProductsData}} */
+  const {load, data} = useFetcher();
+  const locale = rootData?.selectedLocale;
+  const localeCode = locale ? getLocaleCode(locale) : null;
+
+  useEffect(() => {
+    const search = localeCode ? `?locale=${localeCode}` : '';
+    load(`/api/popular-products${search}`);
+  }, [load, localeCode]);
+
+  const products = data?.products ?? [];
+  if (!products.length) return null;
+
+  return (
+    <div className="recommended-products">
+      <h2>Popular products</h2>
+      <div className="recommended-products-grid">
+        {products.map((product, index) => (
+          <ProductItem
+            key={product.id}
+            product={product}
+            listId="popular_products"
+            listName="Popular products"
+            index={index}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** @typedef {{products: PopularProductFragment[]}} PopularProductsData */
+/** @typedef {import('storefrontapi.generated').PopularProductFragment} PopularProductFragment */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
@@ -1,10 +1,19 @@
 import {Suspense} from 'react';
 import {Await, NavLink} from 'react-router';
+import {CountrySelector} from '~/components/CountrySelector';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {stripLocalePrefix} from '~/lib/i18n';
 
 /**
  * @param {FooterProps}
  */
-export function Footer({footer: footerPromise, header, publicStoreDomain}) {
+export function Footer({
+  footer: footerPromise,
+  header,
+  localization,
+  publicStoreDomain,
+  selectedLocale,
+}) {
   return (
     <Suspense>
       <Await resolve={footerPromise}>
@@ -17,6 +26,10 @@ export function Footer({footer: footerPromise, header, publicStoreDomain}) {
                 publicStoreDomain={publicStoreDomain}
               />
             )}
+            <CountrySelector
+              localization={localization}
+              selectedLocale={selectedLocale}
+            />
           </footer>
         )}
       </Await>
@@ -32,6 +45,8 @@ export function Footer({footer: footerPromise, header, publicStoreDomain}) {
  * }}
  */
 function FooterMenu({menu, primaryDomainUrl, publicStoreDomain}) {
+  const localize = useLocalizePath();
+
   return (
     <nav className="footer-menu" role="navigation">
       {(menu || FALLBACK_FOOTER_MENU).items.map((item) => {
@@ -54,7 +69,7 @@ function FooterMenu({menu, primaryDomainUrl, publicStoreDomain}) {
             key={item.id}
             prefetch="intent"
             style={activeLinkStyle}
-            to={url}
+            to={localize(stripLocalePrefix(url))}
           >
             {item.title}
           </NavLink>
@@ -123,8 +138,11 @@ function activeLinkStyle({isActive, isPending}) {
  * @typedef {Object} FooterProps
  * @property {Promise<FooterQuery|null>} footer
  * @property {HeaderQuery} header
+ * @property {CountrySelectorProps['localization']} localization
  * @property {string} publicStoreDomain
+ * @property {CountrySelectorProps['selectedLocale']} selectedLocale
  */
 
+/** @typedef {import('~/components/CountrySelector').CountrySelectorProps} CountrySelectorProps */
 /** @typedef {import('storefrontapi.generated').FooterQuery} FooterQuery */
 /** @typedef {import('storefrontapi.generated').HeaderQuery} HeaderQuery */
@@ -2,15 +2,28 @@ import { Suspense } from 'react';
 import { Await, NavLink, useAsyncValue } from 'react-router';
 import { useAnalytics, useOptimisticCart } from '@shopify/hydrogen';
 import { useAside } from '~/components/Aside';
+import { CountrySelector } from '~/components/CountrySelector';
+import { useLocalizePath } from '~/hooks/useLocalizePath';
+import { track } from '~/lib/analytics';
+import { viewCart } from '~/lib/ga4';
+import { stripLocalePrefix } from '~/lib/i18n';
 
 /**
  * @param {HeaderProps}
  */
-export function Header({ header, isLoggedIn, cart, publicStoreDomain }) {
+export function Header({
+  header,
+  isLoggedIn,
+  cart,
+  localization,
+  publicStoreDomain,
+  selectedLocale,
+}) {
   const { shop, menu } = header;
+  const localize = useLocalizePath();
   return (
     <header className="header">
-      <NavLink prefetch="intent" to="/" style={activeLinkStyle} end>
+      <NavLink prefetch="intent" to={localize('/')} style={activeLinkStyle} end>
         <strong>{shop.name}</strong>
       </NavLink>
       <HeaderMenu
@@ -19,7 +32,12 @@ export function Header({ header, isLoggedIn, cart, publicStoreDomain }) {
         primaryDomainUrl={header.shop.primaryDomain.url}
         publicStoreDomain={publicStoreDomain}
       />
-      <HeaderCtas isLoggedIn={isLoggedIn} cart={cart} />
+      <HeaderCtas
+        isLoggedIn={isLoggedIn}
+        cart={cart}
+        localization={localization}
+        selectedLocale={selectedLocale}
+      />
     </header>
   );
 }
@@ -40,6 +58,7 @@ export function HeaderMenu({
 }) {
   const className = `header-menu-${viewport}`;
   const { close } = useAside();
+  const localize = useLocalizePath();
 
   return (
     <nav className={className} role="navigation">
@@ -49,7 +68,7 @@ export function HeaderMenu({
           onClick={close}
           prefetch="intent"
           style={activeLinkStyle}
-          to="/"
+          to={localize('/')}
         >
           Home
         </NavLink>
@@ -72,7 +91,7 @@ export function HeaderMenu({
             onClick={close}
             prefetch="intent"
             style={activeLinkStyle}
-            to={url}
+            to={url.startsWith('/') ? localize(stripLocalePrefix(url)) : url}
           >
             {item.title}
           </NavLink>
@@ -83,13 +102,21 @@ export function HeaderMenu({
 }
 
 /**
- * @param {Pick<HeaderProps, 'isLoggedIn' | 'cart'>}
+ * @param {Pick<
+ *   HeaderProps,
+ *   'isLoggedIn' | 'cart' | 'localization' | 'selectedLocale'
+ * >}
  */
-function HeaderCtas({ isLoggedIn, cart }) {
+function HeaderCtas({ isLoggedIn, cart, localization, selectedLocale }) {
+  const localize = useLocalizePath();
   return (
     <nav className="header-ctas" role="navigation">
       <HeaderMenuMobileToggle />
-      <NavLink prefetch="intent" to="/account" style={activeLinkStyle}>
+      <NavLink
+        prefetch="intent"
+        to={localize('/account')}
+        style={activeLinkStyle}
+      >
         <Suspense fallback="Sign in">
           <Await resolve={isLoggedIn} errorElement="Sign in">
             {(isLoggedIn) => (isLoggedIn ? 'Account' : 'Sign in')}
@@ -97,6 +124,10 @@ function HeaderCtas({ isLoggedIn, cart }) {
         </Suspense>
       </NavLink>
       <SearchToggle />
+      <CountrySelector
+        localization={localization}
+        selectedLocale={selectedLocale}
+      />
       <CartToggle cart={cart} />
     </nav>
   );
@@ -129,10 +160,11 @@ function SearchToggle() {
 function CartBadge({ count }) {
   const { open } = useAside();
   const { publish, shop, cart, prevCart } = useAnalytics();
+  const localize = useLocalizePath();
 
   return (
     <a
-      href="/cart"
+      href={localize('/cart')}
       onClick={(e) => {
         e.preventDefault();
         open('cart');
@@ -142,6 +174,7 @@ function CartBadge({ count }) {
           shop,
           url: window.location.href || '',
         });
+        if (cart) track('view_cart', viewCart({ cart }));
       }}
     >
       Cart {count === null ? <span>&nbsp;</span> : count}
@@ -229,9 +262,12 @@ function activeLinkStyle({ isActive, isPending }) {
  * @property {HeaderQuery} header
  * @property {Promise<CartApiQueryFragment|null>} cart
  * @property {Promise<boolean>} isLoggedIn
+ * @property {CountrySelectorProps['localization']} localization
  * @property {string} publicStoreDomain
+ * @property {CountrySelectorProps['selectedLocale']} selectedLocale
  */
 
 /** @typedef {import('@shopify/hydrogen').CartViewPayload} CartViewPayload */
+/** @typedef {import('~/components/CountrySelector').CountrySelectorProps} CountrySelectorProps */
 /** @typedef {import('storefrontapi.generated').HeaderQuery} HeaderQuery */
 /** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
@@ -0,0 +1,94 @@
+import {CHECKBOX_VALUE} from '~/lib/lineItemProperties';
+
+/**
+ * Inputs for the line item properties declared by a product, used by the
+ * product form and to edit the properties of a cart line.
+ * @param {{
+ *   properties: LineItemProperty[];
+ *   values: Record<string, string | boolean>;
+ *   errors: Record<string, string>;
+ *   idPrefix: string;
+ *   onChange: (key: string, value: string | boolean) => void;
+ *   onBlur?: (key: string) => void;
+ * }}
+ */
+export function LineItemPropertyFields({
+  properties,
+  values,
+  errors,
+  idPrefix,
+  onChange,
+  onBlur,
+}) {
+  return (
+    <div className="line-item-properties">
+      {properties.map((property, index) => {
+        // Keys can contain spaces, which IDs can't
+        const id = `${idPrefix}-${index}`;
+        const error = errors[property.key];
+        const value = values[property.key];
+        // Unnamed, so `CartForm` doesn't submit them as inputs of its own
+        const inputProps = {
+          id,
+          required: property.required,
+          'aria-invalid': error ? true : undefined,
+          'aria-describedby': error ? `${id}-error` : undefined,
+          onBlur: () => onBlur?.(property.key),
+        };
+
+        return (
+          <div className="line-item-property" key={property.key}>
+            {property.type === 'checkbox' ? (
+              <label htmlFor={id}>
+                <input
+                  {...inputProps}
+                  type="checkbox"
+                  checked={value === true || value === CHECKBOX_VALUE}
+                  onChange={(event) =>
+                    onChange(property.key, event.target.checked)
+                  }
+                />{' '}
+                {property.label}
+              </label>
+            ) : (
+              <>
+                <label htmlFor={id}>
+                  {property.label}
+                  {property.required ? ' *' : ''}
+                </label>
+                {property.type === 'textarea' ? (
+                  <textarea
+                    {...inputProps}
+                    rows={3}
+                    maxLength={property.maxLength}
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(event) =>
+                      onChange(property.key, event.target.value)
+                    }
+                  />
+                ) : (
+                  <input
+                    {...inputProps}
+                    type="text"
+                    maxLength={property.maxLength}
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(event) =>
+                      onChange(property.key, event.target.value)
+                    }
+                  />
+                )}
+              </>
+            )}
+            {error && (
+              <small className="line-item-property-error" id={`${id}-error`}>
+                {error}
+              </small>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/** @typedef {import('~/lib/lineItemProperties').LineItemProperty} LineItemProperty */
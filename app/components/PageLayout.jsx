@@ -9,6 +9,8 @@ import {
   SearchFormPredictive,
 } from '~/components/SearchFormPredictive';
 import {SearchResultsPredictive} from '~/components/SearchResultsPredictive';
+import {SEARCH_SOURCES} from '~/lib/searchAnalytics';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
 
 /**
  * @param {PageLayoutProps}
@@ -19,7 +21,9 @@ export function PageLayout({
   footer,
   header,
   isLoggedIn,
+  localization,
   publicStoreDomain,
+  selectedLocale,
 }) {
   return (
     <Aside.Provider>
@@ -31,14 +35,18 @@ export function PageLayout({
           header={header}
           cart={cart}
           isLoggedIn={isLoggedIn}
+          localization={localization}
           publicStoreDomain={publicStoreDomain}
+          selectedLocale={selectedLocale}
         />
       )}
       <main>{children}</main>
       <Footer
         footer={footer}
         header={header}
+        localization={localization}
         publicStoreDomain={publicStoreDomain}
+        selectedLocale={selectedLocale}
       />
     </Aside.Provider>
   );
@@ -63,6 +71,7 @@ function CartAside({cart}) {
 
 function SearchAside() {
   const queriesDatalistId = useId();
+  const localize = useLocalizePath();
   return (
     <Aside type="search" heading="SEARCH">
       <div className="predictive-search">
@@ -126,7 +135,8 @@ function SearchAside() {
                 {term.current && total ? (
                   <Link
                     onClick={closeSearch}
-                    to={`${SEARCH_ENDPOINT}?q=${term.current}`}
+                    to={`${localize(SEARCH_ENDPOINT)}?q=${term.current}`}
+                    state={{searchSource: SEARCH_SOURCES.PREDICTIVE_VIEW_ALL}}
                   >
                     <p>
                       View all results for <q>{term.current}</q>
@@ -171,10 +181,13 @@ function MobileMenuAside({header, publicStoreDomain}) {
  * @property {Promise<FooterQuery|null>} footer
  * @property {HeaderQuery} header
  * @property {Promise<boolean>} isLoggedIn
+ * @property {CountrySelectorProps['localization']} localization
  * @property {string} publicStoreDomain
+ * @property {CountrySelectorProps['selectedLocale']} selectedLocale
  * @property {React.ReactNode} [children]
  */
 
+/** @typedef {import('~/components/CountrySelector').CountrySelectorProps} CountrySelectorProps */
 /** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
 /** @typedef {import('storefrontapi.generated').FooterQuery} FooterQuery */
 /** @typedef {import('storefrontapi.generated').HeaderQuery} HeaderQuery */
@@ -1,53 +1,48 @@
+import { useMemo, useState } from 'react';
 import { Link, useNavigate } from 'react-router';
+import { useLocalizePath } from '~/hooks/useLocalizePath';
+import {
+  parseLineItemProperties,
+  validateLineItemProperties,
+} from '~/lib/lineItemProperties';
 import { AddToCartButton } from './AddToCartButton';
 import { useAside } from './Aside';
+import { LineItemPropertyFields } from './LineItemPropertyFields';
 
 /**
  * @param {{
  *   productOptions: MappedProductOptions[];
  *   selectedVariant: ProductFragment['selectedOrFirstAvailableVariant'];
- *   product: ProductFragment;
- *   userEmail?: string | null;
- *   userType?: string | null;
+ *   lineItemProperties?: string | null;
  * }}
  */
 export function ProductForm({
   productOptions,
   selectedVariant,
-  product,
-  userEmail,
-  userType,
+  lineItemProperties,
 }) {
   const navigate = useNavigate();
+  const localize = useLocalizePath();
   const { open } = useAside();
 
-  const effectiveUserType =
-    userType || (userEmail ? 'logged_in' : 'visitor');
+  // Engraving, gift messages and other properties declared by the product,
+  // validated again by the cart action
+  const properties = useMemo(
+    () => parseLineItemProperties(lineItemProperties),
+    [lineItemProperties],
+  );
+  const [propertyValues, setPropertyValues] = useState({});
+  const [touchedProperties, setTouchedProperties] = useState({});
+  const { attributes, errors: propertyErrors } = validateLineItemProperties(
+    properties,
+    propertyValues,
+  );
+  const hasPropertyErrors = Object.keys(propertyErrors).length > 0;
 
+  // add_to_cart is tracked once the cart confirms the new line, see
+  // `trackCartUpdate` in ~/lib/cartAnalytics
   const handleAddToCartClick = () => {
-    // Open the cart aside as before
     open('cart');
-
-    // Push add_to_cart event to dataLayer for GTM / Klaviyo
-    if (typeof window !== 'undefined' && window.dataLayer && selectedVariant) {
-      window.dataLayer.push({
-        event: 'add_to_cart',
-        user_email: userEmail || null,
-        user_type: effectiveUserType,
-        page_type: 'product',
-        product_id: product?.id ?? null,
-        product_title:
-          product?.title || selectedVariant?.product?.title || '',
-        product_handle:
-          product?.handle || selectedVariant?.product?.handle || '',
-        product_vendor: product?.vendor || '',
-        variant_id: selectedVariant?.id || null,
-        variant_title: selectedVariant?.title || '',
-        quantity: 1,
-        price: selectedVariant?.price?.amount ?? null,
-        currency: selectedVariant?.price?.currencyCode ?? null,
-      });
-    }
   };
 
   return (
@@ -82,7 +77,7 @@ export function ProductForm({
                       prefetch="intent"
                       preventScrollReset
                       replace
-                      to={`/products/${handle}?${variantUriQuery}`}
+                      to={localize(`/products/${handle}?${variantUriQuery}`)}
                       style={{
                         border: selected
                           ? '1px solid black'
@@ -127,8 +122,31 @@ export function ProductForm({
           </div>
         );
       })}
+      {properties.length > 0 && (
+        <LineItemPropertyFields
+          properties={properties}
+          values={propertyValues}
+          errors={Object.fromEntries(
+            Object.entries(propertyErrors).filter(
+              ([key]) => touchedProperties[key],
+            ),
+          )}
+          idPrefix="product-property"
+          onChange={(key, value) => {
+            setPropertyValues((values) => ({ ...values, [key]: value }));
+            setTouchedProperties((touched) => ({ ...touched, [key]: true }));
+          }}
+          onBlur={(key) =>
+            setTouchedProperties((touched) => ({ ...touched, [key]: true }))
+          }
+        />
+      )}
       <AddToCartButton
-        disabled={!selectedVariant || !selectedVariant.availableForSale}
+        disabled={
+          !selectedVariant ||
+          !selectedVariant.availableForSale ||
+          hasPropertyErrors
+        }
         onClick={handleAddToCartClick}
         lines={
           selectedVariant
@@ -136,6 +154,7 @@ export function ProductForm({
               {
                 merchandiseId: selectedVariant.id,
                 quantity: 1,
+                attributes,
                 selectedVariant,
               },
             ]
@@ -1,18 +1,27 @@
 import {Link} from 'react-router';
 import {Image, Money} from '@shopify/hydrogen';
 import {useVariantUrl} from '~/lib/variants';
+import {useProductListTracking} from '~/hooks/useProductListTracking';
 
 /**
+ * Pass the list the item belongs to, and its position in it, to track
+ * impressions and clicks for the list.
  * @param {{
  *   product:
  *     | CollectionItemFragment
  *     | ProductItemFragment
- *     | RecommendedProductFragment;
+ *     | RecommendedProductFragment
+ *     | PopularProductFragment
+ *     | CartRecommendationFragment;
  *   loading?: 'eager' | 'lazy';
+ *   listId?: string;
+ *   listName?: string;
+ *   index?: number;
  * }}
  */
-export function ProductItem({product, loading}) {
+export function ProductItem({product, loading, listId, listName, index}) {
   const variantUrl = useVariantUrl(product.handle);
+  const tracking = useProductListTracking({product, listId, listName, index});
   const image = product.featuredImage;
   return (
     <Link
@@ -20,6 +29,7 @@ export function ProductItem({product, loading}) {
       key={product.id}
       prefetch="intent"
       to={variantUrl}
+      {...tracking}
     >
       {image && (
         <Image
@@ -41,3 +51,5 @@ export function ProductItem({product, loading}) {
 /** @typedef {import('storefrontapi.generated').ProductItemFragment} ProductItemFragment */
 /** @typedef {import('storefrontapi.generated').CollectionItemFragment} CollectionItemFragment */
 /** @typedef {import('storefrontapi.generated').RecommendedProductFragment} RecommendedProductFragment */
+/** @typedef {import('storefrontapi.generated').PopularProductFragment} PopularProductFragment */
+/** @typedef {import('storefrontapi.generated').CartRecommendationFragment} CartRecommendationFragment */
@@ -0,0 +1,200 @@
+import {CartForm, Image} from '@shopify/hydrogen';
+import {useEffect} from 'react';
+import {Link, useFetcher, useRouteLoaderData} from 'react-router';
+import {useAside} from '~/components/Aside';
+import {ProductPrice} from '~/components/ProductPrice';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getLocaleCode} from '~/lib/i18n';
+import {
+  SAVED_FOR_LATER_ACTIONS,
+  SAVED_FOR_LATER_PATH,
+} from '~/lib/savedForLater';
+import {useVariantUrl} from '~/lib/variants';
+
+/**
+ * Lines the shopper saved for later, each moved back to the cart with a
+ * click. The list is fetched once the cart renders, and in the aside only
+ * once it is open. It reloads after every cart action, so availability is
+ * checked again whenever the cart changes.
+ * @param {{layout: CartLayout}}
+ */
+export function SavedForLater({layout}) {
+  const {type: asideType} = useAside();
+  /** @type {{selectedLocale?: I18nLocale} | undefined} */
+  const rootData = useRouteLoaderData('root');
+  /** @type {{load: (href: string) => Promise<void>; data?: SavedForLaterData}} */
+  const {load, data} = useFetcher();
+  const isVisible = layout === 'page' || asideType === 'cart';
+
+  const locale = rootData?.selectedLocale;
+  const localeCode = locale ? getLocaleCode(locale) : null;
+
+  useEffect(() => {
+    if (!isVisible) return;
+
+    const params = new URLSearchParams();
+    if (localeCode) params.set('locale', localeCode);
+    load(`${SAVED_FOR_LATER_PATH}?${params}`);
+  }, [load, isVisible, localeCode]);
+
+  const items = data?.items ?? [];
+  if (!items.length) return null;
+
+  return (
+    <div className="saved-for-later">
+      <h4>Saved for later</h4>
+      <ul>
+        {items.map((item) => (
+          <SavedItem key={item.id} item={item} layout={layout} />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Variants deleted since the item was saved can only be removed.
+ * @param {{
+ *   item: SavedItemWithVariant;
+ *   layout: CartLayout;
+ * }}
+ */
+function SavedItem({item, layout}) {
+  const {variant} = item;
+  const {close} = useAside();
+  const fetcher = useFetcher();
+  const itemUrl = useVariantUrl(
+    variant?.product.handle ?? '',
+    variant?.selectedOptions,
+  );
+
+  // Hidden as soon as it is removed, and shown again if that fails
+  if (fetcher.formData) return null;
+
+  /** @type {string[]} */
+  const errors = fetcher.data?.errors ?? [];
+
+  const visibleAttributes = item.attributes.filter(
+    ({key, value}) => !key.startsWith('_') && value,
+  );
+
+  return (
+    <li className="cart-line saved-item">
+      {variant?.image && (
+        <Image
+          alt={variant.title}
+          aspectRatio="1/1"
+          data={variant.image}
+          height={100}
+          loading="lazy"
+          width={100}
+        />
+      )}
+      <div>
+        {variant ? (
+          <Link
+            prefetch="intent"
+            to={itemUrl}
+            onClick={() => {
+              if (layout === 'aside') {
+                close();
+              }
+            }}
+          >
+            <p>
+              <strong>{variant.product.title}</strong>
+            </p>
+          </Link>
+        ) : (
+          <p>
+            <strong>This product is no longer available</strong>
+          </p>
+        )}
+        {variant && <ProductPrice price={variant.price} />}
+        <ul>
+          {(variant?.selectedOptions ?? []).map((option) => (
+            <li key={option.name}>
+              <small>
+                {option.name}: {option.value}
+              </small>
+            </li>
+          ))}
+          {visibleAttributes.map(({key, value}) => (
+            <li key={key}>
+              <small>
+                {key}: {value}
+              </small>
+            </li>
+          ))}
+        </ul>
+        <small>Quantity: {item.quantity}</small>
+        <div className="saved-item-actions">
+          {variant?.availableForSale ? (
+            <MoveToCartButton itemId={item.id} />
+          ) : (
+            variant && <small>Sold out</small>
+          )}
+          <fetcher.Form method="post" action={SAVED_FOR_LATER_PATH}>
+            <input type="hidden" name="itemId" value={item.id} />
+            <button type="submit">Remove</button>
+          </fetcher.Form>
+          {errors.map((error) => (
+            <small className="saved-item-error" key={error}>
+              {error}
+            </small>
+          ))}
+        </div>
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Stock is checked again when the item is moved, in case it sold out since
+ * the list loaded.
+ * @param {{itemId: string}}
+ */
+function MoveToCartButton({itemId}) {
+  const localize = useLocalizePath();
+
+  return (
+    <CartForm
+      fetcherKey={[SAVED_FOR_LATER_ACTIONS.MoveToCart, itemId].join('-')}
+      route={localize('/cart')}
+      action={SAVED_FOR_LATER_ACTIONS.MoveToCart}
+      inputs={{itemId}}
+    >
+      {(fetcher) => {
+        /** @type {Array<{message: string}>} */
+        const errors =
+          fetcher.state === 'idle' ? (fetcher.data?.errors ?? []) : [];
+
+        return (
+          <>
+            <button type="submit" disabled={fetcher.state !== 'idle'}>
+              Move to cart
+            </button>
+            {errors.map((error) => (
+              <small className="saved-item-error" key={error.message}>
+                {error.message}
+              </small>
+            ))}
+          </>
+        );
+      }}
+    </CartForm>
+  );
+}
+
+/**
+ * @typedef {{items: SavedItemWithVariant[]}} SavedForLaterData
+ */
+/**
+ * @typedef {import('~/lib/savedForLater.server').SavedItem & {
+ *   variant: SavedVariantFragment | null;
+ * }} SavedItemWithVariant
+ */
+
+/** @typedef {import('storefrontapi.generated').SavedVariantFragment} SavedVariantFragment */
+/** @typedef {import('~/components/CartMain').CartLayout} CartLayout */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
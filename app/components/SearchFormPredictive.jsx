@@ -1,5 +1,10 @@
 import {useFetcher, useNavigate} from 'react-router';
 import React, {useRef, useEffect} from 'react';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {
+  SEARCH_SOURCES,
+  trackPredictiveSearchClick,
+} from '~/lib/searchAnalytics';
 import {useAside} from './Aside';
 
 export const SEARCH_ENDPOINT = '/search';
@@ -17,6 +22,7 @@ export function SearchFormPredictive({
   const inputRef = useRef(null);
   const navigate = useNavigate();
   const aside = useAside();
+  const searchEndpoint = useLocalizePath()(SEARCH_ENDPOINT);
 
   /** Reset the input value and blur the input */
   function resetInput(event) {
@@ -30,18 +36,48 @@ export function SearchFormPredictive({
   /** Navigate to the search page with the current input value */
   function goToSearch() {
     const term = inputRef?.current?.value;
-    void navigate(SEARCH_ENDPOINT + (term ? `?q=${term}` : ''));
+    void navigate(searchEndpoint + (term ? `?q=${term}` : ''), {
+      state: {searchSource: SEARCH_SOURCES.PREDICTIVE},
+    });
     aside.close();
   }
 
   /** Fetch search results based on the input value */
   function fetchResults(event) {
+    trackQuerySuggestionClick(event);
     void fetcher.submit(
       {q: event.target.value || '', limit: 5, predictive: true},
-      {method: 'GET', action: SEARCH_ENDPOINT},
+      {method: 'GET', action: searchEndpoint},
     );
   }
 
+  /**
+   * Picking a query suggestion from the input's datalist replaces the whole
+   * value, reported as `insertReplacementText`, or without an input type by
+   * browsers that fire a plain event.
+   * @param {React.ChangeEvent<HTMLInputElement>} event
+   */
+  function trackQuerySuggestionClick(event) {
+    if (event.type !== 'change') return;
+
+    const {inputType} = /** @type {InputEvent} */ (event.nativeEvent);
+    if (inputType && inputType !== 'insertReplacementText') return;
+
+    const queries = fetcher.data?.result?.items.queries ?? [];
+    const position = queries.findIndex(
+      (query) => query.text === event.target.value,
+    );
+    if (position === -1) return;
+
+    trackPredictiveSearchClick({
+      term: fetcher.data?.term ?? '',
+      resultType: 'query',
+      item: queries[position],
+      position,
+      result: fetcher.data?.result,
+    });
+  }
+
   // ensure the passed input has a type of search, because SearchResults
   // will select the element based on the input
   useEffect(() => {
@@ -1,6 +1,8 @@
 import {Link} from 'react-router';
 import {Image, Money, Pagination} from '@shopify/hydrogen';
 import {urlWithTrackingParams} from '~/lib/search';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {useProductListTracking} from '~/hooks/useProductListTracking';
 
 /**
  * @param {Omit<SearchResultsProps, 'error' | 'type'>}
@@ -22,6 +24,8 @@ SearchResults.Empty = SearchResultsEmpty;
  * @param {PartialSearchResult<'articles'>}
  */
 function SearchResultsArticles({term, articles}) {
+  const localize = useLocalizePath();
+
   if (!articles?.nodes.length) {
     return null;
   }
@@ -32,7 +36,7 @@ function SearchResultsArticles({term, articles}) {
       <div>
         {articles?.nodes?.map((article) => {
           const articleUrl = urlWithTrackingParams({
-            baseUrl: `/blogs/${article.handle}`,
+            baseUrl: localize(`/blogs/${article.handle}`),
             trackingParams: article.trackingParameters,
             term,
           });
@@ -55,6 +59,8 @@ function SearchResultsArticles({term, articles}) {
  * @param {PartialSearchResult<'pages'>}
  */
 function SearchResultsPages({term, pages}) {
+  const localize = useLocalizePath();
+
   if (!pages?.nodes.length) {
     return null;
   }
@@ -65,7 +71,7 @@ function SearchResultsPages({term, pages}) {
       <div>
         {pages?.nodes?.map((page) => {
           const pageUrl = urlWithTrackingParams({
-            baseUrl: `/pages/${page.handle}`,
+            baseUrl: localize(`/pages/${page.handle}`),
             trackingParams: page.trackingParameters,
             term,
           });
@@ -97,30 +103,14 @@ function SearchResultsProducts({term, products}) {
       <h2>Products</h2>
       <Pagination connection={products}>
         {({nodes, isLoading, NextLink, PreviousLink}) => {
-          const ItemsMarkup = nodes.map((product) => {
-            const productUrl = urlWithTrackingParams({
-              baseUrl: `/products/${product.handle}`,
-              trackingParams: product.trackingParameters,
-              term,
-            });
-
-            const price = product?.selectedOrFirstAvailableVariant?.price;
-            const image = product?.selectedOrFirstAvailableVariant?.image;
-
-            return (
-              <div className="search-results-item" key={product.id}>
-                <Link prefetch="intent" to={productUrl}>
-                  {image && (
-                    <Image data={image} alt={product.title} width={50} />
-                  )}
-                  <div>
-                    <p>{product.title}</p>
-                    <small>{price && <Money data={price} />}</small>
-                  </div>
-                </Link>
-              </div>
-            );
-          });
+          const ItemsMarkup = nodes.map((product, index) => (
+            <SearchResultsProduct
+              key={product.id}
+              product={product}
+              term={term}
+              index={index}
+            />
+          ));
 
           return (
             <div>
@@ -147,6 +137,44 @@ function SearchResultsProducts({term, products}) {
   );
 }
 
+/**
+ * @param {{
+ *   product: PartialSearchResult<'products'>['products']['nodes'][number];
+ *   term: string;
+ *   index: number;
+ * }}
+ */
+function SearchResultsProduct({product, term, index}) {
+  const localize = useLocalizePath();
+  const tracking = useProductListTracking({
+    product,
+    listId: 'search_results',
+    listName: 'Search Results',
+    index,
+  });
+
+  const productUrl = urlWithTrackingParams({
+    baseUrl: localize(`/products/${product.handle}`),
+    trackingParams: product.trackingParameters,
+    term,
+  });
+
+  const price = product?.selectedOrFirstAvailableVariant?.price;
+  const image = product?.selectedOrFirstAvailableVariant?.image;
+
+  return (
+    <div className="search-results-item">
+      <Link prefetch="intent" to={productUrl} {...tracking}>
+        {image && <Image data={image} alt={product.title} width={50} />}
+        <div>
+          <p>{product.title}</p>
+          <small>{price && <Money data={price} />}</small>
+        </div>
+      </Link>
+    </div>
+  );
+}
+
 function SearchResultsEmpty() {
   return <p>No results, try a different search.</p>;
 }
@@ -5,6 +5,12 @@ import {
   getEmptyPredictiveSearchResult,
   urlWithTrackingParams,
 } from '~/lib/search';
+import {
+  PREDICTIVE_SEARCH_DEBOUNCE_MS,
+  trackPredictiveSearch,
+  trackPredictiveSearchClick,
+} from '~/lib/searchAnalytics';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
 import {useAside} from './Aside';
 
 /**
@@ -55,22 +61,32 @@ SearchResultsPredictive.Empty = SearchResultsPredictiveEmpty;
  * @param {PartialPredictiveSearchResult<'articles'>}
  */
 function SearchResultsPredictiveArticles({term, articles, closeSearch}) {
+  const trackClick = usePredictiveSearchClick(term, 'article');
+  const localize = useLocalizePath();
   if (!articles.length) return null;
 
   return (
     <div className="predictive-search-result" key="articles">
       <h5>Articles</h5>
       <ul>
-        {articles.map((article) => {
+        {articles.map((article, index) => {
           const articleUrl = urlWithTrackingParams({
-            baseUrl: `/blogs/${article.blog.handle}/${article.handle}`,
+            baseUrl: localize(
+              `/blogs/${article.blog.handle}/${article.handle}`,
+            ),
             trackingParams: article.trackingParameters,
             term: term.current ?? '',
           });
 
           return (
             <li className="predictive-search-result-item" key={article.id}>
-              <Link onClick={closeSearch} to={articleUrl}>
+              <Link
+                onClick={() => {
+                  trackClick(article, index);
+                  closeSearch();
+                }}
+                to={articleUrl}
+              >
                 {article.image?.url && (
                   <Image
                     alt={article.image.altText ?? ''}
@@ -95,22 +111,30 @@ function SearchResultsPredictiveArticles({term, articles, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'collections'>}
  */
 function SearchResultsPredictiveCollections({term, collections, closeSearch}) {
+  const trackClick = usePredictiveSearchClick(term, 'collection');
+  const localize = useLocalizePath();
   if (!collections.length) return null;
 
   return (
     <div className="predictive-search-result" key="collections">
       <h5>Collections</h5>
       <ul>
-        {collections.map((collection) => {
+        {collections.map((collection, index) => {
           const collectionUrl = urlWithTrackingParams({
-            baseUrl: `/collections/${collection.handle}`,
+            baseUrl: localize(`/collections/${collection.handle}`),
             trackingParams: collection.trackingParameters,
             term: term.current,
           });
 
           return (
             <li className="predictive-search-result-item" key={collection.id}>
-              <Link onClick={closeSearch} to={collectionUrl}>
+              <Link
+                onClick={() => {
+                  trackClick(collection, index);
+                  closeSearch();
+                }}
+                to={collectionUrl}
+              >
                 {collection.image?.url && (
                   <Image
                     alt={collection.image.altText ?? ''}
@@ -135,22 +159,30 @@ function SearchResultsPredictiveCollections({term, collections, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'pages'>}
  */
 function SearchResultsPredictivePages({term, pages, closeSearch}) {
+  const trackClick = usePredictiveSearchClick(term, 'page');
+  const localize = useLocalizePath();
   if (!pages.length) return null;
 
   return (
     <div className="predictive-search-result" key="pages">
       <h5>Pages</h5>
       <ul>
-        {pages.map((page) => {
+        {pages.map((page, index) => {
           const pageUrl = urlWithTrackingParams({
-            baseUrl: `/pages/${page.handle}`,
+            baseUrl: localize(`/pages/${page.handle}`),
             trackingParams: page.trackingParameters,
             term: term.current,
           });
 
           return (
             <li className="predictive-search-result-item" key={page.id}>
-              <Link onClick={closeSearch} to={pageUrl}>
+              <Link
+                onClick={() => {
+                  trackClick(page, index);
+                  closeSearch();
+                }}
+                to={pageUrl}
+              >
                 <div>
                   <span>{page.title}</span>
                 </div>
@@ -167,15 +199,17 @@ function SearchResultsPredictivePages({term, pages, closeSearch}) {
  * @param {PartialPredictiveSearchResult<'products'>}
  */
 function SearchResultsPredictiveProducts({term, products, closeSearch}) {
+  const trackClick = usePredictiveSearchClick(term, 'product');
+  const localize = useLocalizePath();
   if (!products.length) return null;
 
   return (
     <div className="predictive-search-result" key="products">
       <h5>Products</h5>
       <ul>
-        {products.map((product) => {
+        {products.map((product, index) => {
           const productUrl = urlWithTrackingParams({
-            baseUrl: `/products/${product.handle}`,
+            baseUrl: localize(`/products/${product.handle}`),
             trackingParams: product.trackingParameters,
             term: term.current,
           });
@@ -184,7 +218,13 @@ function SearchResultsPredictiveProducts({term, products, closeSearch}) {
           const image = product?.selectedOrFirstAvailableVariant?.image;
           return (
             <li className="predictive-search-result-item" key={product.id}>
-              <Link to={productUrl} onClick={closeSearch}>
+              <Link
+                to={productUrl}
+                onClick={() => {
+                  trackClick(product, index);
+                  closeSearch();
+                }}
+              >
                 {image && (
                   <Image
                     alt={image.altText ?? ''}
@@ -266,12 +306,47 @@ function usePredictiveSearch() {
     }
   }, []);
 
+  // Track the results once typing has paused, not for every keystroke
+  useEffect(() => {
+    const searchTerm = fetcher.data?.term;
+    if (!searchTerm) return;
+
+    const timer = setTimeout(() => {
+      trackPredictiveSearch({term: searchTerm, result: fetcher.data?.result});
+    }, PREDICTIVE_SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [fetcher.data]);
+
   const {items, total} =
     fetcher?.data?.result ?? getEmptyPredictiveSearchResult();
 
   return {items, total, inputRef, term, fetcher};
 }
 
+/**
+ * Returns a function that tracks a click on a predictive search result.
+ * @param {React.MutableRefObject<string>} term
+ * @param {PredictiveResultType} resultType
+ */
+function usePredictiveSearchClick(term, resultType) {
+  const fetcher = useFetcher({key: 'search'});
+
+  /**
+   * @param {{id?: string; title?: string; text?: string}} item
+   * @param {number} position
+   */
+  return (item, position) => {
+    trackPredictiveSearchClick({
+      term: term.current,
+      resultType,
+      item,
+      position,
+      result: fetcher.data?.result,
+    });
+  };
+}
+
 /** @typedef {PredictiveSearchReturn['result']['items']} PredictiveSearchItems */
 /**
  * @typedef {{
@@ -305,3 +380,4 @@ function usePredictiveSearch() {
 
 /** @template T @typedef {import('react-router').Fetcher<T>} Fetcher */
 /** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
+/** @typedef {import('~/lib/searchAnalytics').PredictiveResultType} PredictiveResultType */
@@ -0,0 +1,47 @@
+import {useMatches, useRouteLoaderData} from 'react-router';
+import {useNonce} from '@shopify/hydrogen';
+import {DEFAULT_LOCALE, findLocale, localizePath} from '~/lib/i18n';
+import {getBreadcrumbListJsonLd, serializeJsonLd} from '~/lib/structuredData';
+
+/**
+ * Renders the JSON-LD declared by the matched routes' `handle.structuredData`
+ * and a BreadcrumbList built from their `handle.breadcrumb`, as inline
+ * scripts carrying the CSP nonce. Render it in the document `<head>`.
+ */
+export function StructuredData() {
+  const nonce = useNonce();
+  const matches = useMatches();
+  /** @type {{origin?: string} | undefined} */
+  const rootData = useRouteLoaderData('root');
+
+  const params = matches[matches.length - 1]?.params ?? {};
+  const locale = findLocale(params.locale) ?? DEFAULT_LOCALE;
+  /** @param {string} path */
+  const getUrl = (path) =>
+    (rootData?.origin ?? '') + localizePath(path, locale);
+
+  const breadcrumbs = [];
+  const schemas = [];
+  matches.forEach(({data, handle}) => {
+    /** @type {StructuredDataHandle | undefined} */
+    const routeHandle = handle;
+    breadcrumbs.push(...(routeHandle?.breadcrumb?.({data, params}) ?? []));
+
+    const schema = routeHandle?.structuredData?.({data, params, getUrl});
+    if (schema) schemas.push(schema);
+  });
+  schemas.push(getBreadcrumbListJsonLd({breadcrumbs, getUrl}));
+
+  // Each route declares a different schema type
+  return schemas.map((schema) => (
+    <script
+      key={schema['@type']}
+      type="application/ld+json"
+      nonce={nonce || undefined}
+      suppressHydrationWarning
+      dangerouslySetInnerHTML={{__html: serializeJsonLd(schema)}}
+    />
+  ));
+}
+
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
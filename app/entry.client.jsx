@@ -2,6 +2,17 @@ import { HydratedRouter } from 'react-router/dom';
 import { startTransition, StrictMode } from 'react';
 import { hydrateRoot } from 'react-dom/client';
 import { NonceProvider } from '@shopify/hydrogen';
+import { reportError } from '~/lib/errors';
+
+// Errors outside of rendering, e.g. in event handlers, aren't caught by
+// error boundaries. Errors of cross-origin scripts come without details.
+window.addEventListener('error', (event) => {
+  if (!event.error) return;
+  reportError(event.error, { referenceId: null, route: null });
+});
+window.addEventListener('unhandledrejection', (event) => {
+  reportError(event.reason, { referenceId: null, route: null });
+});
 
 if (!window.location.origin.includes('webcache.googleusercontent.com')) {
   startTransition(() => {
@@ -2,6 +2,8 @@ import { ServerRouter } from 'react-router';
 import { isbot } from 'isbot';
 import { renderToReadableStream } from 'react-dom/server';
 import { createContentSecurityPolicy } from '@shopify/hydrogen';
+import { isProductionHost, NON_PRODUCTION_ROBOTS_TAG } from '~/lib/robots';
+import { captureError } from '~/lib/errors.server';
 
 export default async function handleRequest(
   request,
@@ -99,7 +101,11 @@ export default async function handleRequest(
       nonce,
       signal: request.signal,
       onError(error) {
-        console.error(error);
+        captureError(error, {
+          logger: context.logger,
+          source: 'server',
+          path: new URL(request.url).pathname,
+        });
         responseStatusCode = 500;
       },
     },
@@ -112,11 +118,36 @@ export default async function handleRequest(
   responseHeaders.set('Content-Type', 'text/html');
   responseHeaders.set('Content-Security-Policy', header);
 
+  // Keep staging and preview deployments out of search results
+  if (!isProductionHost(request, context.env)) {
+    responseHeaders.set('X-Robots-Tag', NON_PRODUCTION_ROBOTS_TAG);
+  }
+
   return new Response(body, {
     headers: responseHeaders,
     status: responseStatusCode,
   });
 }
 
+/**
+ * Reports errors thrown by loaders and actions, with the request ID. Requests
+ * aborted by the client aren't errors.
+ * @param {unknown} error
+ * @param {{
+ *   request: Request;
+ *   params: Record<string, string | undefined>;
+ *   context: HydrogenRouterContextProvider;
+ * }}
+ */
+export function handleError(error, { request, params, context }) {
+  if (request.signal.aborted) return;
+  captureError(error, {
+    logger: context.logger,
+    source: 'server',
+    path: new URL(request.url).pathname,
+    params,
+  });
+}
+
 /** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
 /** @typedef {import('react-router').EntryContext} EntryContext */
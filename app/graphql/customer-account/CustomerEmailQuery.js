@@ -2,10 +2,10 @@
 export const CUSTOMER_EMAIL_QUERY = `#graphql
   query CustomerEmail($language: LanguageCode) @inContext(language: $language) {
     customer {
+      id
       emailAddress {
         emailAddress
       }
     }
   }
 `;
-
@@ -0,0 +1,12 @@
+// NOTE: https://shopify.dev/docs/api/customer/latest/mutations/metafieldsSet
+export const CUSTOMER_METAFIELDS_SET_MUTATION = `#graphql
+  mutation customerMetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+`;
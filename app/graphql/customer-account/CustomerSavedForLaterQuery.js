@@ -0,0 +1,15 @@
+// NOTE: https://shopify.dev/docs/api/customer/latest/queries/customer
+export const CUSTOMER_SAVED_FOR_LATER_QUERY = `#graphql
+  query CustomerSavedForLater(
+    $namespace: String!
+    $key: String!
+    $language: LanguageCode
+  ) @inContext(language: $language) {
+    customer {
+      id
+      savedForLater: metafield(namespace: $namespace, key: $key) {
+        value
+      }
+    }
+  }
+`;
@@ -0,0 +1,218 @@
+import {useEffect} from 'react';
+import {useLocation, useMatches} from 'react-router';
+import {track} from '~/lib/analytics';
+
+/** Scroll depths, in percent, reported by `scroll_depth`. */
+export const DEFAULT_SCROLL_THRESHOLDS = [25, 50, 75, 100];
+
+/**
+ * Elements reported by `section_view` the first time they are seen. The
+ * attribute value is used as the section name.
+ * @example
+ * ```jsx
+ * <div data-analytics-section="product_description">...</div>
+ * ```
+ */
+export const SECTION_ATTRIBUTE = 'data-analytics-section';
+
+/** Share of a section, or of the viewport, that must be visible. */
+const SECTION_VISIBLE_RATIO = 0.5;
+
+/** Delay before the first scroll check, for pages shorter than the viewport. */
+const INITIAL_SCROLL_CHECK_MS = 500;
+
+/**
+ * Tracks how visitors engage with each page through the analytics event bus:
+ * - `scroll_depth` once per threshold reached
+ * - `user_engagement` with the time the tab was visible, reported whenever
+ *   the tab is hidden and when leaving the page
+ * - `section_view` the first time each `[data-analytics-section]` element is
+ *   seen, including sections rendered after the page loads
+ *
+ * Tracking restarts on every client-side navigation. Every event carries
+ * `page_type` and `page_path`. The page type is taken from the `pageType`
+ * option, then the deepest route `handle.pageType`, then the route's ID.
+ * @example
+ * ```js
+ * export const handle = {pageType: 'product'};
+ * ```
+ * @param {{pageType?: string; thresholds?: number[]}} [options]
+ */
+export function useEngagementTracking({
+  pageType,
+  thresholds = DEFAULT_SCROLL_THRESHOLDS,
+} = {}) {
+  const {pathname} = useLocation();
+  const matches = useMatches();
+  const resolvedPageType = pageType ?? getPageType(matches);
+
+  // Compare thresholds by value, so inline array literals don't restart tracking
+  const thresholdsKey = thresholds.join(',');
+
+  useEffect(() => {
+    const context = {page_type: resolvedPageType, page_path: pathname};
+    const cleanups = [
+      trackScrollDepth(thresholdsKey.split(',').map(Number), context),
+      trackEngagementTime(context),
+      trackSectionViews(context),
+    ];
+
+    return () => cleanups.forEach((cleanup) => cleanup());
+  }, [pathname, resolvedPageType, thresholdsKey]);
+}
+
+/**
+ * @returns A cleanup function
+ * @param {number[]} thresholds
+ * @param {PageContext} context
+ */
+function trackScrollDepth(thresholds, context) {
+  const reached = new Set();
+
+  function handleScroll() {
+    const {scrollTop, scrollHeight, clientHeight} = document.documentElement;
+    const scrollable = scrollHeight - clientHeight;
+    const percentage =
+      scrollable > 0 ? Math.round((scrollTop / scrollable) * 100) : 100;
+
+    thresholds.forEach((threshold) => {
+      if (percentage < threshold || reached.has(threshold)) return;
+
+      reached.add(threshold);
+      track('scroll_depth', {...context, scroll_percentage: threshold});
+    });
+  }
+
+  window.addEventListener('scroll', handleScroll, {passive: true});
+  const initialCheck = setTimeout(handleScroll, INITIAL_SCROLL_CHECK_MS);
+
+  return () => {
+    clearTimeout(initialCheck);
+    window.removeEventListener('scroll', handleScroll);
+  };
+}
+
+/**
+ * Counts time only while the tab is visible. Each visible period is reported
+ * separately, so totals are the sum of `engagement_time_msec`.
+ * @returns A cleanup function
+ * @param {PageContext} context
+ */
+function trackEngagementTime(context) {
+  /** @type {number | null} */
+  let visibleSince = isVisible() ? Date.now() : null;
+
+  function report() {
+    if (visibleSince === null) return;
+
+    const engagementTime = Date.now() - visibleSince;
+    visibleSince = null;
+    if (engagementTime > 0) {
+      track('user_engagement', {
+        ...context,
+        engagement_time_msec: engagementTime,
+      });
+    }
+  }
+
+  function handleVisibilityChange() {
+    if (!isVisible()) {
+      report();
+    } else if (visibleSince === null) {
+      visibleSince = Date.now();
+    }
+  }
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  return () => {
+    report();
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+}
+
+/**
+ * @returns A cleanup function
+ * @param {PageContext} context
+ */
+function trackSectionViews(context) {
+  if (typeof IntersectionObserver === 'undefined') return () => {};
+
+  const seen = new Set();
+  const observed = new WeakSet();
+
+  const intersectionObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!isSectionVisible(entry)) return;
+
+        intersectionObserver.unobserve(entry.target);
+        const section = entry.target.getAttribute(SECTION_ATTRIBUTE);
+        if (!section || seen.has(section)) return;
+
+        seen.add(section);
+        track('section_view', {...context, section});
+      });
+    },
+    {threshold: [0, 0.25, SECTION_VISIBLE_RATIO, 0.75, 1]},
+  );
+
+  function observeSections() {
+    document.querySelectorAll(`[${SECTION_ATTRIBUTE}]`).forEach((element) => {
+      if (observed.has(element)) return;
+      observed.add(element);
+      intersectionObserver.observe(element);
+    });
+  }
+
+  // Deferred data renders sections after the page has loaded
+  const mutationObserver = new MutationObserver(observeSections);
+  mutationObserver.observe(document.body, {childList: true, subtree: true});
+  observeSections();
+
+  return () => {
+    mutationObserver.disconnect();
+    intersectionObserver.disconnect();
+  };
+}
+
+/**
+ * Sections taller than the viewport can never be half visible, so filling
+ * half of the viewport also counts.
+ * @param {IntersectionObserverEntry} entry
+ */
+function isSectionVisible(entry) {
+  if (!entry.isIntersecting) return false;
+
+  const viewportHeight = entry.rootBounds?.height ?? window.innerHeight;
+  return (
+    entry.intersectionRatio >= SECTION_VISIBLE_RATIO ||
+    entry.intersectionRect.height >= viewportHeight * SECTION_VISIBLE_RATIO
+  );
+}
+
+function isVisible() {
+  return document.visibilityState === 'visible';
+}
+
+/**
+ * @param {ReturnType<typeof useMatches>} matches
+ */
+function getPageType(matches) {
+  const match = [...matches]
+    .reverse()
+    .find((routeMatch) => routeMatch.handle?.pageType);
+  if (match) return match.handle.pageType;
+
+  // e.g. `routes/($locale).blogs.$blogHandle._index` is a `blogs` page
+  const routeId = matches[matches.length - 1]?.id ?? '';
+  const segment = routeId
+    .replace(/^routes\//, '')
+    .replace(/^\(\$locale\)\./, '')
+    .split('.')[0];
+  if (segment === '_index') return 'home';
+  if (segment === '$') return 'not_found';
+  return segment.replace(/_$/, '') || 'other';
+}
+
+/** @typedef {{page_type: string; page_path: string}} PageContext */
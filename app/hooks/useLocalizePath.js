@@ -0,0 +1,28 @@
+import {useCallback} from 'react';
+import {useRouteLoaderData} from 'react-router';
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * Prefixes storefront paths with the path prefix of the page's locale, so
+ * links, cart forms and fetchers stay in the shopper's market. Resource
+ * routes outside the `($locale)` segment, such as `/api/events`, are never
+ * localized.
+ * @example
+ * ```jsx
+ * const localize = useLocalizePath();
+ * <CartForm route={localize('/cart')} … />
+ * ```
+ * @returns {(path: string) => string}
+ */
+export function useLocalizePath() {
+  /** @type {{selectedLocale?: I18nLocale} | undefined} */
+  const rootData = useRouteLoaderData('root');
+  const pathPrefix = rootData?.selectedLocale?.pathPrefix ?? '';
+
+  return useCallback(
+    (path) => localizePath(path, {pathPrefix}),
+    [pathPrefix],
+  );
+}
+
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
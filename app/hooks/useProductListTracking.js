@@ -0,0 +1,181 @@
+import {useEffect, useRef} from 'react';
+import {useLocation} from 'react-router';
+import {track} from '~/lib/analytics';
+import {selectItem, viewItemList} from '~/lib/ga4';
+
+/** Share of a product item that must be visible to count as an impression. */
+const IMPRESSION_VISIBLE_RATIO = 0.5;
+
+/** Impressions seen within this window are sent as one `view_item_list`. */
+const IMPRESSION_BATCH_MS = 500;
+
+/** @type {IntersectionObserver | null} */
+let impressionObserver = null;
+
+/** @type {WeakMap<Element, () => void>} */
+const impressionCallbacks = new WeakMap();
+
+/** @type {Map<string, {listName: string; impressions: ProductListItem[]}>} */
+let pendingImpressions = new Map();
+
+/** @type {ReturnType<typeof setTimeout> | null} */
+let impressionTimer = null;
+
+/**
+ * Path and query string of the page view whose impressions are in
+ * `seenImpressions`, so a new search on `/search` is a new page view.
+ */
+let seenPage = '';
+
+/** `<listId> <productId>` of the impressions already sent. */
+let seenImpressions = new Set();
+
+/**
+ * Tracks a product shown in a list, like a collection grid or search results.
+ * The first time at least half of the item is visible, it is reported in a
+ * batched `view_item_list`, once per list and page view even when the item
+ * re-renders or remounts; clicking it tracks `select_item`. Spread the
+ * returned props onto the item's `<Link>`: `state` carries the list to the
+ * product page, where `useProductListContext()` reads it back.
+ * Without a `listId`, nothing is tracked.
+ * @param {ProductListItem} item
+ */
+export function useProductListTracking({product, listId, listName, index}) {
+  /** @type {React.RefObject<HTMLAnchorElement | null>} */
+  const ref = useRef(null);
+  const {pathname, search} = useLocation();
+  const page = pathname + search;
+  // Revalidations create new product objects, so the effect reads the latest
+  // item from here and only runs again for another product
+  const item = useRef({product, listName, index});
+  item.current = {product, listName, index};
+  const productId = product.id;
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!listId || !element) return;
+
+    const impressionKey = `${listId} ${productId}`;
+    if (hasSeenImpression(page, impressionKey)) return;
+
+    return observeImpression(element, () => {
+      if (hasSeenImpression(page, impressionKey)) return;
+      seenImpressions.add(impressionKey);
+      queueImpression({...item.current, listId});
+    });
+  }, [productId, listId, page]);
+
+  if (!listId) return {ref};
+
+  return {
+    ref,
+    state: {productList: {listId, listName, index}},
+    onClick: () => {
+      track('select_item', selectItem({product, listId, listName, index}));
+    },
+  };
+}
+
+/**
+ * The list the current product was selected from, when the visitor arrived
+ * from a tracked product list.
+ * @returns {ProductListContext | null}
+ */
+export function useProductListContext() {
+  const {state} = useLocation();
+  return state?.productList ?? null;
+}
+
+/**
+ * @returns A function that stops observing the element
+ * @param {Element} element
+ * @param {() => void} onImpression
+ */
+function observeImpression(element, onImpression) {
+  if (typeof IntersectionObserver === 'undefined') return () => {};
+
+  if (!impressionObserver) {
+    impressionObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+
+          impressionObserver?.unobserve(entry.target);
+          impressionCallbacks.get(entry.target)?.();
+          impressionCallbacks.delete(entry.target);
+        });
+      },
+      {threshold: IMPRESSION_VISIBLE_RATIO},
+    );
+  }
+
+  impressionCallbacks.set(element, onImpression);
+  impressionObserver.observe(element);
+
+  return () => {
+    impressionCallbacks.delete(element);
+    impressionObserver?.unobserve(element);
+  };
+}
+
+/**
+ * Impressions are forgotten on the next page view.
+ * @param {string} page Path and query string
+ * @param {string} impressionKey
+ */
+function hasSeenImpression(page, impressionKey) {
+  if (page !== seenPage) {
+    seenPage = page;
+    seenImpressions = new Set();
+  }
+  return seenImpressions.has(impressionKey);
+}
+
+/**
+ * @param {ProductListItem} item
+ */
+function queueImpression(item) {
+  const list = pendingImpressions.get(item.listId) ?? {
+    listName: item.listName,
+    impressions: [],
+  };
+  list.impressions.push(item);
+  pendingImpressions.set(item.listId, list);
+
+  if (!impressionTimer) {
+    impressionTimer = setTimeout(flushImpressions, IMPRESSION_BATCH_MS);
+  }
+}
+
+function flushImpressions() {
+  const lists = pendingImpressions;
+  pendingImpressions = new Map();
+  impressionTimer = null;
+
+  lists.forEach(({listName, impressions}, listId) => {
+    track(
+      'view_item_list',
+      viewItemList({
+        products: impressions.map(({product}) => product),
+        indexes: impressions.map(({index}) => index),
+        listId,
+        listName,
+      }),
+    );
+  });
+}
+
+/**
+ * @typedef {Object} ProductListContext
+ * @property {string} listId
+ * @property {string} listName
+ * @property {number} index Position of the product in the list
+ */
+/**
+ * @typedef {Omit<ProductListContext, 'listId'> & {
+ *   product: ProductLike;
+ *   listId?: string;
+ * }} ProductListItem
+ */
+
+/** @typedef {import('~/lib/ga4').ProductLike} ProductLike */
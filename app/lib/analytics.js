@@ -0,0 +1,432 @@
+/**
+ * Client-side analytics event bus. Routes and components call `track()`
+ * instead of pushing to `window.dataLayer` directly. Events are queued until
+ * the customer's consent is known and each registered sink is ready, then
+ * delivered once to every sink whose consent category has been granted.
+ * Events carry hashed identifiers only; the raw email is released solely to
+ * sinks in the marketing category.
+ */
+
+/**
+ * Consent categories a sink can require, mapped to the Customer Privacy API
+ * method that reports whether the visitor granted it.
+ */
+export const CONSENT_CATEGORIES = {
+  ANALYTICS: 'analyticsProcessingAllowed',
+  MARKETING: 'marketingAllowed',
+  PREFERENCES: 'preferencesProcessingAllowed',
+  SALE_OF_DATA: 'saleOfDataAllowed',
+};
+
+/** Resource route that releases the customer's raw email to marketing sinks. */
+const IDENTITY_ENDPOINT = '/api/identity';
+
+/** Resource route that forwards events server-side. */
+const EVENTS_ENDPOINT = '/api/events';
+
+/** How often the queue is retried while events are waiting for a sink. */
+const FLUSH_INTERVAL_MS = 100;
+
+/** Queued events older than this are dropped, e.g. when GTM is blocked. */
+const QUEUE_TIMEOUT_MS = 10000;
+
+/** @type {Map<string, AnalyticsSink>} */
+const sinks = new Map();
+
+/** @type {QueuedEvent[]} */
+let queue = [];
+
+/** @type {ConsentState | null} */
+let consentState = null;
+
+/** @type {CustomerIdentity | null} */
+let identity = null;
+
+/**
+ * Raw PII for marketing sinks, fetched only once marketing consent is granted.
+ * `null` while it hasn't been requested or is still loading.
+ * @type {{user_email?: string} | null}
+ */
+let pii = null;
+
+/** @type {Promise<void> | null} */
+let piiRequest = null;
+
+/** @type {ReturnType<typeof setInterval> | null} */
+let flushTimer = null;
+
+/**
+ * Queues an analytics event for delivery to every registered sink.
+ * Safe to call during SSR, where it is a no-op.
+ * @example
+ * ```js
+ * track('scroll_depth', {scroll_percentage: 50, page_type: 'product'});
+ * ```
+ * @param {TrackEventName} event
+ * @param {Record<string, unknown>} [payload]
+ */
+export function track(event, payload = {}) {
+  if (typeof window === 'undefined') return;
+
+  enqueue(event, payload);
+}
+
+/**
+ * Tracks an event that must be delivered before the page unloads, e.g. right
+ * before navigating to checkout. Resolves once every sink has received the
+ * event, or after `timeout` so a blocked sink never holds up navigation.
+ * @example
+ * ```js
+ * await trackAndFlush('begin_checkout', beginCheckout({cart}));
+ * window.location.href = cart.checkoutUrl;
+ * ```
+ * @returns {Promise<void>}
+ * @param {TrackEventName} event
+ * @param {Record<string, unknown>} [payload]
+ * @param {{timeout?: number}} [options]
+ */
+export function trackAndFlush(event, payload = {}, {timeout = 500} = {}) {
+  if (typeof window === 'undefined') return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeout);
+    enqueue(event, payload, () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Registers a sink that receives tracked events. Registering a sink with an
+ * existing name replaces it.
+ * @returns A function that unregisters the sink
+ * @param {AnalyticsSink} sink
+ */
+export function registerSink(sink) {
+  sinks.set(sink.name, sink);
+  flush();
+
+  return () => {
+    if (sinks.get(sink.name) === sink) sinks.delete(sink.name);
+    sink.dispose?.();
+  };
+}
+
+/**
+ * Stores the consent configuration from the root loader together with the
+ * Customer Privacy API instance loaded by `<Analytics.Provider>`.
+ * @param {ConsentState | null} state
+ */
+export function setConsentState(state) {
+  consentState = state;
+  flush();
+}
+
+/**
+ * Stores the privacy-safe identity resolved by the root loader. Its hashed
+ * identifiers are attached to every event tracked from now on.
+ * @param {CustomerIdentity | null} next
+ */
+export function setIdentity(next) {
+  identity = next;
+  pii = null;
+  piiRequest = null;
+  flush();
+}
+
+/**
+ * Whether the visitor granted the given consent category. Until the Customer
+ * Privacy API has loaded, consent is unknown and this returns `undefined` so
+ * events stay queued.
+ * @returns {boolean | undefined}
+ * @param {ConsentCategory} category
+ */
+export function hasConsent(category) {
+  const customerPrivacy =
+    consentState?.customerPrivacy ??
+    (typeof window !== 'undefined' ? window.Shopify?.customerPrivacy : null);
+
+  if (!customerPrivacy) return undefined;
+
+  return Boolean(customerPrivacy[category]?.());
+}
+
+/**
+ * Pushes events to the Google Tag Manager `dataLayer` once the GTM container
+ * has loaded. The previous `ecommerce` object is cleared first, as Google
+ * recommends, so items from one event don't merge into the next.
+ * @returns {AnalyticsSink}
+ */
+export function createGtmSink() {
+  return {
+    name: 'gtm',
+    consent: CONSENT_CATEGORIES.ANALYTICS,
+    isReady: () => Boolean(window.google_tag_manager && window.dataLayer),
+    send: ({event, payload}) => {
+      if ('ecommerce' in payload) window.dataLayer.push({ecommerce: null});
+      window.dataLayer.push({event, ...payload});
+    },
+  };
+}
+
+/**
+ * Forwards events to Shopify analytics as custom events, so they reach
+ * subscribers of `<Analytics.Provider>` without clashing with the standard
+ * events Hydrogen already publishes.
+ * @returns {AnalyticsSink}
+ * @param {AnalyticsContextValue['publish']} publish
+ */
+export function createShopifySink(publish) {
+  return {
+    name: 'shopify',
+    consent: CONSENT_CATEGORIES.ANALYTICS,
+    isReady: () => true,
+    send: ({event, payload}) => {
+      publish(`custom_${event}`, payload);
+    },
+  };
+}
+
+/**
+ * Tracks events with the Klaviyo onsite script once it has loaded.
+ * @returns {AnalyticsSink}
+ */
+export function createKlaviyoSink() {
+  return {
+    name: 'klaviyo',
+    consent: CONSENT_CATEGORIES.MARKETING,
+    isReady: () => Boolean(window.klaviyo),
+    send: ({event, payload}) => {
+      window.klaviyo.push(['track', event, payload]);
+    },
+  };
+}
+
+/**
+ * Batches events and sends them to `/api/events` with `navigator.sendBeacon`,
+ * which is first-party and survives page unloads, so events still reach the
+ * server when GTM is blocked. Pending events are sent when the page is hidden,
+ * and events tracked while it is hidden are sent straight away.
+ * @returns {AnalyticsSink}
+ * @param {{batchSize?: number; delay?: number}} [options]
+ */
+export function createBeaconSink({batchSize = 20, delay = 2000} = {}) {
+  /** @type {TrackedEvent[]} */
+  let buffer = [];
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+
+  function send() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (!buffer.length) return;
+
+    const body = JSON.stringify({events: buffer});
+    buffer = [];
+
+    if (!navigator.sendBeacon?.(EVENTS_ENDPOINT, body)) {
+      fetch(EVENTS_ENDPOINT, {method: 'POST', body, keepalive: true}).catch(
+        () => {},
+      );
+    }
+  }
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') send();
+  }
+
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('pagehide', send);
+
+  return {
+    name: 'beacon',
+    consent: CONSENT_CATEGORIES.ANALYTICS,
+    isReady: () => true,
+    send: ({event, payload, timestamp}) => {
+      buffer.push({event, payload, timestamp});
+
+      // The page may be unloaded without another visibility change
+      if (buffer.length >= batchSize || document.visibilityState === 'hidden') {
+        send();
+      } else if (!timer) {
+        timer = setTimeout(send, delay);
+      }
+    },
+    dispose: () => {
+      send();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', send);
+    },
+  };
+}
+
+/**
+ * @param {TrackEventName} event
+ * @param {Record<string, unknown>} payload
+ * @param {() => void} [onSettled]
+ */
+function enqueue(event, payload, onSettled) {
+  queue.push({
+    event,
+    payload: {...identityPayload(), ...payload},
+    timestamp: Date.now(),
+    delivered: new Set(),
+    onSettled,
+  });
+  flush();
+}
+
+/**
+ * Delivers queued events to every sink that is ready and allowed to receive
+ * them, then schedules a retry while anything is still pending. Sinks whose
+ * consent was declined are settled without receiving the event.
+ */
+function flush() {
+  if (typeof window === 'undefined') return;
+
+  const now = Date.now();
+
+  queue = queue.filter((entry) => {
+    for (const sink of sinks.values()) {
+      if (entry.delivered.has(sink.name)) continue;
+      if (sink.consent && hasConsent(sink.consent) === false) {
+        entry.delivered.add(sink.name);
+        continue;
+      }
+      if (!canSend(sink)) continue;
+
+      const extra = sinkPii(sink);
+      if (!extra) continue;
+
+      try {
+        sink.send({...entry, payload: {...entry.payload, ...extra}});
+      } catch (error) {
+        console.error(error);
+      }
+      entry.delivered.add(sink.name);
+    }
+
+    const pending = [...sinks.keys()].some(
+      (name) => !entry.delivered.has(name),
+    );
+    const expired = now - entry.timestamp > QUEUE_TIMEOUT_MS;
+
+    if ((pending || !sinks.size) && !expired) return true;
+
+    entry.onSettled?.();
+    return false;
+  });
+
+  if (queue.length && !flushTimer) {
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  } else if (!queue.length && flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+}
+
+/**
+ * Hashed identifiers shared with every sink.
+ */
+function identityPayload() {
+  return {
+    user_type: identity?.isLoggedIn ? 'logged_in' : 'visitor',
+    user_id: identity?.customerId ?? null,
+    user_email_sha256: identity?.hashedEmail ?? null,
+  };
+}
+
+/**
+ * Raw PII for the given sink. Only marketing sinks receive it, and only for
+ * logged-in customers; consent has already been checked by `canSend`.
+ * @returns The fields to add, or `null` while they are still loading
+ * @param {AnalyticsSink} sink
+ */
+function sinkPii(sink) {
+  if (sink.consent !== CONSENT_CATEGORIES.MARKETING || !identity?.isLoggedIn) {
+    return {};
+  }
+
+  if (!piiRequest) {
+    const requestedFor = identity;
+    piiRequest = fetch(IDENTITY_ENDPOINT, {credentials: 'same-origin'})
+      .then((response) => (response.ok ? response.json() : {}))
+      .catch(() => ({}))
+      .then(({email}) => {
+        if (identity !== requestedFor) return;
+        pii = email ? {user_email: email} : {};
+        flush();
+      });
+  }
+
+  return pii;
+}
+
+/**
+ * @param {AnalyticsSink} sink
+ */
+function canSend(sink) {
+  if (sink.consent && !hasConsent(sink.consent)) return false;
+
+  try {
+    return sink.isReady();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @typedef {(typeof CONSENT_CATEGORIES)[keyof typeof CONSENT_CATEGORIES]} ConsentCategory
+ */
+/**
+ * GA4 recommended ecommerce events, built with `~/lib/ga4`, plus the
+ * storefront's own engagement events.
+ * @typedef {'view_item'
+ *   | 'view_item_list'
+ *   | 'select_item'
+ *   | 'add_to_cart'
+ *   | 'remove_from_cart'
+ *   | 'view_cart'
+ *   | 'begin_checkout'
+ *   | 'search'
+ *   | 'search_no_results'
+ *   | 'predictive_search'
+ *   | 'predictive_search_click'
+ *   | 'cart_updated'
+ *   | 'user_data_available'
+ *   | 'scroll_depth'
+ *   | 'user_engagement'
+ *   | 'section_view'} TrackEventName
+ */
+/**
+ * @typedef {Object} TrackedEvent
+ * @property {TrackEventName} event
+ * @property {Record<string, unknown>} payload
+ * @property {number} timestamp
+ */
+/**
+ * `delivered` also holds the sinks the visitor declined.
+ * @typedef {TrackedEvent & {
+ *   delivered: Set<string>;
+ *   onSettled?: () => void;
+ * }} QueuedEvent
+ */
+/**
+ * @typedef {Object} AnalyticsSink
+ * @property {string} name Unique name, used to deliver each event only once
+ * @property {ConsentCategory | null} [consent] Consent required before the sink receives events
+ * @property {() => boolean} isReady Whether the destination has loaded
+ * @property {(event: TrackedEvent) => void} send
+ * @property {() => void} [dispose] Called when the sink is unregistered
+ */
+/**
+ * @typedef {RootLoader['consent'] & {
+ *   customerPrivacy?: CustomerPrivacy | null;
+ * }} ConsentState
+ */
+
+/** @typedef {import('@shopify/hydrogen').CustomerPrivacy} CustomerPrivacy */
+/** @typedef {import('~/lib/identity.server').CustomerIdentity} CustomerIdentity */
+/** @typedef {ReturnType<typeof import('@shopify/hydrogen').useAnalytics>} AnalyticsContextValue */
+/** @typedef {import('~/root').RootLoader} RootLoader */
@@ -0,0 +1,93 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {
+  CONSENT_CATEGORIES,
+  registerSink,
+  setConsentState,
+  trackAndFlush,
+} from '~/lib/analytics';
+
+/** @type {Array<() => void>} */
+let unregister = [];
+
+/**
+ * @param {string} name
+ * @param {ConsentCategory} consent
+ */
+function addSink(name, consent) {
+  /** @type {string[]} */
+  const events = [];
+  unregister.push(
+    registerSink({
+      name,
+      consent,
+      isReady: () => true,
+      send: ({event}) => events.push(event),
+    }),
+  );
+  return events;
+}
+
+/**
+ * @param {Partial<Record<ConsentCategory, boolean>>} granted
+ */
+function setConsent(granted) {
+  setConsentState(
+    /** @type {any} */ ({
+      customerPrivacy: Object.fromEntries(
+        Object.values(CONSENT_CATEGORIES).map((category) => [
+          category,
+          () => granted[category] ?? false,
+        ]),
+      ),
+    }),
+  );
+}
+
+/**
+ * Whether the promise settled without any timer running.
+ * @param {Promise<void>} promise
+ */
+async function isSettled(promise) {
+  let settled = false;
+  void promise.then(() => (settled = true));
+  await Promise.resolve();
+  return settled;
+}
+
+describe('trackAndFlush', () => {
+  beforeEach(() => {
+    vi.stubGlobal('window', {});
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    unregister.forEach((unregisterSink) => unregisterSink());
+    unregister = [];
+    setConsentState(null);
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('settles immediately when a sink lacks consent', async () => {
+    setConsent({[CONSENT_CATEGORIES.ANALYTICS]: true});
+    const analyticsEvents = addSink('analytics', CONSENT_CATEGORIES.ANALYTICS);
+    const marketingEvents = addSink('marketing', CONSENT_CATEGORIES.MARKETING);
+
+    expect(await isSettled(trackAndFlush('begin_checkout'))).toBe(true);
+    expect(analyticsEvents).toEqual(['begin_checkout']);
+    expect(marketingEvents).toEqual([]);
+  });
+
+  it('waits for consent until the timeout', async () => {
+    const events = addSink('analytics', CONSENT_CATEGORIES.ANALYTICS);
+
+    const promise = trackAndFlush('begin_checkout', {}, {timeout: 500});
+    expect(await isSettled(promise)).toBe(false);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(await isSettled(promise)).toBe(true);
+    expect(events).toEqual([]);
+  });
+});
+
+/** @typedef {import('~/lib/analytics').ConsentCategory} ConsentCategory */
@@ -0,0 +1,265 @@
+/**
+ * Query parameters that identify the marketing source of a visit.
+ */
+export const ATTRIBUTION_PARAMS = [
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'utm_term',
+  'utm_content',
+  'gclid',
+  'fbclid',
+  'ttclid',
+];
+
+/** Session key holding the captured attribution. */
+export const ATTRIBUTION_SESSION_KEY = 'attribution';
+
+/**
+ * Days a touch counts towards attribution, unless overridden with the
+ * `ATTRIBUTION_WINDOW_DAYS` environment variable.
+ */
+export const DEFAULT_ATTRIBUTION_WINDOW_DAYS = 30;
+
+/**
+ * Cart attributes starting with an underscore are hidden from the customer
+ * at checkout but are still available on the order and its webhooks.
+ */
+const CART_ATTRIBUTE_PREFIX = '_';
+
+/**
+ * Sites visitors come back from after paying or logging in, which are never
+ * new touches, as are their subdomains. Add hosts with the comma-separated
+ * `ATTRIBUTION_IGNORED_REFERRERS` environment variable. The checkout and
+ * shop domains are always ignored.
+ */
+const IGNORED_REFERRER_HOSTS = [
+  'shopify.com',
+  'shop.app',
+  'paypal.com',
+  'stripe.com',
+  'klarna.com',
+  'afterpay.com',
+  'affirm.com',
+];
+
+/** Cart attribute holding the first touch, serialized as JSON. */
+const FIRST_TOUCH_ATTRIBUTE = 'first_touch';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Request middleware that records the first and last marketing touch of a
+ * visitor in the session. A touch is a page load that carries UTM or click ID
+ * parameters, or that arrives from another site. The first touch is kept
+ * until it falls outside the attribution window; the last touch is replaced
+ * on every new touch. Touches older than the window are dropped.
+ * @returns {Attribution} The attribution for the current request
+ * @param {Request} request
+ * @param {AppSession} session
+ * @param {Env} env
+ */
+export function captureAttribution(request, session, env) {
+  const windowMs = getAttributionWindowDays(env) * DAY_MS;
+  const now = Date.now();
+
+  /** @type {Attribution} */
+  const stored = session.get(ATTRIBUTION_SESSION_KEY) ?? {};
+  const current = {
+    first_touch: isWithinWindow(stored.first_touch, now, windowMs)
+      ? stored.first_touch
+      : null,
+    last_touch: isWithinWindow(stored.last_touch, now, windowMs)
+      ? stored.last_touch
+      : null,
+  };
+
+  const touch = getTouch(request, env, now);
+  const next = touch
+    ? {first_touch: current.first_touch ?? touch, last_touch: touch}
+    : current;
+
+  if (!next.first_touch && !next.last_touch) {
+    if (session.has(ATTRIBUTION_SESSION_KEY)) {
+      session.unset(ATTRIBUTION_SESSION_KEY);
+    }
+  } else if (
+    touch ||
+    next.first_touch !== stored.first_touch ||
+    next.last_touch !== stored.last_touch
+  ) {
+    session.set(ATTRIBUTION_SESSION_KEY, next);
+  }
+
+  return next;
+}
+
+/**
+ * Maps attribution to hidden cart attributes. The last touch is spread over
+ * one attribute per field, e.g. `_utm_source`, and the first touch is stored
+ * as JSON in `_first_touch`.
+ * @returns {AttributeInput[]}
+ * @param {Attribution | null | undefined} attribution
+ */
+export function getAttributionAttributes(attribution) {
+  const {first_touch: firstTouch, last_touch: lastTouch} = attribution ?? {};
+  if (!firstTouch && !lastTouch) return [];
+
+  /** @type {Array<[string, string | null | undefined]>} */
+  const entries = [
+    ...Object.entries(lastTouch?.params ?? {}),
+    ['referrer', lastTouch?.referrer],
+    ['landing_page', lastTouch?.landing_page],
+    [FIRST_TOUCH_ATTRIBUTE, firstTouch ? JSON.stringify(firstTouch) : null],
+  ];
+
+  return entries
+    .filter(([, value]) => value)
+    .map(([key, value]) => ({key: CART_ATTRIBUTE_PREFIX + key, value}));
+}
+
+/**
+ * Merges attribution into a cart's existing attributes. `cartAttributesUpdate`
+ * replaces the whole list, so attributes set elsewhere are kept, while
+ * attribution from an earlier visit is replaced as a whole.
+ * @returns The merged attributes, or `null` when the cart is already up to date
+ * @param {AttributeInput[] | null | undefined} existing
+ * @param {Attribution | null | undefined} attribution
+ */
+export function mergeAttributionAttributes(existing, attribution) {
+  const attributes = getAttributionAttributes(attribution);
+  if (!attributes.length) return null;
+
+  const current = existing ?? [];
+  const others = current.filter(({key}) => !isAttributionAttribute(key));
+  const merged = [
+    ...others.map(({key, value}) => ({key, value})),
+    ...attributes,
+  ];
+
+  const isUpToDate =
+    merged.length === current.length &&
+    attributes.every(({key, value}) =>
+      current.some(
+        (attribute) => attribute.key === key && attribute.value === value,
+      ),
+    );
+
+  return isUpToDate ? null : merged;
+}
+
+/**
+ * Days a touch counts towards attribution.
+ * @param {Env} env
+ */
+export function getAttributionWindowDays(env) {
+  const days = Number(env.ATTRIBUTION_WINDOW_DAYS);
+  return Number.isFinite(days) && days > 0
+    ? days
+    : DEFAULT_ATTRIBUTION_WINDOW_DAYS;
+}
+
+/**
+ * @param {AttributionTouch | null | undefined} touch
+ * @param {number} now
+ * @param {number} windowMs
+ */
+function isWithinWindow(touch, now, windowMs) {
+  return Boolean(touch && now - touch.captured_at <= windowMs);
+}
+
+/**
+ * Only full page loads count as touches. Client-side navigations fetch
+ * `.data` URLs with the storefront itself as the referrer.
+ * @returns {AttributionTouch | null}
+ * @param {Request} request
+ * @param {Env} env
+ * @param {number} now
+ */
+function getTouch(request, env, now) {
+  if (request.method !== 'GET') return null;
+
+  const url = new URL(request.url);
+  if (url.pathname.endsWith('.data')) return null;
+
+  const params = Object.fromEntries(
+    ATTRIBUTION_PARAMS.filter((param) => url.searchParams.has(param)).map(
+      (param) => [param, url.searchParams.get(param)],
+    ),
+  );
+  const referrer = getExternalReferrer(request, url, env);
+
+  if (!Object.keys(params).length && !referrer) return null;
+
+  return {
+    params,
+    referrer,
+    landing_page: url.pathname + url.search,
+    captured_at: now,
+  };
+}
+
+/**
+ * The referring page when it belongs to another site, without its query
+ * string, which can carry personal data. Checkout, payment and login sites
+ * from `IGNORED_REFERRER_HOSTS` don't count.
+ * @returns {string | null}
+ * @param {Request} request
+ * @param {URL} url
+ * @param {Env} env
+ */
+function getExternalReferrer(request, url, env) {
+  const header = request.headers.get('Referer');
+  if (!header) return null;
+
+  let referrer;
+  try {
+    referrer = new URL(header);
+  } catch {
+    return null;
+  }
+
+  const ignoredHosts = [
+    url.hostname,
+    env.PUBLIC_CHECKOUT_DOMAIN,
+    env.PUBLIC_STORE_DOMAIN,
+    ...IGNORED_REFERRER_HOSTS,
+    ...(env.ATTRIBUTION_IGNORED_REFERRERS ?? '').split(','),
+  ]
+    .map((host) => host?.trim().toLowerCase())
+    .filter(Boolean);
+  const isIgnored = ignoredHosts.some(
+    (host) =>
+      referrer.hostname === host || referrer.hostname.endsWith(`.${host}`),
+  );
+
+  return isIgnored ? null : referrer.origin + referrer.pathname;
+}
+
+/**
+ * @param {string} key
+ */
+function isAttributionAttribute(key) {
+  return [
+    ...ATTRIBUTION_PARAMS,
+    'referrer',
+    'landing_page',
+    FIRST_TOUCH_ATTRIBUTE,
+  ].some((field) => key === CART_ATTRIBUTE_PREFIX + field);
+}
+
+/**
+ * @typedef {Object} AttributionTouch
+ * @property {Record<string, string>} params UTM and click ID parameters
+ * @property {string | null} referrer External referring page, if any
+ * @property {string} landing_page Path and query string of the landing page
+ * @property {number} captured_at
+ */
+/**
+ * @typedef {Object} Attribution
+ * @property {AttributionTouch | null} first_touch
+ * @property {AttributionTouch | null} last_touch
+ */
+
+/** @typedef {import('~/lib/session').AppSession} AppSession */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
@@ -0,0 +1,112 @@
+import {describe, expect, it} from 'vitest';
+import {
+  captureAttribution,
+  mergeAttributionAttributes,
+} from '~/lib/attribution';
+
+const TOUCH = {
+  params: {utm_source: 'newsletter', utm_medium: 'email'},
+  referrer: null,
+  landing_page: '/products/snowboard?utm_source=newsletter',
+  captured_at: 1700000000000,
+};
+
+describe('mergeAttributionAttributes', () => {
+  it('adds the last touch fields and the first touch as JSON', () => {
+    expect(
+      mergeAttributionAttributes([], {first_touch: TOUCH, last_touch: TOUCH}),
+    ).toEqual([
+      {key: '_utm_source', value: 'newsletter'},
+      {key: '_utm_medium', value: 'email'},
+      {key: '_landing_page', value: TOUCH.landing_page},
+      {key: '_first_touch', value: JSON.stringify(TOUCH)},
+    ]);
+  });
+
+  it('keeps other attributes and replaces earlier attribution', () => {
+    const merged = mergeAttributionAttributes(
+      [
+        {key: 'Gift message', value: 'Happy birthday'},
+        {key: '_utm_source', value: 'ads'},
+        {key: '_gclid', value: 'abc'},
+      ],
+      {first_touch: null, last_touch: TOUCH},
+    );
+
+    expect(merged).toEqual([
+      {key: 'Gift message', value: 'Happy birthday'},
+      {key: '_utm_source', value: 'newsletter'},
+      {key: '_utm_medium', value: 'email'},
+      {key: '_landing_page', value: TOUCH.landing_page},
+    ]);
+  });
+
+  it('returns null when the cart is up to date', () => {
+    const attribution = {first_touch: null, last_touch: TOUCH};
+    const merged = mergeAttributionAttributes([], attribution);
+
+    expect(mergeAttributionAttributes(merged, attribution)).toBeNull();
+  });
+
+  it('returns null without attribution', () => {
+    expect(
+      mergeAttributionAttributes([{key: 'note', value: 'x'}], null),
+    ).toBeNull();
+    expect(
+      mergeAttributionAttributes([], {first_touch: null, last_touch: null}),
+    ).toBeNull();
+  });
+});
+
+describe('captureAttribution', () => {
+  const env = /** @type {Env} */ ({
+    PUBLIC_CHECKOUT_DOMAIN: 'checkout.example.com',
+    PUBLIC_STORE_DOMAIN: 'example.myshopify.com',
+    ATTRIBUTION_IGNORED_REFERRERS: 'login.example.net',
+  });
+
+  /**
+   * The last touch recorded for a page load with the given referrer.
+   * @param {string} referrer
+   */
+  function captureReferrer(referrer) {
+    /** @type {Map<string, unknown>} */
+    const values = new Map();
+    const session = /** @type {any} */ ({
+      get: (key) => values.get(key),
+      set: (key, value) => values.set(key, value),
+      has: (key) => values.has(key),
+      unset: (key) => values.delete(key),
+    });
+
+    return captureAttribution(
+      new Request('https://shop.example.com/products/snowboard', {
+        headers: {Referer: referrer},
+      }),
+      session,
+      env,
+    ).last_touch;
+  }
+
+  it('records other sites as touches, without the query string', () => {
+    expect(
+      captureReferrer('https://blog.example.org/review?email=a@b.c'),
+    ).toMatchObject({
+      referrer: 'https://blog.example.org/review',
+      landing_page: '/products/snowboard',
+    });
+  });
+
+  it('ignores the storefront, checkout, payment and login sites', () => {
+    [
+      'https://shop.example.com/collections/all',
+      'https://checkout.example.com/checkouts/cn/1',
+      'https://example.myshopify.com/',
+      'https://www.paypal.com/checkoutnow',
+      'https://shop.app/pay',
+      'https://login.example.net/callback',
+    ].forEach((referrer) => {
+      expect(captureReferrer(referrer)).toBeNull();
+    });
+  });
+});
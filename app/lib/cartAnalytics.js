@@ -0,0 +1,215 @@
+import {track} from '~/lib/analytics';
+import {isGiftLine} from '~/lib/cartIncentives';
+import {addToCart, removeFromCart} from '~/lib/ga4';
+
+/**
+ * Tracks a confirmed cart mutation. `<Analytics.Provider>` publishes
+ * `cart_updated` with the previous and current cart whenever the cart's
+ * `updatedAt` changes, so this covers every `CartForm` action: lines added,
+ * quantity buttons, removals, discount codes and gift cards.
+ *
+ * Emits GA4 `add_to_cart` / `remove_from_cart` for each line whose quantity
+ * changed, followed by a `cart_updated` event describing the whole mutation.
+ * Without a previous cart, e.g. on the first load, every line would look
+ * added, so only carts created by this mutation are compared to an empty
+ * cart and nothing is tracked for others.
+ * @param {{
+ *   prevCart?: CartApiQueryFragment | null;
+ *   cart?: CartApiQueryFragment | null;
+ * }}
+ */
+export function trackCartUpdate({prevCart, cart}) {
+  if (!prevCart && !isNewCart(cart)) return;
+
+  const changes = getCartChanges(prevCart, cart);
+
+  changes.lines.forEach(({line, before, after}) => {
+    if (after > before) {
+      track('add_to_cart', addToCart({line, quantity: after - before}));
+    } else if (after < before) {
+      track(
+        'remove_from_cart',
+        removeFromCart({line, quantity: before - after}),
+      );
+    }
+  });
+
+  track('cart_updated', {
+    cart_id: cart?.id ?? prevCart?.id ?? null,
+    currency: changes.currency,
+    value_delta: changes.valueDelta,
+    lines_changed: changes.lines.map(({line, before, after}) => ({
+      line_id: line.id,
+      merchandise_id: line.merchandise.id,
+      quantity_before: before,
+      quantity_after: after,
+    })),
+    discount_codes_added: changes.discountCodes.added,
+    discount_codes_removed: changes.discountCodes.removed,
+    gift_cards_added: changes.giftCards.added,
+    gift_cards_removed: changes.giftCards.removed,
+    before: getCartState(prevCart),
+    after: getCartState(cart),
+  });
+}
+
+/**
+ * Compares two versions of a cart. Lines are matched by ID, so adding a
+ * variant that is already in the cart shows up as a quantity increase.
+ * Gift lines are added and removed by the server with their incentive tier,
+ * not by the shopper, so they are left out.
+ * @param {CartApiQueryFragment | null | undefined} prevCart
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+function getCartChanges(prevCart, cart) {
+  const prevLines = new Map(getLines(prevCart).map((line) => [line.id, line]));
+  const nextLines = new Map(getLines(cart).map((line) => [line.id, line]));
+  const lineIds = new Set([...prevLines.keys(), ...nextLines.keys()]);
+
+  const lines = [...lineIds]
+    .map((id) => {
+      const prevLine = prevLines.get(id);
+      const nextLine = nextLines.get(id);
+      return {
+        // Removed lines only exist in the previous cart
+        line: nextLine ?? prevLine,
+        before: prevLine?.quantity ?? 0,
+        after: nextLine?.quantity ?? 0,
+      };
+    })
+    .filter(({line, before, after}) => before !== after && !isGiftLine(line));
+
+  const prevCodes = getDiscountCodes(prevCart);
+  const nextCodes = getDiscountCodes(cart);
+  const prevGiftCards = getGiftCards(prevCart);
+  const nextGiftCards = getGiftCards(cart);
+
+  return {
+    lines,
+    discountCodes: {
+      // Includes codes that were rejected, with `applicable: false`
+      added: nextCodes.filter(({code}) => !hasCode(prevCodes, code)),
+      removed: prevCodes.filter(({code}) => !hasCode(nextCodes, code)),
+    },
+    giftCards: {
+      added: nextGiftCards.filter(({id}) => !hasId(prevGiftCards, id)),
+      removed: prevGiftCards.filter(({id}) => !hasId(nextGiftCards, id)),
+    },
+    currency:
+      cart?.cost?.totalAmount?.currencyCode ??
+      prevCart?.cost?.totalAmount?.currencyCode ??
+      null,
+    valueDelta: {
+      subtotal: amountDelta(
+        prevCart?.cost?.subtotalAmount,
+        cart?.cost?.subtotalAmount,
+      ),
+      total: amountDelta(prevCart?.cost?.totalAmount, cart?.cost?.totalAmount),
+    },
+  };
+}
+
+/**
+ * Whether the cart was created by the mutation being tracked. The cart
+ * action may update it again right after creating it, e.g. to add gifts.
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+function isNewCart(cart) {
+  if (!cart?.createdAt) return false;
+  const age = Date.parse(cart.updatedAt) - Date.parse(cart.createdAt);
+  return age >= 0 && age < NEW_CART_MAX_AGE_MS;
+}
+
+/** Longest a cart action takes, from creating the cart to its last update. */
+const NEW_CART_MAX_AGE_MS = 30 * 1000;
+
+/**
+ * A compact snapshot of the cart for the `before` / `after` fields.
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+function getCartState(cart) {
+  return {
+    total_quantity: cart?.totalQuantity ?? 0,
+    subtotal: toAmount(cart?.cost?.subtotalAmount),
+    total: toAmount(cart?.cost?.totalAmount),
+    lines: getLines(cart).map((line) => ({
+      line_id: line.id,
+      merchandise_id: line.merchandise.id,
+      quantity: line.quantity,
+      amount: toAmount(line.cost?.totalAmount),
+    })),
+    discount_codes: getDiscountCodes(cart),
+    gift_cards: getGiftCards(cart),
+  };
+}
+
+/**
+ * @param {CartApiQueryFragment | null | undefined} cart
+ * @returns {CartLine[]}
+ */
+function getLines(cart) {
+  return cart?.lines?.nodes ?? [];
+}
+
+/**
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+function getDiscountCodes(cart) {
+  return (cart?.discountCodes ?? []).map(({code, applicable}) => ({
+    code,
+    applicable,
+  }));
+}
+
+/**
+ * Gift cards are identified by ID and their last characters; the full code
+ * is never exposed by the Storefront API.
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+function getGiftCards(cart) {
+  return (cart?.appliedGiftCards ?? []).map(
+    ({id, lastCharacters, amountUsed}) => ({
+      id,
+      last_characters: lastCharacters,
+      amount_used: toAmount(amountUsed),
+    }),
+  );
+}
+
+/**
+ * @param {Array<{code: string}>} codes
+ * @param {string} code
+ */
+function hasCode(codes, code) {
+  return codes.some((entry) => entry.code === code);
+}
+
+/**
+ * @param {Array<{id: string}>} entries
+ * @param {string} id
+ */
+function hasId(entries, id) {
+  return entries.some((entry) => entry.id === id);
+}
+
+/**
+ * @param {MoneyV2 | null | undefined} before
+ * @param {MoneyV2 | null | undefined} after
+ */
+function amountDelta(before, after) {
+  const delta = toAmount(after) - toAmount(before);
+  return Math.round(delta * 100) / 100;
+}
+
+/**
+ * @param {MoneyV2 | null | undefined} money
+ */
+function toAmount(money) {
+  const amount = Number(money?.amount ?? 0);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/** @typedef {CartApiQueryFragment['lines']['nodes'][number]} CartLine */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').MoneyV2} MoneyV2 */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
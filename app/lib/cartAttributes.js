@@ -0,0 +1,205 @@
+/**
+ * Order attributes shoppers fill in on the cart, saved as cart attributes and
+ * shown on the order. `key` is the name of the attribute and `label`
+ * defaults to it. Text fields accept `maxLength` and a `pattern` the whole
+ * value must match, select fields only accept one of their `options`, and
+ * date fields a date from today on. Until every `required` field is saved,
+ * the cart's checkout button stays disabled, cart actions report the
+ * missing fields and cart permalinks open the cart instead of checkout.
+ * Checkout itself doesn't check them, so a checkout URL saved earlier still
+ * skips them: enforce them in a checkout validation function too when
+ * orders can't do without them.
+ * @type {CartAttributeField[]}
+ */
+export const CART_ATTRIBUTE_FIELDS = [
+  {
+    key: 'Delivery date',
+    label: 'Preferred delivery date',
+    type: 'date',
+    required: false,
+  },
+  {
+    key: 'How did you hear about us',
+    label: 'How did you hear about us?',
+    type: 'select',
+    required: true,
+    options: [
+      'Search engine',
+      'Social media',
+      'Friend or family',
+      'Podcast or blog',
+      'Other',
+    ],
+  },
+  {
+    key: 'PO number',
+    label: 'PO number (business orders)',
+    type: 'text',
+    required: false,
+    maxLength: 50,
+    pattern: '[A-Za-z0-9 ./_-]*',
+  },
+];
+
+/** Longest cart note accepted. */
+export const CART_NOTE_MAX_LENGTH = 1000;
+
+/** Longest value of a text field without a `maxLength` of its own. */
+const DEFAULT_MAX_LENGTH = 250;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validates the values entered for `CART_ATTRIBUTE_FIELDS`, keyed by field
+ * `key`, and turns them into cart attributes. Empty fields are left out,
+ * and are reported by `getMissingCartAttributes` rather than here, so a
+ * required field can be cleared while it is being edited. Used by the cart
+ * summary before saving, and again by the cart action.
+ * @returns {{attributes: AttributeInput[]; errors: Record<string, string>}}
+ * @param {Record<string, unknown>} values
+ * @param {CartAttributeField[]} [fields]
+ */
+export function validateCartAttributes(values, fields = CART_ATTRIBUTE_FIELDS) {
+  /** @type {AttributeInput[]} */
+  const attributes = [];
+  /** @type {Record<string, string>} */
+  const errors = {};
+
+  fields.forEach((field) => {
+    const value = values[field.key];
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return;
+
+    const error = getFieldError(field, text);
+    if (error) {
+      errors[field.key] = error;
+    } else {
+      attributes.push({key: field.key, value: text});
+    }
+  });
+
+  return {attributes, errors};
+}
+
+/**
+ * Labels of the required fields without a value, which must be filled in
+ * before continuing to checkout.
+ * @returns {string[]}
+ * @param {Record<string, unknown>} values
+ * @param {CartAttributeField[]} [fields]
+ */
+export function getMissingCartAttributes(
+  values,
+  fields = CART_ATTRIBUTE_FIELDS,
+) {
+  return fields
+    .filter((field) => {
+      const value = values[field.key];
+      return field.required && !(typeof value === 'string' && value.trim());
+    })
+    .map((field) => field.label ?? field.key);
+}
+
+/**
+ * @returns {string | null}
+ * @param {unknown} note
+ */
+export function validateCartNote(note) {
+  if (typeof note !== 'string') return 'Note must be text';
+  if (note.length > CART_NOTE_MAX_LENGTH) {
+    return `Note must be at most ${CART_NOTE_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * The attributes of a cart as values for `validateCartAttributes`.
+ * @returns {Record<string, string>}
+ * @param {Array<{key: string; value?: string | null}> | null | undefined} attributes
+ */
+export function getCartAttributeValues(attributes) {
+  return Object.fromEntries(
+    (attributes ?? []).map(({key, value}) => [key, value ?? '']),
+  );
+}
+
+/**
+ * Replaces the values of `CART_ATTRIBUTE_FIELDS` in a cart's attributes.
+ * `cartAttributesUpdate` replaces the whole list, so attributes set
+ * elsewhere, such as attribution, are kept.
+ * @returns {AttributeInput[]}
+ * @param {AttributeInput[] | null | undefined} existing
+ * @param {AttributeInput[]} attributes Validated field values
+ */
+export function mergeCartAttributes(existing, attributes) {
+  const others = (existing ?? []).filter(
+    ({key}) => !CART_ATTRIBUTE_FIELDS.some((field) => field.key === key),
+  );
+  return [...others.map(({key, value}) => ({key, value})), ...attributes];
+}
+
+/**
+ * The earliest delivery date, as `YYYY-MM-DD`. Dates are compared in UTC,
+ * with a day's leeway for shoppers in time zones ahead of it.
+ * @param {number} [now]
+ */
+export function getMinimumDeliveryDate(now = Date.now()) {
+  return new Date(now - DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * @returns {string | null}
+ * @param {CartAttributeField} field
+ * @param {string} value Trimmed, non-empty value
+ */
+function getFieldError(field, value) {
+  const label = field.label ?? field.key;
+
+  switch (field.type) {
+    case 'select':
+      return field.options?.includes(value)
+        ? null
+        : `Choose one of the options for ${label}`;
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (
+        !DATE_PATTERN.test(value) ||
+        Number.isNaN(date.getTime()) ||
+        date.toISOString().slice(0, 10) !== value
+      ) {
+        return `${label} must be a valid date`;
+      }
+      return value < getMinimumDeliveryDate()
+        ? `${label} can't be in the past`
+        : null;
+    }
+    default: {
+      const maxLength = field.maxLength ?? DEFAULT_MAX_LENGTH;
+      if (value.length > maxLength) {
+        return `${label} must be at most ${maxLength} characters`;
+      }
+      if (
+        field.pattern &&
+        !new RegExp(`^(?:${field.pattern})$`, 'u').test(value)
+      ) {
+        return `${label} contains invalid characters`;
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * @typedef {Object} CartAttributeField
+ * @property {string} key Name of the cart attribute
+ * @property {string} [label]
+ * @property {'text' | 'select' | 'date'} type
+ * @property {boolean} required Enforced by the cart, not by checkout
+ * @property {number} [maxLength] Text fields only
+ * @property {string} [pattern] Text fields only
+ * @property {string[]} [options] Select fields only
+ */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
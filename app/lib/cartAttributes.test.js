@@ -0,0 +1,135 @@
+import {describe, expect, it} from 'vitest';
+import {
+  CART_NOTE_MAX_LENGTH,
+  getMinimumDeliveryDate,
+  getMissingCartAttributes,
+  mergeCartAttributes,
+  validateCartAttributes,
+  validateCartNote,
+} from '~/lib/cartAttributes';
+
+describe('validateCartAttributes', () => {
+  it('turns valid values into trimmed attributes', () => {
+    const deliveryDate = getMinimumDeliveryDate(Date.now() + 7 * 86400000);
+
+    expect(
+      validateCartAttributes({
+        'Delivery date': deliveryDate,
+        'How did you hear about us': 'Podcast or blog',
+        'PO number': ' PO-123 ',
+        Unknown: 'ignored',
+      }),
+    ).toEqual({
+      attributes: [
+        {key: 'Delivery date', value: deliveryDate},
+        {key: 'How did you hear about us', value: 'Podcast or blog'},
+        {key: 'PO number', value: 'PO-123'},
+      ],
+      errors: {},
+    });
+  });
+
+  it('leaves out empty fields', () => {
+    expect(validateCartAttributes({'PO number': ' '})).toEqual({
+      attributes: [],
+      errors: {},
+    });
+  });
+
+  it('rejects unknown options, invalid dates and invalid text', () => {
+    expect(
+      validateCartAttributes({
+        'Delivery date': '2024-02-30',
+        'How did you hear about us': 'Billboard',
+        'PO number': 'PO#123',
+      }).errors,
+    ).toEqual({
+      'Delivery date': 'Preferred delivery date must be a valid date',
+      'How did you hear about us':
+        'Choose one of the options for How did you hear about us?',
+      'PO number': 'PO number (business orders) contains invalid characters',
+    });
+  });
+
+  it('rejects delivery dates in the past', () => {
+    expect(
+      validateCartAttributes({'Delivery date': '2000-01-01'}).errors,
+    ).toEqual({
+      'Delivery date': "Preferred delivery date can't be in the past",
+    });
+  });
+});
+
+describe('getMissingCartAttributes', () => {
+  /** @type {CartAttributeField[]} */
+  const fields = [
+    {key: 'Gift wrap', type: 'select', required: true, options: ['Yes', 'No']},
+    {key: 'Company', label: 'Company name', type: 'text', required: true},
+    {key: 'PO number', type: 'text', required: false},
+  ];
+
+  it('reports the required fields without a value by label', () => {
+    expect(getMissingCartAttributes({Company: 'Acme'}, fields)).toEqual([
+      'Gift wrap',
+    ]);
+    expect(getMissingCartAttributes({}, fields)).toEqual([
+      'Gift wrap',
+      'Company name',
+    ]);
+  });
+
+  it('treats blank values as missing', () => {
+    expect(
+      getMissingCartAttributes({'Gift wrap': 'Yes', Company: '  '}, fields),
+    ).toEqual(['Company name']);
+  });
+
+  it('is satisfied once every required field has a value', () => {
+    expect(
+      getMissingCartAttributes({'Gift wrap': 'No', Company: 'Acme'}, fields),
+    ).toEqual([]);
+  });
+
+  it('requires the fields marked required in the store config', () => {
+    expect(getMissingCartAttributes({})).toEqual([
+      'How did you hear about us?',
+    ]);
+    expect(
+      getMissingCartAttributes({'How did you hear about us': 'Other'}),
+    ).toEqual([]);
+  });
+});
+
+describe('validateCartNote', () => {
+  it('accepts text up to the maximum length', () => {
+    expect(validateCartNote('')).toBeNull();
+    expect(validateCartNote('a'.repeat(CART_NOTE_MAX_LENGTH))).toBeNull();
+  });
+
+  it('rejects longer notes and other values', () => {
+    expect(validateCartNote('a'.repeat(CART_NOTE_MAX_LENGTH + 1))).toBe(
+      `Note must be at most ${CART_NOTE_MAX_LENGTH} characters`,
+    );
+    expect(validateCartNote(null)).toBe('Note must be text');
+  });
+});
+
+describe('mergeCartAttributes', () => {
+  it('replaces the fields and keeps other attributes', () => {
+    expect(
+      mergeCartAttributes(
+        [
+          {key: '_utm_source', value: 'newsletter'},
+          {key: 'PO number', value: 'PO-1'},
+          {key: 'Delivery date', value: '2030-01-01'},
+        ],
+        [{key: 'PO number', value: 'PO-2'}],
+      ),
+    ).toEqual([
+      {key: '_utm_source', value: 'newsletter'},
+      {key: 'PO number', value: 'PO-2'},
+    ]);
+  });
+});
+
+/** @typedef {import('~/lib/cartAttributes').CartAttributeField} CartAttributeField */
@@ -0,0 +1,179 @@
+/**
+ * Shop metafield configuring the cart incentives, as JSON, so thresholds can
+ * change without a deploy:
+ * @example
+ * ```json
+ * {
+ *   "freeShipping": {"USD": 75, "CAD": 100},
+ *   "tiers": [
+ *     {"threshold": {"USD": 100, "CAD": 130}, "reward": "10% off your order"},
+ *     {
+ *       "threshold": {"USD": 150},
+ *       "reward": "a free tote bag",
+ *       "giftVariantId": "gid://shopify/ProductVariant/123"
+ *     }
+ *   ]
+ * }
+ * ```
+ * Thresholds are amounts of the cart's subtotal, per currency, and
+ * incentives without a threshold in the cart's currency aren't offered.
+ * Tiers only describe the reward, which comes from the store's automatic
+ * discounts, except gifts, which are added to the cart once their tier is
+ * unlocked. Make gifts free with an automatic discount.
+ */
+export const CART_INCENTIVES_METAFIELD = {
+  namespace: 'custom',
+  key: 'cart_incentives',
+};
+
+/**
+ * Private line attribute marking gifts added by the incentives, which
+ * shoppers can't change and don't count towards the thresholds.
+ */
+export const GIFT_LINE_ATTRIBUTE = '_gift';
+
+/**
+ * Parses the `CART_INCENTIVES_METAFIELD` value. Invalid JSON and invalid
+ * thresholds or tiers are ignored.
+ * @returns {CartIncentives}
+ * @param {string | null | undefined} value
+ */
+export function parseCartIncentives(value) {
+  /** @type {CartIncentives} */
+  const incentives = {freeShipping: {}, tiers: []};
+  if (!value) return incentives;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return incentives;
+  }
+  if (!parsed || typeof parsed !== 'object') return incentives;
+
+  incentives.freeShipping = parseThresholds(parsed.freeShipping);
+  incentives.tiers = (Array.isArray(parsed.tiers) ? parsed.tiers : [])
+    .filter((tier) => tier && typeof tier.reward === 'string' && tier.reward)
+    .map((tier) => ({
+      threshold: parseThresholds(tier.threshold),
+      reward: tier.reward,
+      giftVariantId:
+        typeof tier.giftVariantId === 'string' ? tier.giftVariantId : null,
+    }))
+    .filter((tier) => Object.keys(tier.threshold).length);
+
+  return incentives;
+}
+
+/**
+ * Whether a line is a gift added by the incentives.
+ * @param {{attributes?: Array<{key: string}> | null}} line
+ */
+export function isGiftLine(line) {
+  return (line.attributes ?? []).some(({key}) => key === GIFT_LINE_ATTRIBUTE);
+}
+
+/**
+ * How far the cart is from each incentive offered in its currency. The
+ * subtotal leaves out gifts, so a gift can't keep its own tier unlocked.
+ * @returns {CartIncentiveProgress | null} `null` for empty carts
+ * @param {CartIncentives} incentives
+ * @param {CartApiQueryFragment | null | undefined} cart
+ */
+export function getCartIncentiveProgress(incentives, cart) {
+  const subtotal = cart?.cost?.subtotalAmount;
+  if (!subtotal || !cart?.lines?.nodes?.length) return null;
+
+  const {currencyCode} = subtotal;
+  const giftsCents = cart.lines.nodes
+    .filter(isGiftLine)
+    .reduce(
+      (total, line) => total + toCents(line.cost?.totalAmount?.amount),
+      0,
+    );
+  const subtotalCents = Math.max(0, toCents(subtotal.amount) - giftsCents);
+
+  /**
+   * @param {number} threshold
+   */
+  const getProgress = (threshold) => {
+    const thresholdCents = toCents(threshold);
+    return {
+      threshold,
+      remaining: Math.max(0, thresholdCents - subtotalCents) / 100,
+      progress: Math.min(1, subtotalCents / thresholdCents),
+      isUnlocked: subtotalCents >= thresholdCents,
+    };
+  };
+
+  const freeShippingThreshold = incentives.freeShipping[currencyCode];
+
+  return {
+    currencyCode,
+    subtotal: subtotalCents / 100,
+    freeShipping: freeShippingThreshold
+      ? getProgress(freeShippingThreshold)
+      : null,
+    tiers: incentives.tiers
+      .filter((tier) => tier.threshold[currencyCode])
+      .map((tier) => ({
+        reward: tier.reward,
+        giftVariantId: tier.giftVariantId,
+        ...getProgress(tier.threshold[currencyCode]),
+      }))
+      .sort((a, b) => a.threshold - b.threshold),
+  };
+}
+
+/**
+ * @returns {Record<string, number>}
+ * @param {unknown} value Amounts keyed by currency code
+ */
+function parseThresholds(value) {
+  if (!value || typeof value !== 'object') return {};
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .map(([currencyCode, amount]) => [currencyCode, Number(amount)])
+      .filter(([, amount]) => Number.isFinite(amount) && amount > 0),
+  );
+}
+
+/**
+ * Compares amounts in cents, as decimal strings don't add up exactly.
+ * @param {string | number | null | undefined} amount
+ */
+function toCents(amount) {
+  return Math.round(Number(amount ?? 0) * 100);
+}
+
+/**
+ * @typedef {Object} CartIncentives
+ * @property {Record<string, number>} freeShipping Thresholds by currency
+ * @property {CartIncentiveTier[]} tiers
+ */
+/**
+ * @typedef {Object} CartIncentiveTier
+ * @property {Record<string, number>} threshold Thresholds by currency
+ * @property {string} reward Completes "Spend $10 more to get …"
+ * @property {string | null} giftVariantId Variant added once unlocked
+ */
+/**
+ * @typedef {Object} IncentiveProgress
+ * @property {number} threshold
+ * @property {number} remaining Amount left to spend
+ * @property {number} progress From 0 to 1
+ * @property {boolean} isUnlocked
+ */
+/**
+ * @typedef {Object} CartIncentiveProgress
+ * @property {string} currencyCode
+ * @property {number} subtotal Subtotal without gifts
+ * @property {IncentiveProgress | null} freeShipping
+ * @property {Array<IncentiveProgress & {
+ *   reward: string;
+ *   giftVariantId: string | null;
+ * }>} tiers Lowest threshold first
+ */
+
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
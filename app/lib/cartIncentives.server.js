@@ -0,0 +1,105 @@
+import {
+  CART_INCENTIVES_METAFIELD,
+  GIFT_LINE_ATTRIBUTE,
+  getCartIncentiveProgress,
+  isGiftLine,
+  parseCartIncentives,
+} from '~/lib/cartIncentives';
+
+/**
+ * Adds the gifts of the tiers the cart has unlocked, and removes those of
+ * the tiers it no longer reaches. Gifts are added once, whatever the
+ * quantity the shopper asks for. Gifts that can't be added, e.g. because
+ * they sold out, are skipped.
+ * @returns {Promise<CartQueryDataReturn | null>} The result of the last
+ *   change, or `null` when the gifts are up to date
+ * @param {{
+ *   cart: HydrogenCart;
+ *   storefront: Storefront;
+ *   logger: RequestLogger;
+ * }}
+ */
+export async function syncGiftLines({cart, storefront, logger}) {
+  const incentives = await getCartIncentives(storefront);
+  if (!incentives.tiers.some((tier) => tier.giftVariantId)) return null;
+
+  const currentCart = await cart.get();
+  const progress = getCartIncentiveProgress(incentives, currentCart);
+  const lines = currentCart?.lines.nodes ?? [];
+  const giftLines = lines.filter(isGiftLine);
+  const eligible = new Set(
+    (progress?.tiers ?? [])
+      .filter((tier) => tier.isUnlocked && tier.giftVariantId)
+      .map((tier) => tier.giftVariantId),
+  );
+
+  const removedLineIds = giftLines
+    .filter((line) => !eligible.has(line.merchandise.id))
+    .map((line) => line.id);
+  const updatedLines = giftLines
+    .filter((line) => eligible.has(line.merchandise.id) && line.quantity !== 1)
+    .map((line) => ({id: line.id, quantity: 1}));
+  const addedLines = Array.from(eligible)
+    .filter((id) => !giftLines.some((line) => line.merchandise.id === id))
+    .map((merchandiseId) => ({
+      merchandiseId,
+      quantity: 1,
+      attributes: [{key: GIFT_LINE_ATTRIBUTE, value: 'true'}],
+    }));
+
+  let result = null;
+  if (removedLineIds.length) {
+    result = logErrors(await cart.removeLines(removedLineIds), logger);
+  }
+  if (updatedLines.length) {
+    result = logErrors(await cart.updateLines(updatedLines), logger);
+  }
+  if (addedLines.length) {
+    result = logErrors(await cart.addLines(addedLines), logger);
+  }
+  return result;
+}
+
+/**
+ * The incentives configured in the `CART_INCENTIVES_METAFIELD` shop
+ * metafield. Changes show up once the cached query expires, within the
+ * hour.
+ * @returns {Promise<CartIncentives>}
+ * @param {Storefront} storefront
+ */
+export async function getCartIncentives(storefront) {
+  const {shop} = await storefront.query(CART_INCENTIVES_QUERY, {
+    variables: CART_INCENTIVES_METAFIELD,
+    cache: storefront.CacheLong(),
+  });
+  return parseCartIncentives(shop.cartIncentives?.value);
+}
+
+/**
+ * @template {CartQueryDataReturn} T
+ * @param {T} result
+ * @param {RequestLogger} logger
+ * @returns {T}
+ */
+function logErrors(result, logger) {
+  if (result.errors?.length) {
+    logger.warn('Failed to update cart gifts', {errors: result.errors});
+  }
+  return result;
+}
+
+const CART_INCENTIVES_QUERY = `#graphql
+  query CartIncentives($namespace: String!, $key: String!) {
+    shop {
+      cartIncentives: metafield(namespace: $namespace, key: $key) {
+        value
+      }
+    }
+  }
+`;
+
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} HydrogenCart */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartQueryDataReturn */
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('~/lib/cartIncentives').CartIncentives} CartIncentives */
+/** @typedef {import('~/lib/logger.server').RequestLogger} RequestLogger */
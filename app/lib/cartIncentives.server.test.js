@@ -0,0 +1,111 @@
+import {describe, expect, it, vi} from 'vitest';
+import {GIFT_LINE_ATTRIBUTE} from '~/lib/cartIncentives';
+import {syncGiftLines} from '~/lib/cartIncentives.server';
+
+const GIFT_VARIANT_ID = 'gid://shopify/ProductVariant/123';
+
+const storefront = /** @type {any} */ ({
+  CacheLong: () => ({}),
+  query: async () => ({
+    shop: {
+      cartIncentives: {
+        value: JSON.stringify({
+          tiers: [
+            {
+              threshold: {USD: 150},
+              reward: 'a free tote bag',
+              giftVariantId: GIFT_VARIANT_ID,
+            },
+          ],
+        }),
+      },
+    },
+  }),
+});
+
+const logger = /** @type {any} */ ({warn: vi.fn()});
+
+/**
+ * A cart with a product line and, when `giftQuantity` is set, a gift line.
+ * Its mutations succeed without changing it.
+ * @param {{subtotal: string; giftQuantity?: number}} options
+ */
+function createCart({subtotal, giftQuantity}) {
+  const lines = [
+    {
+      id: 'gid://shopify/CartLine/1',
+      quantity: 1,
+      merchandise: {id: 'gid://shopify/ProductVariant/1'},
+      attributes: [],
+      cost: {totalAmount: {amount: subtotal, currencyCode: 'USD'}},
+    },
+  ];
+  if (giftQuantity) {
+    lines.push({
+      id: 'gid://shopify/CartLine/2',
+      quantity: giftQuantity,
+      merchandise: {id: GIFT_VARIANT_ID},
+      attributes: [{key: GIFT_LINE_ATTRIBUTE, value: 'true'}],
+      cost: {totalAmount: {amount: '0.0', currencyCode: 'USD'}},
+    });
+  }
+
+  const cart = {
+    cost: {subtotalAmount: {amount: subtotal, currencyCode: 'USD'}},
+    lines: {nodes: lines},
+  };
+  const result = async () => ({cart});
+
+  return /** @type {any} */ ({
+    get: async () => cart,
+    addLines: vi.fn(result),
+    updateLines: vi.fn(result),
+    removeLines: vi.fn(result),
+  });
+}
+
+describe('syncGiftLines', () => {
+  it('adds the gift of an unlocked tier', async () => {
+    const cart = createCart({subtotal: '160.0'});
+
+    await syncGiftLines({cart, storefront, logger});
+
+    expect(cart.addLines).toHaveBeenCalledWith([
+      {
+        merchandiseId: GIFT_VARIANT_ID,
+        quantity: 1,
+        attributes: [{key: GIFT_LINE_ATTRIBUTE, value: 'true'}],
+      },
+    ]);
+    expect(cart.removeLines).not.toHaveBeenCalled();
+  });
+
+  it('removes the gift of a tier the cart no longer reaches', async () => {
+    const cart = createCart({subtotal: '90.0', giftQuantity: 1});
+
+    await syncGiftLines({cart, storefront, logger});
+
+    expect(cart.removeLines).toHaveBeenCalledWith(['gid://shopify/CartLine/2']);
+    expect(cart.addLines).not.toHaveBeenCalled();
+  });
+
+  it('resets the quantity of gifts to one', async () => {
+    const cart = createCart({subtotal: '160.0', giftQuantity: 3});
+
+    await syncGiftLines({cart, storefront, logger});
+
+    expect(cart.updateLines).toHaveBeenCalledWith([
+      {id: 'gid://shopify/CartLine/2', quantity: 1},
+    ]);
+    expect(cart.addLines).not.toHaveBeenCalled();
+  });
+
+  it('leaves gifts that are up to date', async () => {
+    const cart = createCart({subtotal: '160.0', giftQuantity: 1});
+
+    expect(await syncGiftLines({cart, storefront, logger})).toBeNull();
+    expect(cart.addLines).not.toHaveBeenCalled();
+    expect(cart.updateLines).not.toHaveBeenCalled();
+    expect(cart.removeLines).not.toHaveBeenCalled();
+  });
+});
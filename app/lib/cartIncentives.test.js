@@ -0,0 +1,130 @@
+import {describe, expect, it} from 'vitest';
+import {
+  GIFT_LINE_ATTRIBUTE,
+  getCartIncentiveProgress,
+  parseCartIncentives,
+} from '~/lib/cartIncentives';
+
+const INCENTIVES = parseCartIncentives(
+  JSON.stringify({
+    freeShipping: {USD: 75, CAD: 100},
+    tiers: [
+      {
+        threshold: {USD: 150},
+        reward: 'a free tote bag',
+        giftVariantId: 'gid://shopify/ProductVariant/123',
+      },
+      {threshold: {USD: 100, CAD: 130}, reward: '10% off your order'},
+    ],
+  }),
+);
+
+/**
+ * @param {string} subtotal
+ * @param {Array<{amount: string; isGift?: boolean}>} lines
+ * @param {string} [currencyCode]
+ */
+function createCart(subtotal, lines, currencyCode = 'USD') {
+  return /** @type {CartApiQueryFragment} */ ({
+    cost: {subtotalAmount: {amount: subtotal, currencyCode}},
+    lines: {
+      nodes: lines.map(({amount, isGift}) => ({
+        attributes: isGift ? [{key: GIFT_LINE_ATTRIBUTE, value: 'true'}] : [],
+        cost: {totalAmount: {amount, currencyCode}},
+      })),
+    },
+  });
+}
+
+describe('parseCartIncentives', () => {
+  it('ignores invalid thresholds and tiers', () => {
+    expect(
+      parseCartIncentives(
+        JSON.stringify({
+          freeShipping: {USD: '75', CAD: -1, EUR: 'free'},
+          tiers: [
+            {threshold: {USD: 100}},
+            {threshold: {}, reward: '10% off'},
+            {threshold: {USD: 100}, reward: '10% off', giftVariantId: 1},
+          ],
+        }),
+      ),
+    ).toEqual({
+      freeShipping: {USD: 75},
+      tiers: [{threshold: {USD: 100}, reward: '10% off', giftVariantId: null}],
+    });
+  });
+
+  it('offers nothing for invalid JSON', () => {
+    expect(parseCartIncentives('{')).toEqual({freeShipping: {}, tiers: []});
+    expect(parseCartIncentives(null)).toEqual({freeShipping: {}, tiers: []});
+  });
+});
+
+describe('getCartIncentiveProgress', () => {
+  it('reports the progress towards each incentive, lowest first', () => {
+    const progress = getCartIncentiveProgress(
+      INCENTIVES,
+      createCart('80.10', [{amount: '80.10'}]),
+    );
+
+    expect(progress?.subtotal).toBe(80.1);
+    expect(progress?.freeShipping).toEqual({
+      threshold: 75,
+      remaining: 0,
+      progress: 1,
+      isUnlocked: true,
+    });
+    expect(
+      progress?.tiers.map(({reward, remaining}) => [reward, remaining]),
+    ).toEqual([
+      ['10% off your order', 19.9],
+      ['a free tote bag', 69.9],
+    ]);
+    expect(progress?.tiers[0].progress).toBeCloseTo(0.801);
+  });
+
+  it('leaves gifts out of the subtotal', () => {
+    const progress = getCartIncentiveProgress(
+      INCENTIVES,
+      createCart('160.00', [
+        {amount: '140.00'},
+        {amount: '20.00', isGift: true},
+      ]),
+    );
+
+    expect(progress?.subtotal).toBe(140);
+    expect(progress?.tiers[1]).toMatchObject({
+      reward: 'a free tote bag',
+      remaining: 10,
+      isUnlocked: false,
+    });
+  });
+
+  it("only offers incentives in the cart's currency", () => {
+    const progress = getCartIncentiveProgress(
+      INCENTIVES,
+      createCart('50.00', [{amount: '50.00'}], 'CAD'),
+    );
+
+    expect(progress?.freeShipping?.threshold).toBe(100);
+    expect(progress?.tiers.map(({reward}) => reward)).toEqual([
+      '10% off your order',
+    ]);
+    expect(
+      getCartIncentiveProgress(
+        INCENTIVES,
+        createCart('50.00', [{amount: '50.00'}], 'EUR'),
+      ),
+    ).toMatchObject({freeShipping: null, tiers: []});
+  });
+
+  it('has no progress for empty carts', () => {
+    expect(getCartIncentiveProgress(INCENTIVES, null)).toBeNull();
+    expect(
+      getCartIncentiveProgress(INCENTIVES, createCart('0.00', [])),
+    ).toBeNull();
+  });
+});
+
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
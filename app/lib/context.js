@@ -1,6 +1,9 @@
-import {createHydrogenContext} from '@shopify/hydrogen';
+import {createHydrogenContext, createWithCache} from '@shopify/hydrogen';
 import {AppSession} from '~/lib/session';
-import {CART_QUERY_FRAGMENT} from '~/lib/fragments';
+import {CART_MUTATE_FRAGMENT, CART_QUERY_FRAGMENT} from '~/lib/fragments';
+import {createEventForwarder} from '~/lib/events.server';
+import {captureAttribution, getAttributionWindowDays} from '~/lib/attribution';
+import {getLocaleFromRequest} from '~/lib/i18n';
 
 // Define the additional context object
 const additionalContext = {
@@ -17,11 +20,13 @@ const additionalContext = {
  * @param {Request} request
  * @param {Env} env
  * @param {ExecutionContext} executionContext
+ * @param {RequestLogger} logger
  */
 export async function createHydrogenRouterContext(
   request,
   env,
   executionContext,
+  logger,
 ) {
   /**
    * Open a cache instance in the worker and a custom session instance.
@@ -31,10 +36,18 @@ export async function createHydrogenRouterContext(
   }
 
   const waitUntil = executionContext.waitUntil.bind(executionContext);
-  const [cache, session] = await Promise.all([
+  const [hydrogenCache, session] = await Promise.all([
     caches.open('hydrogen'),
-    AppSession.init(request, [env.SESSION_SECRET]),
+    AppSession.init(request, [env.SESSION_SECRET], {
+      // Keeps attribution for the whole window, across browser restarts
+      maxAge: getAttributionWindowDays(env) * 24 * 60 * 60,
+    }),
   ]);
+  // Records whether each query is served from the cache
+  const cache = logger.instrumentCache(hydrogenCache);
+
+  // Record first- and last-touch marketing attribution in the session
+  const attribution = captureAttribution(request, session, env);
 
   const hydrogenContext = createHydrogenContext(
     {
@@ -43,16 +56,35 @@ export async function createHydrogenRouterContext(
       cache,
       waitUntil,
       session,
-      // Or detect from URL path based on locale subpath, cookies, or any other strategy
-      i18n: {language: 'EN', country: 'US'},
+      // Detected from the locale path prefix, session or Accept-Language header
+      i18n: getLocaleFromRequest(request, session),
+      storefront: {
+        // Correlates Storefront API requests with the request ID
+        headers: logger.getStorefrontHeaders(request),
+      },
       cart: {
         queryFragment: CART_QUERY_FRAGMENT,
+        mutateFragment: CART_MUTATE_FRAGMENT,
       },
     },
-    additionalContext,
+    {
+      ...additionalContext,
+      // Forwards analytics events received by `/api/events`
+      events: createEventForwarder({env, waitUntil}),
+      // First- and last-touch marketing attribution of the current visitor
+      attribution,
+      // Caches the results of arbitrary functions, e.g. third-party API calls
+      withCache: createWithCache({cache, waitUntil, request}),
+      // Request-scoped structured logger, see `createRequestLogger`
+      logger,
+    },
   );
 
+  logger.instrumentClient(hydrogenContext.storefront, 'storefront');
+  logger.instrumentClient(hydrogenContext.customerAccount, 'customerAccount');
+
   return hydrogenContext;
 }
 
 /** @typedef {Class<additionalContext>} AdditionalContextType */
+/** @typedef {import('~/lib/logger.server').RequestLogger} RequestLogger */
@@ -0,0 +1,126 @@
+import {isRouteErrorResponse} from 'react-router';
+
+/** Receives the errors reported by the browser, see `api.errors.jsx`. */
+export const ERROR_REPORT_PATH = '/api/errors';
+
+/**
+ * What shoppers are told for each status. Error messages themselves can
+ * contain internal details, so they are only shown in development.
+ * @type {Record<number, {title: string; description: string}>}
+ */
+const ERROR_PAGE_COPY = {
+  404: {
+    title: 'Page not found',
+    description:
+      "We couldn't find the page you were looking for. Try searching, or have a look at our popular products.",
+  },
+  410: {
+    title: 'This link has expired',
+    description:
+      'The products or discount in this link are no longer available. You can still browse the store and build a new cart.',
+  },
+  500: {
+    title: 'Something went wrong',
+    description: "We couldn't load this page. Please try again in a moment.",
+  },
+};
+
+/** Errors already reported by this browser. */
+const reportedErrors = new WeakSet();
+
+let isHydrated = false;
+
+/**
+ * The status, copy and, in development only, the raw message of an error
+ * caught by an error boundary. Statuses without copy of their own use that
+ * of a 500.
+ * @returns {ErrorPageContent}
+ * @param {unknown} error
+ */
+export function getErrorPageContent(error) {
+  let status = 500;
+  /** @type {string | null} */
+  let detail = null;
+
+  if (isRouteErrorResponse(error)) {
+    status = error.status;
+    detail =
+      typeof error.data === 'string'
+        ? error.data
+        : (error.data?.message ?? null);
+  } else if (error instanceof Error) {
+    detail = error.message;
+  }
+
+  return {
+    status,
+    ...(ERROR_PAGE_COPY[status] ?? ERROR_PAGE_COPY[500]),
+    detail: import.meta.env.DEV ? detail : null,
+  };
+}
+
+/**
+ * Reports an error that happened in the browser to `ERROR_REPORT_PATH`,
+ * where it is logged with the request's other errors. Each error is only
+ * reported once.
+ * @param {unknown} error
+ * @param {ErrorReportContext} context
+ */
+export function reportError(error, context) {
+  if (typeof window === 'undefined') return;
+  if (error && typeof error === 'object') {
+    if (reportedErrors.has(error)) return;
+    reportedErrors.add(error);
+  }
+
+  /** @type {ErrorReport} */
+  const report = {
+    ...context,
+    url: window.location.href,
+    name: error instanceof Error ? error.name : 'Error',
+    message: error instanceof Error ? error.message : String(error),
+    stack: error instanceof Error ? error.stack : undefined,
+  };
+  const body = JSON.stringify(report);
+
+  if (!navigator.sendBeacon?.(ERROR_REPORT_PATH, body)) {
+    fetch(ERROR_REPORT_PATH, {method: 'POST', body, keepalive: true}).catch(
+      () => {},
+    );
+  }
+}
+
+/**
+ * Whether the app has hydrated. Errors rendered before that happened on the
+ * server, where they are already reported with the request ID.
+ */
+export function hasHydrated() {
+  return isHydrated;
+}
+
+/** Called by the root layout once it has hydrated. */
+export function markHydrated() {
+  isHydrated = true;
+}
+
+/**
+ * @typedef {Object} ErrorPageContent
+ * @property {number} status
+ * @property {string} title
+ * @property {string} description
+ * @property {string | null} detail Raw error message, only in development
+ */
+/**
+ * @typedef {Object} ErrorReportContext
+ * @property {string | null} referenceId
+ * @property {string | null} route ID of the route that caught the error
+ * @property {number} [status]
+ */
+/**
+ * @typedef {ErrorReportContext & {
+ *   url: string;
+ *   name: string;
+ *   message: string;
+ *   stack?: string;
+ * }} ErrorReport
+ */
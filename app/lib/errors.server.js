@@ -0,0 +1,83 @@
+/** Largest error report accepted by `/api/errors`, in bytes. */
+export const MAX_ERROR_REPORT_BYTES = 16 * 1024;
+
+/** Longest message or stack kept from an error report. */
+const MAX_FIELD_LENGTH = 4000;
+
+/**
+ * The reporting hook for errors of both the server and the browser. Every
+ * error is logged with its route context and the request ID, so it reaches
+ * the log sinks. Forward errors to an error tracker from here.
+ * @param {unknown} error
+ * @param {{
+ *   logger: RequestLogger;
+ *   source: 'server' | 'client';
+ *   route?: string | null;
+ *   path?: string;
+ *   url?: string;
+ *   params?: Record<string, string | undefined>;
+ *   referenceId?: string | null;
+ *   status?: number;
+ * }}
+ */
+export function captureError(error, {logger, source, ...context}) {
+  logger.error(source === 'client' ? 'Client error' : 'Server error', {
+    source,
+    ...context,
+    error,
+  });
+}
+
+/**
+ * Reads and validates an error report sent by `reportError`. Reports are
+ * sent as beacons, so the body is parsed regardless of its content type.
+ * @param {Request} request
+ * @returns {Promise<
+ *   | {report: ErrorReport; errors?: undefined}
+ *   | {report?: undefined; errors: string[]; status: number}
+ * >}
+ */
+export async function readErrorReport(request) {
+  const contentLength = Number(request.headers.get('Content-Length') || 0);
+  if (contentLength > MAX_ERROR_REPORT_BYTES) {
+    return {errors: ['Request body is too large'], status: 413};
+  }
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_ERROR_REPORT_BYTES) {
+    return {errors: ['Request body is too large'], status: 413};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return {errors: ['Request body is not valid JSON'], status: 400};
+  }
+  if (!body || typeof body !== 'object' || typeof body.message !== 'string') {
+    return {errors: ['An error report needs a message'], status: 400};
+  }
+
+  return {
+    report: {
+      referenceId: toField(body.referenceId),
+      route: toField(body.route),
+      status: Number.isInteger(body.status) ? body.status : undefined,
+      url: toField(body.url) ?? '',
+      name: toField(body.name) ?? 'Error',
+      message: toField(body.message) ?? '',
+      stack: toField(body.stack) ?? undefined,
+    },
+  };
+}
+
+/**
+ * @returns {string | null}
+ * @param {unknown} value
+ */
+function toField(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_FIELD_LENGTH) : null;
+}
+
+/** @typedef {import('~/lib/errors').ErrorReport} ErrorReport */
+/** @typedef {import('~/lib/logger.server').RequestLogger} RequestLogger */
@@ -0,0 +1,321 @@
+import {getShopAnalytics} from '@shopify/hydrogen';
+import {getCustomerIdentity} from '~/lib/identity.server';
+
+/** Largest request body accepted by `/api/events`, in bytes. */
+export const MAX_BODY_BYTES = 64 * 1024;
+
+/** Most events accepted in a single batch. */
+export const MAX_BATCH_SIZE = 50;
+
+/** Most batches accepted per minute from a single IP address. */
+export const RATE_LIMIT = 60;
+
+/**
+ * Events the client tracks. Others are rejected, so the endpoint can't be
+ * used to inject arbitrary events into the destinations; add the name here
+ * when tracking a new event.
+ */
+export const ALLOWED_EVENTS = new Set([
+  'add_to_cart',
+  'begin_checkout',
+  'cart_updated',
+  'predictive_search',
+  'predictive_search_click',
+  'remove_from_cart',
+  'scroll_depth',
+  'search',
+  'search_no_results',
+  'section_view',
+  'select_item',
+  'user_data_available',
+  'user_engagement',
+  'view_cart',
+  'view_item',
+  'view_item_list',
+]);
+
+/** Destinations used when none is configured. */
+const DEFAULT_DESTINATIONS = import.meta.env.DEV ? 'console' : '';
+
+/**
+ * Destinations that forwarded events can be sent to, keyed by the name used
+ * in the `EVENTS_DESTINATIONS` environment variable. Add an entry here to
+ * forward events to another service.
+ * @type {Record<string, (env: Env) => EventDestination | null>}
+ */
+export const EVENT_DESTINATIONS = {
+  console: createConsoleDestination,
+  http: createHttpDestination,
+};
+
+/**
+ * Whether the request was sent by a page of the storefront. Browsers send
+ * `Sec-Fetch-Site` with every request, and `Origin` with every POST.
+ * @param {Request} request
+ */
+export function isSameOriginRequest(request) {
+  const fetchSite = request.headers.get('Sec-Fetch-Site');
+  if (fetchSite) return fetchSite === 'same-origin';
+
+  return request.headers.get('Origin') === new URL(request.url).origin;
+}
+
+/**
+ * Reads and validates a batch of events sent by the client's beacon sink.
+ * Beacons are sent as `text/plain`, so the body is parsed regardless of its
+ * content type.
+ * @param {Request} request
+ * @returns {Promise<
+ *   | {events: IncomingEvent[]; errors?: undefined}
+ *   | {events?: undefined; errors: string[]; status: number}
+ * >}
+ */
+export async function readEventBatch(request) {
+  const contentLength = Number(request.headers.get('Content-Length') || 0);
+  if (contentLength > MAX_BODY_BYTES) {
+    return {errors: ['Request body is too large'], status: 413};
+  }
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > MAX_BODY_BYTES) {
+    return {errors: ['Request body is too large'], status: 413};
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return {errors: ['Request body is not valid JSON'], status: 400};
+  }
+
+  const errors = validateEventBatch(body);
+  if (errors.length) return {errors, status: 400};
+
+  return {events: body.events};
+}
+
+/**
+ * Creates the forwarder exposed as `context.events`. Enrichment and delivery
+ * run in `waitUntil`, so the beacon gets its response immediately.
+ * @param {{
+ *   env: Env;
+ *   waitUntil: ExecutionContext['waitUntil'];
+ * }}
+ */
+export function createEventForwarder({env, waitUntil}) {
+  const destinations = getDestinationNames(env)
+    .map((name) => EVENT_DESTINATIONS[name]?.(env))
+    .filter(Boolean);
+
+  return {
+    destinations,
+
+    /**
+     * @param {IncomingEvent[]} events
+     * @param {{
+     *   request: Request;
+     *   context: HydrogenRouterContextProvider;
+     * }}
+     */
+    forward(events, {request, context}) {
+      if (!destinations.length) return;
+
+      waitUntil(
+        enrichEvents(events, {request, context}).then(async (enriched) => {
+          const results = await Promise.allSettled(
+            destinations.map((destination) => destination.send(enriched)),
+          );
+
+          results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+              console.error(
+                `Failed to forward events to ${destinations[index].name}`,
+                result.reason,
+              );
+            }
+          });
+        }),
+      );
+    },
+  };
+}
+
+/**
+ * Logs each event as a JSON line. The default in development, where no
+ * external destination is configured; production only uses it when
+ * `EVENTS_DESTINATIONS` lists it.
+ * @returns {EventDestination}
+ */
+export function createConsoleDestination() {
+  return {
+    name: 'console',
+    async send(events) {
+      events.forEach((event) => {
+        // eslint-disable-next-line no-console
+        console.log(JSON.stringify(event));
+      });
+    },
+  };
+}
+
+/**
+ * POSTs each batch as JSON to `EVENTS_FORWARD_URL`, authenticated with
+ * `EVENTS_FORWARD_TOKEN` when it is set.
+ * @returns {EventDestination | null}
+ * @param {Env} env
+ */
+export function createHttpDestination(env) {
+  const url = env.EVENTS_FORWARD_URL;
+  if (!url) return null;
+
+  return {
+    name: 'http',
+    async send(events) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(env.EVENTS_FORWARD_TOKEN
+            ? {Authorization: `Bearer ${env.EVENTS_FORWARD_TOKEN}`}
+            : {}),
+        },
+        body: JSON.stringify({events}),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${url} responded with ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * `EVENTS_DESTINATIONS` is a comma-separated list of destination names.
+ * Without it, events go to `http` when a forward URL is configured. Otherwise
+ * they are logged to the console in development, and dropped in production
+ * unless `console` is listed explicitly.
+ * @param {Env} env
+ */
+function getDestinationNames(env) {
+  const names =
+    env.EVENTS_DESTINATIONS ??
+    (env.EVENTS_FORWARD_URL ? 'http' : DEFAULT_DESTINATIONS);
+
+  return names
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @returns {string[]} Validation errors, empty when the batch is valid
+ * @param {unknown} body
+ */
+function validateEventBatch(body) {
+  if (!isPlainObject(body) || !Array.isArray(body.events)) {
+    return ['Expected an object with an `events` array'];
+  }
+
+  if (!body.events.length) return ['`events` must not be empty'];
+
+  if (body.events.length > MAX_BATCH_SIZE) {
+    return [`\`events\` must contain at most ${MAX_BATCH_SIZE} events`];
+  }
+
+  return body.events.flatMap((event, index) => {
+    if (!isPlainObject(event)) return [`events[${index}] must be an object`];
+
+    const errors = [];
+    if (typeof event.event !== 'string' || !ALLOWED_EVENTS.has(event.event)) {
+      errors.push(`events[${index}].event is not a tracked event`);
+    }
+    if (!isPlainObject(event.payload)) {
+      errors.push(`events[${index}].payload must be an object`);
+    }
+    if (!Number.isFinite(event.timestamp)) {
+      errors.push(`events[${index}].timestamp must be a number`);
+    }
+    return errors;
+  });
+}
+
+/**
+ * Adds context only the server knows, like the visitor's marketing
+ * attribution, replacing any identity the client claimed with the one
+ * resolved from the customer's session.
+ * @param {IncomingEvent[]} events
+ * @param {{
+ *   request: Request;
+ *   context: HydrogenRouterContextProvider;
+ * }}
+ * @returns {Promise<ForwardedEvent[]>}
+ */
+async function enrichEvents(events, {request, context}) {
+  const {storefront, customerAccount, env} = context;
+
+  const [shop, identity] = await Promise.all([
+    getShopAnalytics({
+      storefront,
+      publicStorefrontId: env.PUBLIC_STOREFRONT_ID,
+    }).catch(() => null),
+    getCustomerIdentity({customerAccount, env}),
+  ]);
+
+  const server = {
+    shop_id: shop?.shopId ?? null,
+    language: storefront.i18n.language,
+    country: storefront.i18n.country,
+    user_agent: request.headers.get('User-Agent'),
+    page_url: request.headers.get('Referer'),
+    received_at: Date.now(),
+    attribution: context.attribution,
+  };
+
+  return events.map(({event, payload, timestamp}) => ({
+    event,
+    timestamp,
+    payload: {
+      ...payload,
+      user_type: identity.isLoggedIn ? 'logged_in' : 'visitor',
+      user_id: identity.customerId,
+      user_email_sha256: identity.hashedEmail,
+    },
+    server,
+  }));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @typedef {Object} IncomingEvent
+ * @property {string} event
+ * @property {Record<string, unknown>} payload
+ * @property {number} timestamp
+ */
+/**
+ * @typedef {IncomingEvent & {
+ *   server: {
+ *     shop_id: string | null;
+ *     language: string;
+ *     country: string;
+ *     user_agent: string | null;
+ *     page_url: string | null;
+ *     received_at: number;
+ *     attribution: Attribution;
+ *   };
+ * }} ForwardedEvent
+ */
+/**
+ * @typedef {Object} EventDestination
+ * @property {string} name
+ * @property {(events: ForwardedEvent[]) => Promise<void>} send
+ */
+
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
+/** @typedef {import('~/lib/attribution').Attribution} Attribution */
@@ -0,0 +1,65 @@
+import {describe, expect, it} from 'vitest';
+import {isSameOriginRequest, readEventBatch} from '~/lib/events.server';
+
+const EVENTS_URL = 'https://shop.example/api/events';
+
+/**
+ * @param {unknown} body
+ */
+function createRequest(body) {
+  return new Request(EVENTS_URL, {method: 'POST', body: JSON.stringify(body)});
+}
+
+describe('isSameOriginRequest', () => {
+  it('accepts requests sent by the storefront', () => {
+    const request = new Request(EVENTS_URL, {
+      method: 'POST',
+      headers: {'Sec-Fetch-Site': 'same-origin'},
+    });
+
+    expect(isSameOriginRequest(request)).toBe(true);
+  });
+
+  it('rejects requests sent by other sites', () => {
+    const request = new Request(EVENTS_URL, {
+      method: 'POST',
+      headers: {'Sec-Fetch-Site': 'cross-site', Origin: 'https://shop.example'},
+    });
+
+    expect(isSameOriginRequest(request)).toBe(false);
+  });
+
+  it('falls back to the origin without fetch metadata', () => {
+    const sameOrigin = new Request(EVENTS_URL, {
+      method: 'POST',
+      headers: {Origin: 'https://shop.example'},
+    });
+    const crossOrigin = new Request(EVENTS_URL, {
+      method: 'POST',
+      headers: {Origin: 'https://evil.example'},
+    });
+
+    expect(isSameOriginRequest(sameOrigin)).toBe(true);
+    expect(isSameOriginRequest(crossOrigin)).toBe(false);
+    expect(isSameOriginRequest(new Request(EVENTS_URL))).toBe(false);
+  });
+});
+
+describe('readEventBatch', () => {
+  it('reads tracked events', async () => {
+    const events = [{event: 'view_item', payload: {}, timestamp: 1}];
+
+    expect(await readEventBatch(createRequest({events}))).toEqual({events});
+  });
+
+  it('rejects events the client does not track', async () => {
+    const result = await readEventBatch(
+      createRequest({events: [{event: 'purchase', payload: {}, timestamp: 1}]}),
+    );
+
+    expect(result).toEqual({
+      errors: ['events[0].event is not a tracked event'],
+      status: 400,
+    });
+  });
+});
@@ -47,6 +47,13 @@ export const CART_QUERY_FRAGMENT = `#graphql
           title
           id
           vendor
+          productType
+          lineItemProperties: metafield(
+            namespace: "custom"
+            key: "line_item_properties"
+          ) {
+            value
+          }
         }
         selectedOptions {
           name
@@ -97,6 +104,13 @@ export const CART_QUERY_FRAGMENT = `#graphql
           title
           id
           vendor
+          productType
+          lineItemProperties: metafield(
+            namespace: "custom"
+            key: "line_item_properties"
+          ) {
+            value
+          }
         }
         selectedOptions {
           name
@@ -106,6 +120,7 @@ export const CART_QUERY_FRAGMENT = `#graphql
     }
   }
   fragment CartApiQuery on Cart {
+    createdAt
     updatedAt
     id
     appliedGiftCards {
@@ -163,6 +178,20 @@ export const CART_QUERY_FRAGMENT = `#graphql
   }
 `;
 
+// Returned by every cart mutation. Hydrogen's default fragment, plus the
+// attributes needed to update them without dropping existing ones.
+export const CART_MUTATE_FRAGMENT = `#graphql
+  fragment CartApiMutation on Cart {
+    id
+    totalQuantity
+    checkoutUrl
+    attributes {
+      key
+      value
+    }
+  }
+`;
+
 const MENU_FRAGMENT = `#graphql
   fragment MenuItem on MenuItem {
     id
@@ -212,6 +241,9 @@ export const HEADER_QUERY = `#graphql
   ) @inContext(language: $language, country: $country) {
     shop {
       ...Shop
+      cartIncentives: metafield(namespace: "custom", key: "cart_incentives") {
+        value
+      }
     }
     menu(handle: $headerMenuHandle) {
       ...Menu
@@ -232,3 +264,34 @@ export const FOOTER_QUERY = `#graphql
   }
   ${MENU_FRAGMENT}
 `;
+
+// NOTE: https://shopify.dev/docs/api/storefront/latest/queries/localization
+export const LOCALIZATION_QUERY = `#graphql
+  fragment LocalizationCountry on Country {
+    isoCode
+    name
+    currency {
+      isoCode
+      symbol
+    }
+  }
+  query Localization($country: CountryCode, $language: LanguageCode)
+  @inContext(language: $language, country: $country) {
+    localization {
+      country {
+        ...LocalizationCountry
+      }
+      language {
+        isoCode
+        name
+      }
+      availableCountries {
+        ...LocalizationCountry
+        availableLanguages {
+          isoCode
+          name
+        }
+      }
+    }
+  }
+`;
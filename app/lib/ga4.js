@@ -0,0 +1,333 @@
+import {parseGid} from '@shopify/hydrogen';
+
+/**
+ * Builders for GA4 recommended ecommerce event payloads. Each builder maps
+ * Storefront API data onto the `ecommerce` object expected by GA4, so GTM's
+ * built-in GA4 ecommerce tags can read it without custom variables.
+ * @see https://developers.google.com/analytics/devguides/collection/ga4/ecommerce
+ */
+
+/**
+ * Maps a product, and optionally one of its variants, to a GA4 item.
+ * Accepts the product page, product item, search and recommendation
+ * fragments, falling back to the cheapest price when no variant is given.
+ * @returns {Ga4Item}
+ * @param {ProductLike} product
+ * @param {{
+ *   variant?: VariantLike | null;
+ *   quantity?: number;
+ *   index?: number;
+ *   listId?: string;
+ *   listName?: string;
+ * }} [options]
+ */
+export function productToItem(
+  product,
+  {variant, quantity = 1, index, listId, listName} = {},
+) {
+  const price =
+    variant?.price ??
+    product.selectedOrFirstAvailableVariant?.price ??
+    product.priceRange?.minVariantPrice;
+
+  return compact({
+    item_id: parseGid(product.id).id,
+    item_name: product.title,
+    item_brand: product.vendor,
+    item_category: product.productType,
+    item_variant: variantTitle(variant),
+    item_list_id: listId,
+    item_list_name: listName,
+    index,
+    price: toNumber(price?.amount),
+    quantity,
+  });
+}
+
+/**
+ * Maps a cart line to a GA4 item.
+ * @returns {Ga4Item}
+ * @param {CartLine} line
+ * @param {{quantity?: number}} [options] Overrides the line quantity, e.g. for
+ *   the number of units removed
+ */
+export function cartLineToItem(line, {quantity = line.quantity} = {}) {
+  const {merchandise} = line;
+
+  return compact({
+    item_id: parseGid(merchandise.product.id).id,
+    item_name: merchandise.product.title,
+    item_brand: merchandise.product.vendor,
+    item_category: merchandise.product.productType,
+    item_variant: variantTitle(merchandise),
+    price: toNumber(
+      line.cost?.amountPerQuantity?.amount ?? merchandise.price?.amount,
+    ),
+    quantity,
+  });
+}
+
+/**
+ * Pass the list the product was selected from, if any, so the view is
+ * attributed to it.
+ * @returns {Ga4EventPayload}
+ * @param {{
+ *   product: ProductLike;
+ *   variant?: VariantLike | null;
+ *   listId?: string;
+ *   listName?: string;
+ *   index?: number;
+ * }}
+ */
+export function viewItem({product, variant, listId, listName, index}) {
+  const item = productToItem(product, {variant, listId, listName, index});
+  return ecommerce({currency: currencyOf(product, variant), items: [item]});
+}
+
+/**
+ * Products are numbered from `offset`, unless `indexes` gives the position of
+ * each one, e.g. for impressions of products scattered through a list.
+ * @returns {Ga4EventPayload}
+ * @param {{
+ *   products: ProductLike[];
+ *   listId: string;
+ *   listName: string;
+ *   offset?: number;
+ *   indexes?: number[];
+ * }}
+ */
+export function viewItemList({
+  products,
+  listId,
+  listName,
+  offset = 0,
+  indexes,
+}) {
+  const items = products.map((product, index) =>
+    productToItem(product, {
+      listId,
+      listName,
+      index: indexes?.[index] ?? offset + index,
+    }),
+  );
+
+  return ecommerce({
+    currency: products[0] ? currencyOf(products[0]) : undefined,
+    items,
+    extra: {item_list_id: listId, item_list_name: listName},
+    withValue: false,
+  });
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {{
+ *   product: ProductLike;
+ *   listId: string;
+ *   listName: string;
+ *   index?: number;
+ * }}
+ */
+export function selectItem({product, listId, listName, index}) {
+  const item = productToItem(product, {listId, listName, index});
+
+  return ecommerce({
+    currency: currencyOf(product),
+    items: [item],
+    extra: {item_list_id: listId, item_list_name: listName},
+    withValue: false,
+  });
+}
+
+/**
+ * Accepts either a product and variant, as on the product page, or the cart
+ * line that received the added units.
+ * @returns {Ga4EventPayload}
+ * @param {{
+ *   product?: ProductLike;
+ *   variant?: VariantLike | null;
+ *   line?: CartLine;
+ *   quantity?: number;
+ * }}
+ */
+export function addToCart({product, variant, line, quantity = 1}) {
+  if (line) {
+    const item = cartLineToItem(line, {quantity});
+    return ecommerce({currency: currencyOfLine(line), items: [item]});
+  }
+
+  const item = productToItem(product, {variant, quantity});
+  return ecommerce({currency: currencyOf(product, variant), items: [item]});
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {{line: CartLine; quantity?: number}}
+ */
+export function removeFromCart({line, quantity = line.quantity}) {
+  const item = cartLineToItem(line, {quantity});
+  return ecommerce({currency: currencyOfLine(line), items: [item]});
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {{cart: CartApiQueryFragment}}
+ */
+export function viewCart({cart}) {
+  return cartPayload(cart);
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {{cart: CartApiQueryFragment}}
+ */
+export function beginCheckout({cart}) {
+  return cartPayload(cart);
+}
+
+/**
+ * GA4's `search` event takes the term as a top-level parameter rather than
+ * an `ecommerce` object.
+ * @param {{term: string}}
+ */
+export function search({term}) {
+  return {search_term: term};
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {CartApiQueryFragment} cart
+ */
+function cartPayload(cart) {
+  const lines = cart?.lines?.nodes ?? [];
+  const coupon = cart?.discountCodes
+    ?.filter((discount) => discount.applicable)
+    .map(({code}) => code)
+    .join(',');
+
+  return ecommerce({
+    currency: cart?.cost?.subtotalAmount?.currencyCode,
+    value: toNumber(cart?.cost?.subtotalAmount?.amount),
+    items: lines.map((line) => cartLineToItem(line)),
+    extra: {coupon: coupon || undefined},
+  });
+}
+
+/**
+ * @returns {Ga4EventPayload}
+ * @param {{
+ *   currency?: string;
+ *   items: Ga4Item[];
+ *   value?: number;
+ *   extra?: Record<string, unknown>;
+ *   withValue?: boolean;
+ * }}
+ */
+function ecommerce({currency, items, value, extra = {}, withValue = true}) {
+  const total =
+    value ??
+    items.reduce((sum, item) => sum + (item.price ?? 0) * item.quantity, 0);
+
+  return {
+    ecommerce: compact({
+      currency,
+      value: withValue ? Math.round(total * 100) / 100 : undefined,
+      ...extra,
+      items,
+    }),
+  };
+}
+
+/**
+ * @param {ProductLike} product
+ * @param {VariantLike | null} [variant]
+ */
+function currencyOf(product, variant) {
+  return (
+    variant?.price?.currencyCode ??
+    product.selectedOrFirstAvailableVariant?.price?.currencyCode ??
+    product.priceRange?.minVariantPrice?.currencyCode
+  );
+}
+
+/**
+ * @param {CartLine} line
+ */
+function currencyOfLine(line) {
+  return (
+    line.cost?.amountPerQuantity?.currencyCode ??
+    line.merchandise.price?.currencyCode
+  );
+}
+
+/**
+ * Shopify names the only variant of a product without options
+ * "Default Title", which is meaningless as a GA4 item variant.
+ * @param {VariantLike | null | undefined} variant
+ */
+function variantTitle(variant) {
+  if (!variant?.title || variant.title === 'Default Title') return undefined;
+  return variant.title;
+}
+
+/**
+ * @param {string | undefined} amount
+ */
+function toNumber(amount) {
+  if (amount === undefined || amount === null) return undefined;
+  const number = Number(amount);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Removes keys with `undefined` values so GTM doesn't receive empty fields.
+ * @template {Record<string, unknown>} T
+ * @param {T} object
+ * @returns {T}
+ */
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined),
+  );
+}
+
+/**
+ * @typedef {Object} Ga4Item
+ * @property {string} item_id
+ * @property {string} item_name
+ * @property {string} [item_brand]
+ * @property {string} [item_category]
+ * @property {string} [item_variant]
+ * @property {string} [item_list_id]
+ * @property {string} [item_list_name]
+ * @property {number} [index]
+ * @property {number} [price]
+ * @property {number} quantity
+ */
+/**
+ * @typedef {{
+ *   ecommerce: {
+ *     currency?: string;
+ *     value?: number;
+ *     coupon?: string;
+ *     item_list_id?: string;
+ *     item_list_name?: string;
+ *     items: Ga4Item[];
+ *   };
+ * }} Ga4EventPayload
+ */
+/**
+ * @typedef {{
+ *   id: string;
+ *   title: string;
+ *   vendor?: string;
+ *   productType?: string;
+ *   priceRange?: {minVariantPrice: MoneyV2};
+ *   selectedOrFirstAvailableVariant?: {price: MoneyV2} | null;
+ * }} ProductLike
+ */
+/** @typedef {{title?: string; price?: MoneyV2}} VariantLike */
+/** @typedef {CartApiQueryFragment['lines']['nodes'][number]} CartLine */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').MoneyV2} MoneyV2 */
+/** @typedef {import('storefrontapi.generated').CartApiQueryFragment} CartApiQueryFragment */
@@ -0,0 +1,262 @@
+/**
+ * The storefront's default locale, served without a path prefix.
+ * @type {I18nLocale}
+ */
+export const DEFAULT_LOCALE = {language: 'EN', country: 'US', pathPrefix: ''};
+
+/**
+ * Locales the storefront is served in. Every locale except the default one is
+ * served under its own path prefix, e.g. `/fr-ca/products/snowboard`, through
+ * the optional `($locale)` route segment.
+ * @type {I18nLocale[]}
+ */
+export const SUPPORTED_LOCALES = [
+  DEFAULT_LOCALE,
+  {language: 'EN', country: 'CA', pathPrefix: '/en-ca'},
+  {language: 'FR', country: 'CA', pathPrefix: '/fr-ca'},
+];
+
+/** Session key holding the locale chosen with the country selector. */
+export const LOCALE_SESSION_KEY = 'locale';
+
+/** A path segment shaped like a locale, e.g. `fr-ca`. */
+const LOCALE_SEGMENT_PATTERN = /^[a-z]{2}-[a-z]{2}$/i;
+
+/**
+ * Paths served outside the `($locale)` segment, or by resource routes with a
+ * file extension, such as `/robots.txt` and `/sitemap.xml`.
+ */
+const UNLOCALIZED_PATH_PATTERN = /^\/(api|account\/authorize)(\/|$)|\.\w+$/;
+
+/**
+ * Detects the locale of a request. A locale path prefix always wins. Paths
+ * without one use the locale chosen with the country selector, saved in the
+ * session, then the best match for the `Accept-Language` header, then the
+ * default locale. Unsupported path prefixes fall through to the other
+ * sources, and are rejected with a 404 by the `($locale)` route.
+ * @returns {I18nLocale & {source: LocaleSource}}
+ * @param {Request} request
+ * @param {AppSession} session
+ */
+export function getLocaleFromRequest(request, session) {
+  const url = new URL(request.url);
+  const firstSegment = url.pathname.split('/')[1] ?? '';
+
+  if (LOCALE_SEGMENT_PATTERN.test(firstSegment)) {
+    const locale = findLocale(firstSegment);
+    if (locale) return {...locale, source: 'path'};
+  }
+
+  const sessionLocale = getSessionLocale(session);
+  if (sessionLocale) return {...sessionLocale, source: 'session'};
+
+  const headerLocale = matchAcceptLanguage(
+    request.headers.get('Accept-Language'),
+  );
+  if (headerLocale) return {...headerLocale, source: 'header'};
+
+  return {...DEFAULT_LOCALE, source: 'default'};
+}
+
+/**
+ * Redirects page requests without a locale path prefix to the prefix of the
+ * locale detected from the session or `Accept-Language` header, so each URL
+ * always serves the same locale. Data requests, resource routes and locales
+ * without a prefix of their own are served as they are.
+ * @returns {Response | null}
+ * @param {Request} request
+ * @param {I18nLocale & {source: LocaleSource}} locale The detected locale
+ */
+export function getLocaleRedirect(request, locale) {
+  if (locale.source === 'path' || !locale.pathPrefix) return null;
+  if (request.method !== 'GET' && request.method !== 'HEAD') return null;
+  if (!request.headers.get('Accept')?.includes('text/html')) return null;
+
+  const url = new URL(request.url);
+  if (UNLOCALIZED_PATH_PATTERN.test(url.pathname)) return null;
+
+  return new Response(null, {
+    status: 302,
+    headers: {
+      Location: `${localizePath(url.pathname, locale)}${url.search}`,
+      'Cache-Control': 'private, no-store',
+    },
+  });
+}
+
+/**
+ * Finds a supported locale by its code, in any case and with either a dash
+ * or an underscore, e.g. `fr-ca`, `FR-CA` or `fr_CA`.
+ * @returns {I18nLocale | null}
+ * @param {string | null | undefined} code
+ */
+export function findLocale(code) {
+  if (!code) return null;
+
+  const [language, country] = code.toUpperCase().split(/[-_]/);
+  return (
+    SUPPORTED_LOCALES.find(
+      (locale) => locale.language === language && locale.country === country,
+    ) ?? null
+  );
+}
+
+/**
+ * Saves the locale chosen with the country selector. Markets without a path
+ * prefix of their own are served from unprefixed paths in that locale.
+ * @param {AppSession} session
+ * @param {Pick<I18nLocale, 'language' | 'country'>} locale
+ */
+export function setSessionLocale(session, {language, country}) {
+  session.set(LOCALE_SESSION_KEY, {language, country});
+}
+
+/**
+ * Resolves a language and country to a locale, using the path prefix of the
+ * matching supported locale, if any.
+ * @returns {I18nLocale}
+ * @param {Pick<I18nLocale, 'language' | 'country'>} locale
+ */
+export function resolveLocale({language, country}) {
+  return (
+    findLocale(getLocaleCode({language, country})) ?? {
+      language,
+      country,
+      pathPrefix: '',
+    }
+  );
+}
+
+/**
+ * Encodes a locale as `<language>-<country>`, e.g. `FR-CA` or `PT_BR-BR`.
+ * @param {Pick<I18nLocale, 'language' | 'country'>} locale
+ */
+export function getLocaleCode({language, country}) {
+  return `${language}-${country}`;
+}
+
+/**
+ * Parses a code created by `getLocaleCode`.
+ * @returns {Pick<I18nLocale, 'language' | 'country'> | null}
+ * @param {unknown} code
+ */
+export function parseLocaleCode(code) {
+  const match =
+    typeof code === 'string'
+      ? /^([A-Z]{2,3}(?:_[A-Z]{2,4})?)-([A-Z]{2})$/.exec(code)
+      : null;
+  if (!match) return null;
+
+  return {
+    language: /** @type {LanguageCode} */ (match[1]),
+    country: /** @type {CountryCode} */ (match[2]),
+  };
+}
+
+/**
+ * The locale as an `hreflang` value.
+ * @example
+ * ```js
+ * getHreflang({language: 'FR', country: 'CA'}); // 'fr-CA'
+ * ```
+ * @param {Pick<I18nLocale, 'language' | 'country'>} locale
+ */
+export function getHreflang({language, country}) {
+  return `${language.split('_')[0].toLowerCase()}-${country}`;
+}
+
+/**
+ * Removes the locale path prefix from a pathname, if it has one.
+ * @example
+ * ```js
+ * stripLocalePrefix('/fr-ca/products/snowboard'); // '/products/snowboard'
+ * ```
+ * @param {string} pathname
+ */
+export function stripLocalePrefix(pathname) {
+  const [, firstSegment = '', ...rest] = pathname.split('/');
+  if (!LOCALE_SEGMENT_PATTERN.test(firstSegment)) return pathname;
+  return `/${rest.join('/')}`;
+}
+
+/**
+ * Whether the `($locale)` segment of a route matches the detected locale.
+ * A missing segment always matches.
+ * @param {string | undefined} param
+ * @param {I18nLocale} locale
+ */
+export function isLocaleParamValid(param, locale) {
+  if (!param) return true;
+  return `/${param.toLowerCase()}` === locale.pathPrefix;
+}
+
+/**
+ * Prefixes a storefront path with the locale's path prefix.
+ * @example
+ * ```js
+ * localizePath('/products/snowboard', findLocale('fr-ca'));
+ * // '/fr-ca/products/snowboard'
+ * ```
+ * @param {string} path
+ * @param {Pick<I18nLocale, 'pathPrefix'> | null | undefined} locale
+ */
+export function localizePath(path, locale) {
+  const prefix = locale?.pathPrefix ?? '';
+  if (!prefix) return path;
+  return path === '/' ? prefix : `${prefix}${path}`;
+}
+
+/**
+ * The supported locale that best matches an `Accept-Language` header.
+ * Exact language and region matches are preferred, then a bare language tag
+ * such as `fr` matches the first locale in that language.
+ * @returns {I18nLocale | null}
+ * @param {string | null} header
+ */
+function matchAcceptLanguage(header) {
+  if (!header) return null;
+
+  const tags = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith('q='));
+      return {tag, q: quality ? Number(quality.slice(2)) : 1};
+    })
+    .filter(({tag, q}) => tag && tag !== '*' && q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const {tag} of tags) {
+    const [language, region] = tag.toUpperCase().split('-');
+    const locale = region
+      ? findLocale(`${language}-${region}`)
+      : SUPPORTED_LOCALES.find((supported) => supported.language === language);
+    if (locale) return locale;
+  }
+
+  return null;
+}
+
+/**
+ * @returns {I18nLocale | null}
+ * @param {AppSession} session
+ */
+function getSessionLocale(session) {
+  const stored = session.get(LOCALE_SESSION_KEY);
+  const locale = stored ? parseLocaleCode(getLocaleCode(stored)) : null;
+  return locale ? resolveLocale(locale) : null;
+}
+
+/**
+ * @typedef {Object} I18nLocale
+ * @property {LanguageCode} language
+ * @property {CountryCode} country
+ * @property {string} pathPrefix Empty for the default locale
+ */
+/** @typedef {'path' | 'session' | 'header' | 'default'} LocaleSource */
+
+/** @typedef {import('~/lib/session').AppSession} AppSession */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').LanguageCode} LanguageCode */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CountryCode} CountryCode */
@@ -0,0 +1,126 @@
+import {CUSTOMER_EMAIL_QUERY} from '~/graphql/customer-account/CustomerEmailQuery';
+
+/**
+ * Resolves a privacy-safe identity for the current visitor. Logged-in
+ * customers are identified by salted SHA-256 hashes of their customer ID and
+ * email, so analytics can join sessions without ever seeing the raw email.
+ * Without a `PRIVATE_ANALYTICS_SALT`, no hashes are shared.
+ * @param {{
+ *   customerAccount: HydrogenRouterContextProvider['customerAccount'];
+ *   env: Env;
+ * }}
+ * @returns {Promise<CustomerIdentity>}
+ */
+export async function getCustomerIdentity({customerAccount, env}) {
+  const customer = await getLoggedInCustomer(customerAccount);
+  if (!customer) return ANONYMOUS_IDENTITY;
+
+  const salt = env.PRIVATE_ANALYTICS_SALT;
+  if (!salt) return {...ANONYMOUS_IDENTITY, isLoggedIn: true};
+
+  const email = customer.emailAddress?.emailAddress;
+
+  const [customerId, hashedEmail] = await Promise.all([
+    sha256(salt + customer.id),
+    email ? sha256(salt + normalizeEmail(email)) : null,
+  ]);
+
+  return {isLoggedIn: true, customerId, hashedEmail};
+}
+
+/**
+ * Returns the raw email of the logged-in customer, or `null` unless the
+ * visitor has granted marketing consent.
+ * @param {{
+ *   request: Request;
+ *   customerAccount: HydrogenRouterContextProvider['customerAccount'];
+ * }}
+ */
+export async function getCustomerEmail({request, customerAccount}) {
+  if (!hasMarketingConsent(request)) return null;
+
+  const customer = await getLoggedInCustomer(customerAccount);
+  return customer?.emailAddress?.emailAddress ?? null;
+}
+
+/** @type {CustomerIdentity} */
+const ANONYMOUS_IDENTITY = {
+  isLoggedIn: false,
+  customerId: null,
+  hashedEmail: null,
+};
+
+/**
+ * @param {HydrogenRouterContextProvider['customerAccount']} customerAccount
+ */
+async function getLoggedInCustomer(customerAccount) {
+  try {
+    if (!(await customerAccount.isLoggedIn())) return null;
+
+    const {data} = await customerAccount.query(CUSTOMER_EMAIL_QUERY, {
+      variables: {language: customerAccount.i18n.language},
+    });
+
+    return data?.customer ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the visitor granted marketing consent, as recorded by the Customer
+ * Privacy API in the `_tracking_consent` cookie. `purposes` holds the
+ * consent in effect, including the region's default; older cookies only
+ * have the explicit choice under `con.CMP`. An unreadable cookie counts as
+ * no consent.
+ * @param {Request} request
+ */
+function hasMarketingConsent(request) {
+  const cookie = (request.headers.get('Cookie') ?? '')
+    .split(';')
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${TRACKING_CONSENT_COOKIE}=`));
+  if (!cookie) return false;
+
+  try {
+    const consent = JSON.parse(
+      decodeURIComponent(cookie.slice(TRACKING_CONSENT_COOKIE.length + 1)),
+    );
+    if (consent?.purposes) return consent.purposes.m === true;
+    return consent?.con?.CMP?.m === '1';
+  } catch {
+    return false;
+  }
+}
+
+const TRACKING_CONSENT_COOKIE = '_tracking_consent';
+
+/**
+ * @param {string} email
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * @param {string} value
+ */
+async function sha256(value) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(value),
+  );
+
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @typedef {Object} CustomerIdentity
+ * @property {boolean} isLoggedIn
+ * @property {string | null} customerId Salted hash of the customer ID
+ * @property {string | null} hashedEmail Salted hash of the normalized email
+ */
+
+/** @typedef {import('@shopify/hydrogen').HydrogenRouterContextProvider} HydrogenRouterContextProvider */
@@ -0,0 +1,154 @@
+/**
+ * Product metafield declaring the properties shoppers can set on the cart
+ * lines of that product, as JSON:
+ * @example
+ * ```json
+ * [
+ *   {"key": "Engraving", "type": "text", "maxLength": 20, "pattern": "^[A-Za-z0-9 ]*$"},
+ *   {"key": "Gift message", "type": "textarea", "maxLength": 200},
+ *   {"key": "Gift wrap", "type": "checkbox"}
+ * ]
+ * ```
+ * `key` is the name of the line attribute, shown at checkout and on the
+ * order, and `label` defaults to it. Text properties accept `required`,
+ * `maxLength` and a `pattern` the whole value must match. Checked
+ * checkboxes are saved as `CHECKBOX_VALUE`.
+ */
+export const LINE_ITEM_PROPERTIES_METAFIELD = {
+  namespace: 'custom',
+  key: 'line_item_properties',
+};
+
+/** Value of the attribute of a checked checkbox property. */
+export const CHECKBOX_VALUE = 'Yes';
+
+/** Longest value of a text property without a `maxLength` of its own. */
+const DEFAULT_MAX_LENGTH = 250;
+
+const PROPERTY_TYPES = ['text', 'textarea', 'checkbox'];
+
+/**
+ * Parses the `LINE_ITEM_PROPERTIES_METAFIELD` value. Invalid JSON and
+ * invalid properties are ignored, so a bad edit in the admin can't stop
+ * the product from being added to the cart.
+ * @returns {LineItemProperty[]}
+ * @param {string | null | undefined} value
+ */
+export function parseLineItemProperties(value) {
+  if (!value) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter(
+      (property) =>
+        property &&
+        typeof property.key === 'string' &&
+        property.key.trim() &&
+        PROPERTY_TYPES.includes(property.type ?? 'text'),
+    )
+    .map((property) => ({
+      key: property.key.trim(),
+      label:
+        typeof property.label === 'string' && property.label
+          ? property.label
+          : property.key.trim(),
+      type: property.type ?? 'text',
+      required: property.required === true,
+      maxLength:
+        Number.isInteger(property.maxLength) && property.maxLength > 0
+          ? property.maxLength
+          : DEFAULT_MAX_LENGTH,
+      pattern: typeof property.pattern === 'string' ? property.pattern : null,
+    }));
+}
+
+/**
+ * Validates the values entered for a line's properties, keyed by property
+ * `key`, and turns them into cart line attributes. Empty properties are
+ * left out, and values for undeclared keys are ignored. Used both by the
+ * product form and, before a line is added or updated, by the cart action.
+ * @returns {{attributes: AttributeInput[]; errors: Record<string, string>}}
+ * @param {LineItemProperty[]} properties
+ * @param {Record<string, string | boolean | null | undefined>} values
+ */
+export function validateLineItemProperties(properties, values) {
+  /** @type {AttributeInput[]} */
+  const attributes = [];
+  /** @type {Record<string, string>} */
+  const errors = {};
+
+  properties.forEach((property) => {
+    const value = values[property.key];
+
+    if (property.type === 'checkbox') {
+      if (value === true || value === CHECKBOX_VALUE) {
+        attributes.push({key: property.key, value: CHECKBOX_VALUE});
+      } else if (property.required) {
+        errors[property.key] = `${property.label} is required`;
+      }
+      return;
+    }
+
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) {
+      if (property.required) {
+        errors[property.key] = `${property.label} is required`;
+      }
+      return;
+    }
+
+    if (text.length > property.maxLength) {
+      errors[property.key] =
+        `${property.label} must be at most ${property.maxLength} characters`;
+    } else if (property.pattern && !matchesPattern(property.pattern, text)) {
+      errors[property.key] = `${property.label} contains invalid characters`;
+    } else {
+      attributes.push({key: property.key, value: text});
+    }
+  });
+
+  return {attributes, errors};
+}
+
+/**
+ * The attributes of a cart line as values for `validateLineItemProperties`.
+ * @returns {Record<string, string>}
+ * @param {Array<{key: string; value?: string | null}> | null | undefined} attributes
+ */
+export function getLineItemPropertyValues(attributes) {
+  return Object.fromEntries(
+    (attributes ?? []).map(({key, value}) => [key, value ?? '']),
+  );
+}
+
+/**
+ * Patterns must match the whole value. Invalid patterns accept everything.
+ * @param {string} pattern
+ * @param {string} value
+ */
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u').test(value);
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * @typedef {Object} LineItemProperty
+ * @property {string} key Name of the cart line attribute
+ * @property {string} label
+ * @property {'text' | 'textarea' | 'checkbox'} type
+ * @property {boolean} required
+ * @property {number} maxLength
+ * @property {string | null} pattern
+ */
+
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
@@ -0,0 +1,137 @@
+import {GIFT_LINE_ATTRIBUTE} from '~/lib/cartIncentives';
+import {
+  LINE_ITEM_PROPERTIES_METAFIELD,
+  getLineItemPropertyValues,
+  parseLineItemProperties,
+  validateLineItemProperties,
+} from '~/lib/lineItemProperties';
+
+/**
+ * Validates the properties of the lines added by `LinesAdd`, or edited by
+ * `LinesUpdate`, against those declared by their products, as the product
+ * form does in the browser. Declared properties are replaced by their
+ * validated values, and other attributes are dropped unless they are
+ * private, i.e. start with `_`, which checkout doesn't show. Only
+ * `syncGiftLines` marks lines as gifts, so `GIFT_LINE_ATTRIBUTE` is always
+ * dropped.
+ * @returns {Promise<
+ *   {lines: Array<CartLineInput | CartLineUpdateInput>} | {errors: string[]}
+ * >}
+ * @param {{
+ *   action: string;
+ *   lines: Array<CartLineInput | CartLineUpdateInput>;
+ *   storefront: Storefront;
+ *   cart: HydrogenCart;
+ * }}
+ */
+export async function validateCartLineProperties({
+  action,
+  lines,
+  storefront,
+  cart,
+}) {
+  const definitions =
+    action === 'LinesAdd'
+      ? await getVariantProperties(storefront, lines)
+      : await getCartLineProperties(cart, lines);
+  if (!definitions) return {lines};
+
+  /** @type {string[]} */
+  const errors = [];
+  const validatedLines = lines.map((line) => {
+    // Updates that only change the quantity keep the line's attributes
+    if (action !== 'LinesAdd' && !line.attributes) return line;
+
+    const properties =
+      definitions.get(action === 'LinesAdd' ? line.merchandiseId : line.id) ??
+      [];
+    const {attributes, errors: lineErrors} = validateLineItemProperties(
+      properties,
+      getLineItemPropertyValues(line.attributes),
+    );
+    errors.push(...Object.values(lineErrors));
+
+    return {
+      ...line,
+      attributes: [
+        ...(line.attributes ?? []).filter(
+          ({key}) => key.startsWith('_') && key !== GIFT_LINE_ATTRIBUTE,
+        ),
+        ...attributes,
+      ],
+    };
+  });
+
+  return errors.length ? {errors} : {lines: validatedLines};
+}
+
+/**
+ * The properties declared by the products of the variants being added,
+ * keyed by variant ID.
+ * @returns {Promise<Map<string, LineItemProperty[]>>}
+ * @param {Storefront} storefront
+ * @param {CartLineInput[]} lines
+ */
+async function getVariantProperties(storefront, lines) {
+  const ids = [...new Set(lines.map((line) => line.merchandiseId))];
+  const {nodes} = await storefront.query(LINE_ITEM_PROPERTIES_QUERY, {
+    variables: {ids, ...LINE_ITEM_PROPERTIES_METAFIELD},
+  });
+
+  return new Map(
+    nodes
+      .filter((node) => node?.product)
+      .map((variant) => [
+        variant.id,
+        parseLineItemProperties(variant.product.lineItemProperties?.value),
+      ]),
+  );
+}
+
+/**
+ * The properties declared by the products of the cart lines being edited,
+ * keyed by line ID, or `null` when no line's attributes are edited.
+ * @returns {Promise<Map<string, LineItemProperty[]> | null>}
+ * @param {HydrogenCart} cart
+ * @param {CartLineUpdateInput[]} lines
+ */
+async function getCartLineProperties(cart, lines) {
+  if (!lines.some((line) => line.attributes)) return null;
+
+  const cartResult = await cart.get();
+  return new Map(
+    (cartResult?.lines.nodes ?? []).map((line) => [
+      line.id,
+      parseLineItemProperties(
+        line.merchandise.product.lineItemProperties?.value,
+      ),
+    ]),
+  );
+}
+
+const LINE_ITEM_PROPERTIES_QUERY = `#graphql
+  query LineItemProperties(
+    $ids: [ID!]!
+    $namespace: String!
+    $key: String!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        product {
+          lineItemProperties: metafield(namespace: $namespace, key: $key) {
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} HydrogenCart */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineInput} CartLineInput */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').CartLineUpdateInput} CartLineUpdateInput */
+/** @typedef {import('~/lib/lineItemProperties').LineItemProperty} LineItemProperty */
@@ -0,0 +1,74 @@
+import {describe, expect, it} from 'vitest';
+import {GIFT_LINE_ATTRIBUTE} from '~/lib/cartIncentives';
+import {validateCartLineProperties} from '~/lib/lineItemProperties.server';
+
+const VARIANT_ID = 'gid://shopify/ProductVariant/1';
+
+const storefront = {
+  query: async () => ({
+    nodes: [
+      {
+        id: VARIANT_ID,
+        product: {
+          lineItemProperties: {
+            value: JSON.stringify([{key: 'Engraving', required: true}]),
+          },
+        },
+      },
+    ],
+  }),
+};
+
+/**
+ * @param {Array<{key: string; value: string}>} attributes
+ */
+function addLine(attributes) {
+  return validateCartLineProperties({
+    action: 'LinesAdd',
+    lines: [{merchandiseId: VARIANT_ID, quantity: 1, attributes}],
+    storefront,
+    cart: /** @type {any} */ ({}),
+  });
+}
+
+describe('validateCartLineProperties', () => {
+  it('keeps declared and private attributes only', async () => {
+    expect(
+      await addLine([
+        {key: 'Engraving', value: 'Ada'},
+        {key: 'Undeclared', value: 'x'},
+        {key: '_utm_source', value: 'newsletter'},
+      ]),
+    ).toEqual({
+      lines: [
+        {
+          merchandiseId: VARIANT_ID,
+          quantity: 1,
+          attributes: [
+            {key: '_utm_source', value: 'newsletter'},
+            {key: 'Engraving', value: 'Ada'},
+          ],
+        },
+      ],
+    });
+  });
+
+  it('drops the gift attribute sent by shoppers', async () => {
+    const result = await addLine([
+      {key: 'Engraving', value: 'Ada'},
+      {key: GIFT_LINE_ATTRIBUTE, value: 'true'},
+    ]);
+
+    expect(result).toEqual({
+      lines: [
+        expect.objectContaining({
+          attributes: [{key: 'Engraving', value: 'Ada'}],
+        }),
+      ],
+    });
+  });
+
+  it('returns the errors of invalid lines', async () => {
+    expect(await addLine([])).toEqual({errors: ['Engraving is required']});
+  });
+});
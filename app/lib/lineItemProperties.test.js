@@ -0,0 +1,103 @@
+import {describe, expect, it} from 'vitest';
+import {
+  CHECKBOX_VALUE,
+  getLineItemPropertyValues,
+  parseLineItemProperties,
+  validateLineItemProperties,
+} from '~/lib/lineItemProperties';
+
+const PROPERTIES = parseLineItemProperties(
+  JSON.stringify([
+    {key: 'Engraving', maxLength: 10, pattern: '[A-Za-z ]*', required: true},
+    {key: 'Gift message', label: 'Message', type: 'textarea'},
+    {key: 'Gift wrap', type: 'checkbox'},
+  ]),
+);
+
+describe('parseLineItemProperties', () => {
+  it('fills in the defaults of each property', () => {
+    expect(PROPERTIES).toEqual([
+      {
+        key: 'Engraving',
+        label: 'Engraving',
+        type: 'text',
+        required: true,
+        maxLength: 10,
+        pattern: '[A-Za-z ]*',
+      },
+      {
+        key: 'Gift message',
+        label: 'Message',
+        type: 'textarea',
+        required: false,
+        maxLength: 250,
+        pattern: null,
+      },
+      {
+        key: 'Gift wrap',
+        label: 'Gift wrap',
+        type: 'checkbox',
+        required: false,
+        maxLength: 250,
+        pattern: null,
+      },
+    ]);
+  });
+
+  it('ignores invalid JSON and invalid properties', () => {
+    expect(parseLineItemProperties('{')).toEqual([]);
+    expect(parseLineItemProperties('{"key": "Engraving"}')).toEqual([]);
+    expect(
+      parseLineItemProperties(
+        JSON.stringify([{key: ' '}, {key: 'Size', type: 'select'}, null]),
+      ),
+    ).toEqual([]);
+  });
+});
+
+describe('validateLineItemProperties', () => {
+  it('turns valid values into trimmed attributes', () => {
+    expect(
+      validateLineItemProperties(PROPERTIES, {
+        Engraving: ' Ada ',
+        'Gift message': '',
+        'Gift wrap': true,
+        Unknown: 'ignored',
+      }),
+    ).toEqual({
+      attributes: [
+        {key: 'Engraving', value: 'Ada'},
+        {key: 'Gift wrap', value: CHECKBOX_VALUE},
+      ],
+      errors: {},
+    });
+  });
+
+  it('rejects missing, too long and invalid values', () => {
+    expect(validateLineItemProperties(PROPERTIES, {}).errors).toEqual({
+      Engraving: 'Engraving is required',
+    });
+    expect(
+      validateLineItemProperties(PROPERTIES, {Engraving: 'Grace Hopper'})
+        .errors,
+    ).toEqual({Engraving: 'Engraving must be at most 10 characters'});
+    expect(
+      validateLineItemProperties(PROPERTIES, {Engraving: 'Ada 1'}).errors,
+    ).toEqual({Engraving: 'Engraving contains invalid characters'});
+  });
+
+  it('accepts the attributes of an existing line', () => {
+    const values = getLineItemPropertyValues([
+      {key: 'Engraving', value: 'Ada'},
+      {key: 'Gift wrap', value: CHECKBOX_VALUE},
+    ]);
+
+    expect(validateLineItemProperties(PROPERTIES, values)).toEqual({
+      attributes: [
+        {key: 'Engraving', value: 'Ada'},
+        {key: 'Gift wrap', value: CHECKBOX_VALUE},
+      ],
+      errors: {},
+    });
+  });
+});
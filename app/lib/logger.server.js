@@ -0,0 +1,424 @@
+import {matchRoutes} from 'react-router';
+import {getStorefrontHeaders} from '@shopify/hydrogen/oxygen';
+
+/** Carries the request ID from the client and back in every response. */
+export const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/** Incoming request IDs are only trusted when they look like one. */
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const LOG_LEVELS = {debug: 10, info: 20, warn: 30, error: 40};
+
+/** @type {WeakMap<ServerBuild['routes'], RouteObject[]>} */
+const routeTrees = new WeakMap();
+
+/**
+ * Sinks that log lines can be exported to, keyed by the name used in the
+ * `LOG_SINKS` environment variable. Add an entry here to export logs to
+ * another service.
+ * @type {Record<string, (env: Env) => LogSink | null>}
+ */
+export const LOG_SINKS = {
+  console: createConsoleSink,
+  http: createHttpSink,
+};
+
+/**
+ * Creates the logger of a request, exposed as `context.logger`. Every line is
+ * a JSON object with the request ID, and lines are exported to the sinks
+ * after the response is sent. `LOG_LEVEL` sets the lowest level logged,
+ * `info` by default.
+ *
+ * The request ID comes from the `X-Request-Id` header, then Oxygen's
+ * `request-id` header, and is generated otherwise.
+ * @returns {RequestLogger}
+ * @param {{
+ *   request: Request;
+ *   env: Env;
+ *   waitUntil: ExecutionContext['waitUntil'];
+ * }}
+ */
+export function createRequestLogger({request, env, waitUntil}) {
+  const startTime = Date.now();
+  const requestId = getRequestId(request);
+  const minLevel = LOG_LEVELS[env.LOG_LEVEL] ?? LOG_LEVELS.info;
+  const sinks = getSinkNames(env)
+    .map((name) => LOG_SINKS[name]?.(env))
+    .filter(Boolean);
+
+  /** @type {LogLine[]} */
+  let pending = [];
+  let isFlushScheduled = false;
+  let hasEnded = false;
+
+  /**
+   * Cache status of the queries of this request, keyed by operation name.
+   * @type {Map<string, CacheStatus>}
+   */
+  const cacheStatuses = new Map();
+
+  async function flush() {
+    isFlushScheduled = false;
+    const lines = pending;
+    pending = [];
+    if (!lines.length) return;
+
+    const results = await Promise.allSettled(
+      sinks.map((sink) => sink.send(lines)),
+    );
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(
+          `Failed to export logs to ${sinks[index].name}`,
+          result.reason,
+        );
+      }
+    });
+  }
+
+  /**
+   * @param {LogLevel} level
+   * @param {string} message
+   * @param {Record<string, unknown>} [fields]
+   */
+  function log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < minLevel) return;
+
+    pending.push({
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      requestId,
+      ...Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [
+          key,
+          value instanceof Error ? serializeError(value) : value,
+        ]),
+      ),
+    });
+
+    // Lines of deferred queries arrive after the response is sent
+    if (hasEnded && !isFlushScheduled) {
+      isFlushScheduled = true;
+      waitUntil(Promise.resolve().then(flush));
+    }
+  }
+
+  /**
+   * Times the `query` and `mutate` methods of a GraphQL client.
+   * @template {GraphQLClient} T
+   * @param {T} client
+   * @param {string} name Logged as the `client` of each query
+   * @returns {T}
+   */
+  function instrumentClient(client, name) {
+    /** @type {Array<'query' | 'mutate'>} */
+    const methods = ['query', 'mutate'];
+
+    methods.forEach((method) => {
+      const original = client[method];
+      if (typeof original !== 'function') return;
+
+      client[method] = async (document, ...args) => {
+        const operation = getOperationName(document);
+        const queryStartTime = Date.now();
+        try {
+          const result = await original.call(client, document, ...args);
+          log('info', `${name} ${method}`, {
+            client: name,
+            operation,
+            duration: Date.now() - queryStartTime,
+            cache:
+              method === 'query'
+                ? (cacheStatuses.get(operation ?? '') ?? 'NONE')
+                : 'NONE',
+          });
+          return result;
+        } catch (error) {
+          log('error', `${name} ${method} failed`, {
+            client: name,
+            operation,
+            duration: Date.now() - queryStartTime,
+            error,
+          });
+          throw error;
+        }
+      };
+    });
+
+    return client;
+  }
+
+  return {
+    requestId,
+
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+
+    /**
+     * Wraps the Hydrogen cache to record whether each query was served from
+     * it. Hydrogen only reports cache status in development, and its cache
+     * keys contain the query, so lookups are matched to queries by
+     * operation name.
+     * @param {Cache} cache
+     * @returns {Cache}
+     */
+    instrumentCache(cache) {
+      return /** @type {Cache} */ ({
+        async match(key, options) {
+          const response = await cache.match(key, options);
+          const url = typeof key === 'string' ? key : key.url;
+          const operation = getOperationName(safeDecode(url));
+          if (operation) {
+            cacheStatuses.set(operation, getCacheStatus(response));
+          }
+          return response;
+        },
+        put: (key, response) => cache.put(key, response),
+        delete: (key, options) => cache.delete(key, options),
+      });
+    },
+
+    instrumentClient,
+
+    /**
+     * Headers of Storefront API requests, correlated with the request ID.
+     * @param {Request} request
+     */
+    getStorefrontHeaders(request) {
+      return {...getStorefrontHeaders(request), requestGroupId: requestId};
+    },
+
+    /**
+     * Logs the request with its matched route and exports its lines.
+     * @param {{
+     *   request: Request;
+     *   response: Response;
+     *   routes?: ServerBuild['routes'];
+     * }}
+     */
+    end({request, response, routes}) {
+      const url = new URL(request.url);
+      const statuses = Array.from(cacheStatuses.values());
+
+      log(response.status >= 500 ? 'error' : 'info', 'request', {
+        method: request.method,
+        path: url.pathname,
+        route: routes ? matchRouteId(routes, url.pathname) : null,
+        status: response.status,
+        duration: Date.now() - startTime,
+        cache: {
+          hits: statuses.filter((status) => status === 'HIT').length,
+          stale: statuses.filter((status) => status === 'STALE').length,
+          misses: statuses.filter((status) => status === 'MISS').length,
+        },
+      });
+
+      hasEnded = true;
+      waitUntil(flush());
+    },
+  };
+}
+
+/**
+ * Writes each line to the console, errors to `console.error`.
+ * @returns {LogSink}
+ */
+export function createConsoleSink() {
+  return {
+    name: 'console',
+    async send(lines) {
+      lines.forEach((line) => {
+        if (line.level === 'error') {
+          console.error(JSON.stringify(line));
+        } else {
+          // eslint-disable-next-line no-console
+          console.log(JSON.stringify(line));
+        }
+      });
+    },
+  };
+}
+
+/**
+ * POSTs the lines of each request as newline-delimited JSON to
+ * `LOG_SINK_URL`, authenticated with `LOG_SINK_TOKEN` when it is set.
+ * @returns {LogSink | null}
+ * @param {Env} env
+ */
+export function createHttpSink(env) {
+  const url = env.LOG_SINK_URL;
+  if (!url) return null;
+
+  return {
+    name: 'http',
+    async send(lines) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          ...(env.LOG_SINK_TOKEN
+            ? {Authorization: `Bearer ${env.LOG_SINK_TOKEN}`}
+            : {}),
+        },
+        body: lines.map((line) => JSON.stringify(line)).join('\n'),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${url} responded with ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * @param {Request} request
+ */
+function getRequestId(request) {
+  const candidates = [
+    request.headers.get(REQUEST_ID_HEADER),
+    getStorefrontHeaders(request).requestGroupId,
+  ];
+  return (
+    candidates.find((id) => id && REQUEST_ID_PATTERN.test(id)) ??
+    crypto.randomUUID()
+  );
+}
+
+/**
+ * `LOG_SINKS` is a comma-separated list of sink names. Without it, lines go
+ * to `http` when a sink URL is configured and to the console otherwise.
+ * @param {Env} env
+ */
+function getSinkNames(env) {
+  const names = env.LOG_SINKS ?? (env.LOG_SINK_URL ? 'http' : 'console');
+
+  return names
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Hydrogen stores the time a response was cached and its max age in
+ * `cache-put-date` and `real-cache-control`.
+ * @returns {CacheStatus}
+ * @param {Response | undefined} response
+ */
+function getCacheStatus(response) {
+  if (!response) return 'MISS';
+
+  const putDate = Number(response.headers.get('cache-put-date'));
+  const maxAge = Number(
+    /max-age=(\d+)/.exec(response.headers.get('real-cache-control') ?? '')?.[1],
+  );
+  if (!putDate || Number.isNaN(maxAge)) return 'HIT';
+  return (Date.now() - putDate) / 1000 > maxAge ? 'STALE' : 'HIT';
+}
+
+/**
+ * @returns {string | null}
+ * @param {unknown} document
+ */
+function getOperationName(document) {
+  if (typeof document !== 'string') return null;
+  return /\b(?:query|mutation)\s+(\w+)/.exec(document)?.[1] ?? null;
+}
+
+/**
+ * The ID of the deepest route matching a path. Data requests of client-side
+ * navigations are matched to the page they load.
+ * @returns {string | null}
+ * @param {ServerBuild['routes']} routes
+ * @param {string} pathname
+ */
+function matchRouteId(routes, pathname) {
+  if (!routeTrees.has(routes)) {
+    routeTrees.set(routes, createRouteTree(routes, undefined));
+  }
+
+  const path = pathname.replace(/(\/_root)?\.data$/, '') || '/';
+  const matches = matchRoutes(routeTrees.get(routes) ?? [], path);
+  return matches?.[matches.length - 1]?.route.id ?? null;
+}
+
+/**
+ * Nests the flat route manifest of the server build.
+ * @returns {RouteObject[]}
+ * @param {ServerBuild['routes']} routes
+ * @param {string | undefined} parentId
+ */
+function createRouteTree(routes, parentId) {
+  return Object.values(routes)
+    .filter((route) => route?.parentId === parentId)
+    .map((route) => ({
+      id: route.id,
+      path: route.path,
+      index: route.index,
+      caseSensitive: route.caseSensitive,
+      children: route.index ? undefined : createRouteTree(routes, route.id),
+    }));
+}
+
+/**
+ * @param {Error} error
+ */
+function serializeError(error) {
+  return {name: error.name, message: error.message, stack: error.stack};
+}
+
+/**
+ * @param {string} value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * @typedef {Object} RequestLogger
+ * @property {string} requestId
+ * @property {LogMethod} debug
+ * @property {LogMethod} info
+ * @property {LogMethod} warn
+ * @property {LogMethod} error
+ * @property {(cache: Cache) => Cache} instrumentCache
+ * @property {<T extends GraphQLClient>(client: T, name: string) => T} instrumentClient
+ * @property {(request: Request) => StorefrontHeaders} getStorefrontHeaders
+ * @property {(options: {
+ *   request: Request;
+ *   response: Response;
+ *   routes?: ServerBuild['routes'];
+ * }) => void} end
+ */
+/** @typedef {(message: string, fields?: Record<string, unknown>) => void} LogMethod */
+/** @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel */
+/** @typedef {'HIT' | 'STALE' | 'MISS' | 'NONE'} CacheStatus */
+/**
+ * @typedef {{
+ *   timestamp: string;
+ *   level: LogLevel;
+ *   message: string;
+ *   requestId: string;
+ * } & Record<string, unknown>} LogLine
+ */
+/**
+ * @typedef {Object} LogSink
+ * @property {string} name
+ * @property {(lines: LogLine[]) => Promise<void>} send
+ */
+/**
+ * @typedef {{
+ *   query?: (...args: any[]) => Promise<unknown>;
+ *   mutate?: (...args: any[]) => Promise<unknown>;
+ * }} GraphQLClient
+ */
+
+/** @typedef {import('react-router').ServerBuild} ServerBuild */
+/** @typedef {import('react-router').RouteObject} RouteObject */
+/** @typedef {import('@shopify/hydrogen/oxygen').StorefrontHeaders} StorefrontHeaders */
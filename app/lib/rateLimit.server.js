@@ -0,0 +1,49 @@
+/** Windows are forgotten once this many keys are tracked and they expire. */
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Counts requests per key, usually the visitor's IP address, in fixed
+ * windows. Counts are kept in the memory of the worker, so they are per
+ * isolate rather than global.
+ * @example
+ * ```js
+ * const rateLimiter = createRateLimiter();
+ * const retryAfter = rateLimiter.consume(ip, 60);
+ * if (retryAfter) return new Response(null, {status: 429});
+ * ```
+ * @param {{windowMs?: number}} [options]
+ */
+export function createRateLimiter({windowMs = 60 * 1000} = {}) {
+  /** @type {Map<string, {count: number; resetAt: number}>} */
+  const windows = new Map();
+
+  return {
+    /**
+     * Counts a request against the key's limit.
+     * @returns {number} Seconds until the limit resets when it's exceeded,
+     *   or 0
+     * @param {string} key
+     * @param {number} limit Requests allowed per window
+     */
+    consume(key, limit) {
+      const now = Date.now();
+
+      // Forget expired windows so the map doesn't grow with every visitor
+      if (windows.size > MAX_TRACKED_KEYS) {
+        windows.forEach((entry, trackedKey) => {
+          if (entry.resetAt <= now) windows.delete(trackedKey);
+        });
+      }
+
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        windows.set(key, {count: 1, resetAt: now + windowMs});
+        return 0;
+      }
+
+      entry.count++;
+      if (entry.count <= limit) return 0;
+      return Math.ceil((entry.resetAt - now) / 1000);
+    },
+  };
+}
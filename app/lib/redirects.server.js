@@ -0,0 +1,322 @@
+import {CacheLong} from '@shopify/hydrogen';
+import bundledRules from '~/lib/redirects.json';
+
+/**
+ * Metaobject type of the redirect rules managed in the Shopify admin. Its
+ * definition needs Storefront API access and these fields:
+ * - `from`: the path, path prefix or regular expression to match
+ * - `to`: the target path or URL, unused by 410 rules
+ * - `match_type`: `exact` (default), `prefix` or `regex`
+ * - `status`: `301` (default), `302` or `410`
+ * - `preserve_query`: `false` to drop the query string of the request
+ */
+export const REDIRECTS_METAOBJECT_TYPE = 'url_redirect';
+
+/** Redirects need a `to`, 410 rules answer that the page is gone for good. */
+const RULE_STATUSES = [301, 302, 410];
+
+/** Metaobjects are loaded 250 at a time, up to this many pages. */
+const MAX_METAOBJECT_PAGES = 20;
+
+/**
+ * Regular expressions run on every request, so long patterns, and paths too
+ * long to be legacy URLs, are skipped.
+ */
+const MAX_REGEX_PATTERN_LENGTH = 256;
+const MAX_REGEX_PATH_LENGTH = 512;
+
+/**
+ * A quantified group that contains a quantifier, e.g. `(a+)+`, which can
+ * backtrack exponentially.
+ */
+const NESTED_QUANTIFIER_PATTERN =
+  /\((?:[^()\\]|\\.)*[*+}](?:[^()\\]|\\.)*\)[*+{]/;
+
+/**
+ * The rules compiled for the cached rule set they were loaded with.
+ * @type {{loadedAt: number; rules: CompiledRedirectRules} | null}
+ */
+let compiledRules = null;
+
+/**
+ * Answers requests for legacy URLs with a redirect or a 410, before the app
+ * renders them. Rules come from `REDIRECTS_METAOBJECT_TYPE` metaobjects,
+ * cached as a whole with the Hydrogen cache, and from the bundled
+ * `redirects.json`, using the same shape as `RedirectRule`:
+ * @example
+ * ```json
+ * [
+ *   {"from": "/about-us", "to": "/pages/about"},
+ *   {"from": "/catalog", "to": "/collections", "type": "prefix"},
+ *   {"from": "^/shop/item-(.+)\\.html$", "to": "/products/$1", "type": "regex"},
+ *   {"from": "/lookbook-2019", "status": 410}
+ * ]
+ * ```
+ * Exact rules are checked first, then the longest matching prefix, then
+ * regular expressions in order. Paths are matched case-insensitively and
+ * without a trailing slash, and merchant rules win over bundled ones.
+ * Relative targets always stay on the storefront's origin.
+ * @returns {Promise<Response | null>} `null` when no rule matches
+ * @param {{
+ *   request: Request;
+ *   storefront: Storefront;
+ *   withCache: WithCache;
+ * }}
+ */
+export async function getRedirectResponse({request, storefront, withCache}) {
+  if (!['GET', 'HEAD'].includes(request.method)) return null;
+
+  const url = new URL(request.url);
+  // Data requests of client-side navigations can't follow a redirect
+  if (url.pathname.endsWith('.data')) return null;
+
+  const rules = await getRedirectRules({storefront, withCache});
+  const match = matchRule(rules, url.pathname);
+  if (!match) return null;
+
+  const {rule, target} = match;
+  if (rule.status === 410) {
+    return new Response('Gone', {
+      status: 410,
+      headers: {'Content-Type': 'text/plain'},
+    });
+  }
+
+  const location = new URL(target, url.origin);
+  // A relative target like `//example.com` would leave the storefront
+  if (!ABSOLUTE_URL_PATTERN.test(rule.to) && location.origin !== url.origin) {
+    return null;
+  }
+
+  if (rule.preserveQuery) {
+    url.searchParams.forEach((value, key) => {
+      if (!location.searchParams.has(key)) {
+        location.searchParams.append(key, value);
+      }
+    });
+  }
+
+  return new Response(null, {
+    status: rule.status,
+    headers: {
+      Location:
+        location.origin === url.origin
+          ? location.pathname + location.search + location.hash
+          : location.toString(),
+    },
+  });
+}
+
+/**
+ * Merchant rules, followed by the bundled ones. Merchant rules that can't be
+ * loaded are skipped, so a Storefront API outage doesn't take the
+ * storefront down. Rules are only compiled again once the cached rule set
+ * is reloaded.
+ * @returns {Promise<CompiledRedirectRules>}
+ * @param {{storefront: Storefront; withCache: WithCache}}
+ */
+async function getRedirectRules({storefront, withCache}) {
+  const merchantRules = await withCache
+    .run(
+      {
+        cacheKey: ['redirect-rules', REDIRECTS_METAOBJECT_TYPE],
+        cacheStrategy: CacheLong(),
+        shouldCacheResult: () => true,
+      },
+      () => fetchMerchantRules(storefront),
+    )
+    .catch((error) => {
+      console.error(error);
+      return {loadedAt: 0, rules: []};
+    });
+
+  if (compiledRules?.loadedAt !== merchantRules.loadedAt) {
+    compiledRules = {
+      loadedAt: merchantRules.loadedAt,
+      rules: compileRules([...merchantRules.rules, ...bundledRules]),
+    };
+  }
+  return compiledRules.rules;
+}
+
+/**
+ * @returns {Promise<{loadedAt: number; rules: unknown[]}>}
+ * @param {Storefront} storefront
+ */
+async function fetchMerchantRules(storefront) {
+  const rules = [];
+  /** @type {string | null} */
+  let after = null;
+
+  for (let page = 0; page < MAX_METAOBJECT_PAGES; page++) {
+    const {metaobjects} = await storefront.query(REDIRECT_RULES_QUERY, {
+      variables: {type: REDIRECTS_METAOBJECT_TYPE, after},
+      // The rules are cached as a whole by `getRedirectRules`
+      cache: storefront.CacheNone(),
+    });
+
+    metaobjects.nodes.forEach(({fields}) => {
+      /** @type {Record<string, string | null | undefined>} */
+      const values = Object.fromEntries(
+        fields.map(({key, value}) => [key, value]),
+      );
+      rules.push({
+        from: values.from,
+        to: values.to,
+        type: values.match_type,
+        status: values.status ? Number(values.status) : undefined,
+        preserveQuery: values.preserve_query !== 'false',
+      });
+    });
+
+    if (!metaobjects.pageInfo.hasNextPage) break;
+    after = metaobjects.pageInfo.endCursor;
+  }
+
+  return {loadedAt: Date.now(), rules};
+}
+
+/**
+ * Validates rules and indexes them by type. Invalid rules are ignored, so a
+ * bad entry can't break every other redirect, and so are regular
+ * expressions that are too long or could backtrack exponentially.
+ * @returns {CompiledRedirectRules}
+ * @param {unknown[]} rules
+ */
+function compileRules(rules) {
+  /** @type {CompiledRedirectRules} */
+  const compiled = {exact: new Map(), prefix: [], regex: []};
+
+  rules.forEach((value) => {
+    if (!value || typeof value !== 'object') return;
+
+    /** @type {Partial<RedirectRule>} */
+    const rule = value;
+    const type = rule.type || 'exact';
+    const status = rule.status ?? 301;
+    if (typeof rule.from !== 'string' || !rule.from) return;
+    if (!RULE_STATUSES.includes(status)) return;
+    if (status !== 410 && (typeof rule.to !== 'string' || !rule.to)) return;
+
+    /** @type {RedirectRule} */
+    const normalized = {
+      from: rule.from,
+      to: rule.to ?? '',
+      type,
+      status,
+      preserveQuery: rule.preserveQuery ?? true,
+    };
+
+    if (type === 'exact') {
+      const key = normalizePath(rule.from);
+      if (!compiled.exact.has(key)) compiled.exact.set(key, normalized);
+    } else if (type === 'prefix') {
+      compiled.prefix.push({...normalized, from: normalizePath(rule.from)});
+    } else if (type === 'regex') {
+      if (
+        rule.from.length > MAX_REGEX_PATTERN_LENGTH ||
+        NESTED_QUANTIFIER_PATTERN.test(rule.from)
+      ) {
+        return;
+      }
+      try {
+        compiled.regex.push({
+          ...normalized,
+          pattern: new RegExp(rule.from, 'i'),
+        });
+      } catch {
+        // Invalid regular expression
+      }
+    }
+  });
+
+  compiled.prefix.sort((a, b) => b.from.length - a.from.length);
+  return compiled;
+}
+
+/**
+ * @returns {{rule: RedirectRule; target: string} | null}
+ * @param {CompiledRedirectRules} rules
+ * @param {string} pathname
+ */
+function matchRule(rules, pathname) {
+  const path = normalizePath(pathname);
+
+  const exact = rules.exact.get(path);
+  if (exact) return {rule: exact, target: exact.to};
+
+  const prefix = rules.prefix.find(
+    ({from}) => path === from || path.startsWith(`${from}/`),
+  );
+  if (prefix) {
+    // `/catalog/Shoes` matches the prefix `/catalog` and keeps `/Shoes`
+    const rest = pathname
+      .replace(/\/+$/, '')
+      .slice(prefix.from.length)
+      .replace(/^\/+/, '/');
+    return {rule: prefix, target: prefix.to.replace(/\/$/, '') + rest};
+  }
+
+  if (pathname.length > MAX_REGEX_PATH_LENGTH) return null;
+
+  for (const rule of rules.regex) {
+    const match = rule.pattern.exec(pathname);
+    if (match) {
+      return {
+        rule,
+        target: rule.to.replace(/\$(\d)/g, (_, group) => match[group] ?? ''),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lowercases a path and removes its trailing slash.
+ * @param {string} path
+ */
+function normalizePath(path) {
+  const lowercased = path.toLowerCase();
+  return lowercased.length > 1 ? lowercased.replace(/\/+$/, '') : lowercased;
+}
+
+/** Targets with a scheme, like `https://`, may point to another site. */
+const ABSOLUTE_URL_PATTERN = /^[a-z][a-z\d+.-]*:/i;
+
+const REDIRECT_RULES_QUERY = `#graphql
+  query RedirectRules($type: String!, $after: String) {
+    metaobjects(type: $type, first: 250, after: $after) {
+      nodes {
+        fields {
+          key
+          value
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} RedirectRule
+ * @property {string} from Path, path prefix or regular expression
+ * @property {string} to Target path or URL. Regex targets can use groups,
+ *   e.g. `$1`, and prefix targets get the rest of the path appended
+ * @property {'exact' | 'prefix' | 'regex'} type Defaults to `exact`
+ * @property {301 | 302 | 410} status Defaults to `301`
+ * @property {boolean} preserveQuery Whether the query string of the request
+ *   is added to the target, defaults to `true`
+ */
+/**
+ * @typedef {Object} CompiledRedirectRules
+ * @property {Map<string, RedirectRule>} exact Keyed by normalized path
+ * @property {RedirectRule[]} prefix Longest prefix first
+ * @property {Array<RedirectRule & {pattern: RegExp}>} regex
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').WithCache} WithCache */
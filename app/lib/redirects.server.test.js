@@ -0,0 +1,115 @@
+import {beforeEach, describe, expect, it, vi} from 'vitest';
+import {getRedirectResponse} from '~/lib/redirects.server';
+
+/** @type {Array<Record<string, string>>} */
+let rules = [];
+
+const storefront = {
+  CacheNone: () => ({}),
+  query: async () => ({
+    metaobjects: {
+      nodes: rules.map((rule) => ({
+        fields: Object.entries(rule).map(([key, value]) => ({key, value})),
+      })),
+      pageInfo: {hasNextPage: false, endCursor: null},
+    },
+  }),
+};
+
+const withCache = {run: (_options, load) => load()};
+
+/**
+ * @param {string} path
+ * @param {RequestInit} [init]
+ */
+function redirect(path, init) {
+  return getRedirectResponse({
+    request: new Request(`https://shop.example.com${path}`, init),
+    storefront,
+    withCache,
+  });
+}
+
+describe('getRedirectResponse', () => {
+  beforeEach(() => {
+    // Each test loads a new rule set, which is compiled again
+    vi.useFakeTimers({toFake: ['Date']});
+    vi.setSystemTime(Date.now() + 1000);
+  });
+
+  it('redirects exact paths in any case and with a trailing slash', async () => {
+    rules = [{from: '/old-page', to: '/pages/new'}];
+
+    const response = await redirect('/Old-Page/');
+    expect(response?.status).toBe(301);
+    expect(response?.headers.get('Location')).toBe('/pages/new');
+  });
+
+  it('keeps the rest of the path of prefix matches', async () => {
+    rules = [{from: '/catalog', to: '/collections/', match_type: 'prefix'}];
+
+    const response = await redirect('/catalog/Shoes');
+    expect(response?.headers.get('Location')).toBe('/collections/Shoes');
+  });
+
+  it('never redirects a prefix match to another origin', async () => {
+    rules = [{from: '/old', to: '/', match_type: 'prefix'}];
+
+    const response = await redirect('/old//evil.com');
+    expect(response?.headers.get('Location')).toBe('/evil.com');
+  });
+
+  it('ignores relative targets that resolve to another origin', async () => {
+    rules = [{from: '/old', to: '//evil.com'}];
+
+    expect(await redirect('/old')).toBeNull();
+  });
+
+  it('allows absolute targets on other origins', async () => {
+    rules = [{from: '/blog', to: 'https://blog.example.com/', status: '302'}];
+
+    const response = await redirect('/blog');
+    expect(response?.status).toBe(302);
+    expect(response?.headers.get('Location')).toBe('https://blog.example.com/');
+  });
+
+  it('substitutes regular expression groups', async () => {
+    rules = [
+      {from: '^/p/(\\d+)$', to: '/products/item-$1', match_type: 'regex'},
+    ];
+
+    const response = await redirect('/p/42');
+    expect(response?.headers.get('Location')).toBe('/products/item-42');
+  });
+
+  it('ignores regular expressions that could backtrack exponentially', async () => {
+    rules = [{from: '^/(a+)+$', to: '/b', match_type: 'regex'}];
+
+    expect(await redirect('/aaaa')).toBeNull();
+  });
+
+  it('answers gone pages with a 410', async () => {
+    rules = [{from: '/discontinued', status: '410'}];
+
+    expect((await redirect('/discontinued'))?.status).toBe(410);
+  });
+
+  it('keeps the query string unless the rule opts out', async () => {
+    rules = [
+      {from: '/a', to: '/b?ref=old'},
+      {from: '/c', to: '/d', preserve_query: 'false'},
+    ];
+
+    expect((await redirect('/a?ref=new&x=1'))?.headers.get('Location')).toBe(
+      '/b?ref=old&x=1',
+    );
+    expect((await redirect('/c?x=1'))?.headers.get('Location')).toBe('/d');
+  });
+
+  it('only redirects page requests', async () => {
+    rules = [{from: '/old-page', to: '/pages/new'}];
+
+    expect(await redirect('/old-page', {method: 'POST'})).toBeNull();
+    expect(await redirect('/unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Shop metafield with robots.txt overrides, as JSON:
+ * @example
+ * ```json
+ * {
+ *   "disallow": ["/collections/*?*color=*"],
+ *   "bots": {
+ *     "GPTBot": {"disallow": ["/"]},
+ *     "AhrefsBot": {"crawlDelay": 5}
+ *   }
+ * }
+ * ```
+ * `disallow` paths are added to the general rules, shared by `*` and every
+ * crawler without rules of its own. A bot entry replaces the default rules for that user
+ * agent when it sets `allow` or `disallow`, and adds a new group for user
+ * agents without default rules.
+ */
+export const ROBOTS_METAFIELD = {namespace: 'custom', key: 'robots'};
+
+/** Sent with every page rendered on a non-production host. */
+export const NON_PRODUCTION_ROBOTS_TAG = 'noindex';
+
+/**
+ * Hosts that are never production when `PRODUCTION_HOSTS` isn't set: local
+ * development, tunnels and Oxygen preview deployments.
+ */
+const NON_PRODUCTION_HOST_PATTERNS = [
+  /^localhost$/,
+  /^127\.0\.0\.1$/,
+  /\.myshopify\.dev$/,
+  /\.tryhydrogen\.dev$/,
+];
+
+/**
+ * Whether a request is served from a production host, the only hosts search
+ * engines may index. Production hosts are listed, comma-separated, in the
+ * `PRODUCTION_HOSTS` environment variable. Without it, every host except
+ * local and preview ones counts as production.
+ * @param {Request} request
+ * @param {Env} env
+ */
+export function isProductionHost(request, env) {
+  const host = new URL(request.url).hostname.toLowerCase();
+  const productionHosts = (env.PRODUCTION_HOSTS ?? '')
+    .split(',')
+    .map((productionHost) => productionHost.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (productionHosts.length) return productionHosts.includes(host);
+  return !NON_PRODUCTION_HOST_PATTERNS.some((pattern) => pattern.test(host));
+}
+
+/**
+ * Parses the `ROBOTS_METAFIELD` value. Invalid JSON and unexpected values are
+ * ignored, so a bad edit in the admin can't take robots.txt down.
+ * @returns {RobotsConfig}
+ * @param {string | null | undefined} value
+ */
+export function parseRobotsConfig(value) {
+  /** @type {RobotsConfig} */
+  const config = {disallow: [], bots: {}};
+  if (!value) return config;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return config;
+  }
+  if (!parsed || typeof parsed !== 'object') return config;
+
+  config.disallow = toPaths(parsed.disallow);
+  Object.entries(parsed.bots ?? {}).forEach(([userAgent, override]) => {
+    if (!userAgent || !override || typeof override !== 'object') return;
+
+    const crawlDelay = Number(override.crawlDelay);
+    config.bots[userAgent] = {
+      allow: override.allow === undefined ? undefined : toPaths(override.allow),
+      disallow:
+        override.disallow === undefined
+          ? undefined
+          : toPaths(override.disallow),
+      crawlDelay: crawlDelay > 0 ? crawlDelay : undefined,
+    };
+  });
+
+  return config;
+}
+
+/**
+ * @returns {string[]}
+ * @param {unknown} paths
+ */
+function toPaths(paths) {
+  if (!Array.isArray(paths)) return [];
+  return paths.filter((path) => typeof path === 'string' && /^[/*]/.test(path));
+}
+
+/**
+ * @typedef {Object} RobotsConfig
+ * @property {string[]} disallow Extra paths added to the general rules
+ * @property {Record<string, RobotsBotOverride>} bots Keyed by user agent
+ */
+/**
+ * @typedef {Object} RobotsBotOverride
+ * @property {string[]} [allow]
+ * @property {string[]} [disallow]
+ * @property {number} [crawlDelay]
+ */
@@ -0,0 +1,11 @@
+/**
+ * Cart actions moving a line to the saved-for-later list and back, handled
+ * by the cart route alongside `CartForm.ACTIONS`.
+ */
+export const SAVED_FOR_LATER_ACTIONS = {
+  SaveForLater: 'SaveForLater',
+  MoveToCart: 'MoveToCart',
+};
+
+/** Loads the list and removes items from it, see `api.saved-for-later.jsx`. */
+export const SAVED_FOR_LATER_PATH = '/api/saved-for-later';
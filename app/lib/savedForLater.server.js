@@ -0,0 +1,322 @@
+import {CUSTOMER_METAFIELDS_SET_MUTATION} from '~/graphql/customer-account/CustomerMetafieldsSetMutation';
+import {CUSTOMER_SAVED_FOR_LATER_QUERY} from '~/graphql/customer-account/CustomerSavedForLaterQuery';
+
+/**
+ * Customer metafield holding the list of logged-in customers, as JSON. Its
+ * definition needs Customer Account API read and write access.
+ */
+export const SAVED_FOR_LATER_METAFIELD = {
+  namespace: 'custom',
+  key: 'saved_for_later',
+};
+
+/** Session key holding the list of guests. */
+export const SAVED_FOR_LATER_SESSION_KEY = 'savedForLater';
+
+/**
+ * Guest lists live in the session cookie, which browsers limit to 4KB, so
+ * they are kept short and small. Their JSON leaves room for the rest of the
+ * session and its encoding.
+ */
+const MAX_GUEST_ITEMS = 10;
+const MAX_GUEST_LIST_BYTES = 1500;
+const MAX_CUSTOMER_ITEMS = 50;
+
+/**
+ * The saved-for-later list of the visitor, most recently saved first. Guests
+ * keep their list in the session, and logged-in customers in the
+ * `SAVED_FOR_LATER_METAFIELD` customer metafield. Items saved as a guest
+ * join the customer's with `mergeGuestSavedForLater` when they log in.
+ * @returns {Promise<SavedItem[]>}
+ * @param {SavedForLaterContext} context
+ */
+export async function getSavedForLater(context) {
+  const {items} = await readSavedForLater(context);
+  return items;
+}
+
+/**
+ * Moves the items a guest saved for later to their customer list, once they
+ * have logged in. Items the customer had already saved are kept once.
+ * @param {SavedForLaterContext} context
+ */
+export async function mergeGuestSavedForLater({session, customerAccount}) {
+  const guestItems = parseItems(session.get(SAVED_FOR_LATER_SESSION_KEY));
+  if (!guestItems.length) return;
+
+  const {customerId, items} = await readCustomerItems(customerAccount);
+  const merged = [
+    ...guestItems.filter(
+      (guestItem) => !items.some((item) => isSameItem(item, guestItem)),
+    ),
+    ...items,
+  ].slice(0, MAX_CUSTOMER_ITEMS);
+  await writeCustomerItems(customerAccount, customerId, merged);
+  session.unset(SAVED_FOR_LATER_SESSION_KEY);
+}
+
+/**
+ * Replaces the visitor's list with the result of `update`. The oldest items
+ * are dropped from lists that are too long, and items too large to fit a
+ * guest list on their own are rejected.
+ * @returns {Promise<SavedItem[]>} The new list
+ * @param {SavedForLaterContext} context
+ * @param {(items: SavedItem[]) => SavedItem[]} update
+ */
+export async function updateSavedForLater(context, update) {
+  const {customerId, items} = await readSavedForLater(context);
+  const updated = update(items);
+
+  if (customerId) {
+    const saved = updated.slice(0, MAX_CUSTOMER_ITEMS);
+    await writeCustomerItems(context.customerAccount, customerId, saved);
+    return saved;
+  }
+
+  const saved = updated.slice(0, MAX_GUEST_ITEMS);
+  while (saved.length && getByteLength(saved) > MAX_GUEST_LIST_BYTES) {
+    if (saved.length === 1) {
+      throw new Error('The item is too large to save for later');
+    }
+    saved.pop();
+  }
+
+  if (saved.length) {
+    context.session.set(SAVED_FOR_LATER_SESSION_KEY, saved);
+  } else if (context.session.has(SAVED_FOR_LATER_SESSION_KEY)) {
+    context.session.unset(SAVED_FOR_LATER_SESSION_KEY);
+  }
+  return saved;
+}
+
+/**
+ * A saved item for a cart line, to add to the list with
+ * `updateSavedForLater`.
+ * @returns {SavedItem}
+ * @param {{
+ *   merchandise: {id: string};
+ *   quantity: number;
+ *   attributes?: Array<{key: string; value?: string | null}> | null;
+ * }} line
+ */
+export function createSavedItem(line) {
+  return {
+    id: crypto.randomUUID(),
+    merchandiseId: line.merchandise.id,
+    quantity: line.quantity,
+    attributes: (line.attributes ?? []).map(({key, value}) => ({
+      key,
+      value: value ?? '',
+    })),
+    savedAt: Date.now(),
+  };
+}
+
+/**
+ * The current variant of each saved item, `null` once it was deleted.
+ * Availability is always fetched fresh, so sold out items can't be moved
+ * back to the cart.
+ * @returns {Promise<Array<SavedItem & {variant: SavedVariantFragment | null}>>}
+ * @param {Storefront} storefront
+ * @param {SavedItem[]} items
+ * @param {I18nBase} [locale] The market of the prices
+ */
+export async function getSavedItemVariants(
+  storefront,
+  items,
+  locale = storefront.i18n,
+) {
+  if (!items.length) return [];
+
+  const {nodes} = await storefront.query(SAVED_FOR_LATER_VARIANTS_QUERY, {
+    variables: {
+      ids: items.map((item) => item.merchandiseId),
+      country: locale.country,
+      language: locale.language,
+    },
+    cache: storefront.CacheNone(),
+  });
+
+  return items.map((item) => ({
+    ...item,
+    variant:
+      nodes.find((node) => node?.id === item.merchandiseId && node.product) ??
+      null,
+  }));
+}
+
+/**
+ * @returns {Promise<{customerId: string | null; items: SavedItem[]}>}
+ * @param {SavedForLaterContext} context
+ */
+async function readSavedForLater({session, customerAccount}) {
+  if (!(await customerAccount.isLoggedIn())) {
+    return {
+      customerId: null,
+      items: parseItems(session.get(SAVED_FOR_LATER_SESSION_KEY)),
+    };
+  }
+  return readCustomerItems(customerAccount);
+}
+
+/**
+ * @returns {Promise<{customerId: string; items: SavedItem[]}>}
+ * @param {CustomerAccount} customerAccount
+ */
+async function readCustomerItems(customerAccount) {
+  const {data, errors} = await customerAccount.query(
+    CUSTOMER_SAVED_FOR_LATER_QUERY,
+    {
+      variables: {
+        ...SAVED_FOR_LATER_METAFIELD,
+        language: customerAccount.i18n.language,
+      },
+    },
+  );
+  if (errors?.length || !data?.customer) {
+    throw new Error('Failed to load the saved-for-later list');
+  }
+
+  return {
+    customerId: data.customer.id,
+    items: parseItems(data.customer.savedForLater?.value),
+  };
+}
+
+/**
+ * @param {CustomerAccount} customerAccount
+ * @param {string} customerId
+ * @param {SavedItem[]} items
+ */
+async function writeCustomerItems(customerAccount, customerId, items) {
+  const {data, errors} = await customerAccount.mutate(
+    CUSTOMER_METAFIELDS_SET_MUTATION,
+    {
+      variables: {
+        metafields: [
+          {
+            ...SAVED_FOR_LATER_METAFIELD,
+            ownerId: customerId,
+            type: 'json',
+            value: JSON.stringify(items),
+          },
+        ],
+      },
+    },
+  );
+
+  const error = errors?.[0] ?? data?.metafieldsSet?.userErrors[0];
+  if (error) {
+    throw new Error(
+      `Failed to save the saved-for-later list: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Items of the same variant with the same properties are the same item.
+ * @param {SavedItem} a
+ * @param {SavedItem} b
+ */
+function isSameItem(a, b) {
+  return (
+    a.merchandiseId === b.merchandiseId &&
+    JSON.stringify(a.attributes) === JSON.stringify(b.attributes)
+  );
+}
+
+/**
+ * @param {SavedItem[]} items
+ */
+function getByteLength(items) {
+  return new TextEncoder().encode(JSON.stringify(items)).length;
+}
+
+/**
+ * Lists stored by an earlier version, or edited by hand, may contain
+ * invalid items, which are ignored.
+ * @returns {SavedItem[]}
+ * @param {unknown} value A list, or its JSON
+ */
+function parseItems(value) {
+  let items = value;
+  if (typeof value === 'string') {
+    try {
+      items = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(items)) return [];
+
+  return items.filter(
+    (item) =>
+      item &&
+      typeof item.id === 'string' &&
+      typeof item.merchandiseId === 'string' &&
+      Number.isInteger(item.quantity) &&
+      item.quantity > 0 &&
+      Array.isArray(item.attributes),
+  );
+}
+
+const SAVED_FOR_LATER_VARIANTS_QUERY = `#graphql
+  fragment SavedVariant on ProductVariant {
+    id
+    availableForSale
+    title
+    price {
+      amount
+      currencyCode
+    }
+    image {
+      id
+      url
+      altText
+      width
+      height
+    }
+    product {
+      id
+      handle
+      title
+    }
+    selectedOptions {
+      name
+      value
+    }
+  }
+  query SavedForLaterVariants(
+    $ids: [ID!]!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        ...SavedVariant
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id
+ * @property {string} merchandiseId
+ * @property {number} quantity
+ * @property {AttributeInput[]} attributes The line's properties
+ * @property {number} savedAt
+ */
+/**
+ * @typedef {{
+ *   session: AppSession;
+ *   customerAccount: CustomerAccount;
+ * }} SavedForLaterContext
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen').CustomerAccount} CustomerAccount */
+/** @typedef {import('@shopify/hydrogen').I18nBase} I18nBase */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
+/** @typedef {import('storefrontapi.generated').SavedVariantFragment} SavedVariantFragment */
+/** @typedef {import('~/lib/session').AppSession} AppSession */
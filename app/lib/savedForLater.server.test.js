@@ -0,0 +1,164 @@
+import {describe, expect, it} from 'vitest';
+import {
+  SAVED_FOR_LATER_SESSION_KEY,
+  createSavedItem,
+  getSavedForLater,
+  mergeGuestSavedForLater,
+  updateSavedForLater,
+} from '~/lib/savedForLater.server';
+
+const CUSTOMER_ID = 'gid://shopify/Customer/1';
+
+/**
+ * @param {string} merchandiseId
+ * @param {Array<{key: string; value: string}>} [attributes]
+ */
+function createItem(merchandiseId, attributes = []) {
+  return createSavedItem({
+    merchandise: {id: merchandiseId},
+    quantity: 1,
+    attributes,
+  });
+}
+
+/**
+ * A session and a customer account, logged in when `customerItems` is set.
+ * @param {{guestItems?: unknown[]; customerItems?: unknown[]}} options
+ */
+function createContext({guestItems, customerItems}) {
+  /** @type {Map<string, unknown>} */
+  const values = new Map();
+  if (guestItems) values.set(SAVED_FOR_LATER_SESSION_KEY, guestItems);
+
+  /** @type {string[]} */
+  const writes = [];
+  const context = {
+    session: {
+      get: (key) => values.get(key),
+      set: (key, value) => values.set(key, value),
+      has: (key) => values.has(key),
+      unset: (key) => values.delete(key),
+    },
+    customerAccount: {
+      i18n: {language: 'EN'},
+      isLoggedIn: async () => Boolean(customerItems),
+      query: async () => ({
+        data: {
+          customer: {
+            id: CUSTOMER_ID,
+            savedForLater: {value: JSON.stringify(customerItems)},
+          },
+        },
+      }),
+      mutate: async (_mutation, {variables}) => {
+        writes.push(variables.metafields[0].value);
+        return {data: {metafieldsSet: {userErrors: []}}};
+      },
+    },
+  };
+
+  return {
+    context: /** @type {any} */ (context),
+    session: values,
+    writes,
+  };
+}
+
+describe('getSavedForLater', () => {
+  it('reads the customer list without merging the guest items', async () => {
+    const guestItem = createItem('gid://shopify/ProductVariant/1');
+    const customerItem = createItem('gid://shopify/ProductVariant/2');
+    const {context, session, writes} = createContext({
+      guestItems: [guestItem],
+      customerItems: [customerItem],
+    });
+
+    expect(await getSavedForLater(context)).toEqual([customerItem]);
+    expect(writes).toEqual([]);
+    expect(session.get(SAVED_FOR_LATER_SESSION_KEY)).toEqual([guestItem]);
+  });
+
+  it('ignores invalid items', async () => {
+    const item = createItem('gid://shopify/ProductVariant/1');
+    const {context} = createContext({
+      guestItems: [item, {id: 'invalid', quantity: 0}, null],
+    });
+
+    expect(await getSavedForLater(context)).toEqual([item]);
+  });
+});
+
+describe('mergeGuestSavedForLater', () => {
+  it('merges the items saved as a guest into the customer list', async () => {
+    const shared = createItem('gid://shopify/ProductVariant/1');
+    const guestOnly = createItem('gid://shopify/ProductVariant/2');
+    const customerOnly = createItem('gid://shopify/ProductVariant/3');
+    const {context, session, writes} = createContext({
+      guestItems: [{...shared, id: 'guest-copy'}, guestOnly],
+      customerItems: [shared, customerOnly],
+    });
+
+    await mergeGuestSavedForLater(context);
+
+    expect(writes).toEqual([JSON.stringify([guestOnly, shared, customerOnly])]);
+    expect(session.has(SAVED_FOR_LATER_SESSION_KEY)).toBe(false);
+  });
+
+  it('keeps items of the same variant with other properties', async () => {
+    const engraved = createItem('gid://shopify/ProductVariant/1', [
+      {key: 'Engraving', value: 'Ada'},
+    ]);
+    const plain = createItem('gid://shopify/ProductVariant/1');
+    const {context, writes} = createContext({
+      guestItems: [engraved],
+      customerItems: [plain],
+    });
+
+    await mergeGuestSavedForLater(context);
+
+    expect(writes).toEqual([JSON.stringify([engraved, plain])]);
+  });
+
+  it("doesn't write the customer list without guest items", async () => {
+    const item = createItem('gid://shopify/ProductVariant/1');
+    const {context, writes} = createContext({customerItems: [item]});
+
+    await mergeGuestSavedForLater(context);
+
+    expect(writes).toEqual([]);
+  });
+});
+
+describe('updateSavedForLater', () => {
+  it('drops the oldest guest items that no longer fit the session', async () => {
+    const message = {key: 'Gift message', value: 'x'.repeat(200)};
+    const items = Array.from({length: 10}, (_, index) =>
+      createItem(`gid://shopify/ProductVariant/${index}`, [message]),
+    );
+    const {context, session} = createContext({});
+
+    const saved = await updateSavedForLater(context, () => items);
+
+    expect(saved.length).toBeLessThan(items.length);
+    expect(saved).toEqual(items.slice(0, saved.length));
+    expect(session.get(SAVED_FOR_LATER_SESSION_KEY)).toEqual(saved);
+  });
+
+  it('rejects guest items too large to save', async () => {
+    const item = createItem('gid://shopify/ProductVariant/1', [
+      {key: 'Gift message', value: 'x'.repeat(2000)},
+    ]);
+    const {context, session} = createContext({});
+
+    await expect(updateSavedForLater(context, () => [item])).rejects.toThrow();
+    expect(session.has(SAVED_FOR_LATER_SESSION_KEY)).toBe(false);
+  });
+
+  it('clears the session once the guest list is empty', async () => {
+    const item = createItem('gid://shopify/ProductVariant/1');
+    const {context, session} = createContext({guestItems: [item]});
+
+    expect(await updateSavedForLater(context, () => [])).toEqual([]);
+    expect(session.has(SAVED_FOR_LATER_SESSION_KEY)).toBe(false);
+  });
+});
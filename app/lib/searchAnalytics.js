@@ -0,0 +1,139 @@
+import {track} from '~/lib/analytics';
+import {search} from '~/lib/ga4';
+
+/**
+ * Search events sent through the analytics event bus. Every event carries the
+ * search term and the number of results per type, and searches without any
+ * results are also reported as `search_no_results`, the feed merchandisers
+ * use to create synonyms and redirects.
+ */
+
+/** Predictive searches are tracked once typing has paused for this long. */
+export const PREDICTIVE_SEARCH_DEBOUNCE_MS = 800;
+
+/**
+ * Where a full search was submitted from, passed as navigation state.
+ * @type {Record<string, SearchSource>}
+ */
+export const SEARCH_SOURCES = {
+  SEARCH_PAGE: 'search_page',
+  PREDICTIVE: 'predictive',
+  PREDICTIVE_VIEW_ALL: 'predictive_view_all',
+};
+
+/**
+ * Tracks the results page of a full search.
+ * @param {{
+ *   term: string;
+ *   result: RegularSearchReturn['result'] | null | undefined;
+ *   source?: SearchSource | null;
+ * }}
+ */
+export function trackSearch({term, result, source}) {
+  const counts = getRegularResultCounts(result);
+  const searchSource = source ?? 'direct';
+
+  track('search', {
+    ...search({term}),
+    search_source: searchSource,
+    ...counts,
+  });
+
+  if (!counts.results_count) {
+    track('search_no_results', {
+      search_term: term,
+      search_type: 'full',
+      search_source: searchSource,
+    });
+  }
+}
+
+/**
+ * Tracks the results shown for a predictive search term. Call it once typing
+ * has paused, see `PREDICTIVE_SEARCH_DEBOUNCE_MS`.
+ * @param {{
+ *   term: string;
+ *   result: PredictiveSearchReturn['result'] | null | undefined;
+ * }}
+ */
+export function trackPredictiveSearch({term, result}) {
+  const counts = getPredictiveResultCounts(result);
+
+  track('predictive_search', {search_term: term, ...counts});
+
+  if (!counts.results_count) {
+    track('search_no_results', {search_term: term, search_type: 'predictive'});
+  }
+}
+
+/**
+ * Tracks a click on a predictive search result or query suggestion.
+ * @param {{
+ *   term: string;
+ *   resultType: PredictiveResultType;
+ *   item: {id?: string; title?: string; text?: string};
+ *   position: number;
+ *   result: PredictiveSearchReturn['result'] | null | undefined;
+ * }}
+ */
+export function trackPredictiveSearchClick({
+  term,
+  resultType,
+  item,
+  position,
+  result,
+}) {
+  track('predictive_search_click', {
+    search_term: term,
+    result_type: resultType,
+    result_id: item.id ?? null,
+    result_title: item.title ?? item.text ?? null,
+    position,
+    ...getPredictiveResultCounts(result),
+  });
+}
+
+/**
+ * @param {RegularSearchReturn['result'] | null | undefined} result
+ */
+function getRegularResultCounts(result) {
+  const items = result?.items;
+  const counts = {
+    products: items?.products?.nodes.length ?? 0,
+    pages: items?.pages?.nodes.length ?? 0,
+    articles: items?.articles?.nodes.length ?? 0,
+  };
+
+  return {results_count: sum(counts), result_counts: counts};
+}
+
+/**
+ * @param {PredictiveSearchReturn['result'] | null | undefined} result
+ */
+function getPredictiveResultCounts(result) {
+  const items = result?.items;
+  const counts = {
+    products: items?.products.length ?? 0,
+    collections: items?.collections.length ?? 0,
+    pages: items?.pages.length ?? 0,
+    articles: items?.articles.length ?? 0,
+    queries: items?.queries.length ?? 0,
+  };
+
+  return {results_count: sum(counts), result_counts: counts};
+}
+
+/**
+ * @param {Record<string, number>} counts
+ */
+function sum(counts) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+/** @typedef {'search_page' | 'predictive' | 'predictive_view_all'} SearchSource */
+/**
+ * @typedef {'product' | 'collection' | 'article' | 'page' | 'query'} PredictiveResultType
+ */
+
+/** @typedef {import('~/lib/search').RegularSearchReturn} RegularSearchReturn */
+/** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
@@ -0,0 +1,150 @@
+import {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  findLocale,
+  getHreflang,
+  localizePath,
+  stripLocalePrefix,
+} from '~/lib/i18n';
+
+/** Search engines cut descriptions off at around this many characters. */
+const MAX_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Meta tags for content routes: the title and description, an absolute
+ * canonical URL, `hreflang` alternates for every supported locale plus
+ * `x-default`, and Open Graph and Twitter card tags.
+ *
+ * The canonical URL uses the locale of the route's `($locale)` segment, so
+ * unprefixed pages that were served in a visitor's preferred locale still
+ * point search engines at the default locale. The origin and shop name come
+ * from the root loader, and the description falls back to the shop's.
+ * Pages whose resource wasn't found pass a `null` path and get no canonical
+ * URL or alternates, so error pages aren't indexed under a broken URL.
+ * @example
+ * ```js
+ * export const meta = (args) =>
+ *   getSeoMeta(args, {
+ *     title: args.data?.page.title,
+ *     path: args.data ? `/pages/${args.data.page.handle}` : null,
+ *   });
+ * ```
+ * @returns {MetaDescriptor[]}
+ * @param {Pick<MetaArgs, 'location' | 'matches' | 'params'>} args
+ * @param {SeoInput} seo
+ */
+export function getSeoMeta({location, matches, params}, seo) {
+  /** @type {RootData | undefined} */
+  const rootData = matches.find((match) => match?.id === 'root')?.data;
+  const origin = rootData?.origin ?? '';
+  const shop = rootData?.header?.shop;
+
+  const path =
+    seo.path === undefined ? stripLocalePrefix(location.pathname) : seo.path;
+  const locale = findLocale(params.locale) ?? DEFAULT_LOCALE;
+  const description = truncate(seo.description || shop?.description || '');
+  const {image} = seo;
+
+  /** @type {MetaDescriptor[]} */
+  const tags = [
+    {title: seo.title},
+    {property: 'og:type', content: seo.type ?? 'website'},
+    {property: 'og:title', content: seo.title},
+    {property: 'og:locale', content: getHreflang(locale).replace('-', '_')},
+    {name: 'twitter:card', content: image ? 'summary_large_image' : 'summary'},
+    {name: 'twitter:title', content: seo.title},
+  ];
+
+  if (path !== null) {
+    const canonicalUrl = origin + localizePath(path, locale);
+    tags.push(
+      {tagName: 'link', rel: 'canonical', href: canonicalUrl},
+      ...SUPPORTED_LOCALES.map((alternate) => ({
+        tagName: 'link',
+        rel: 'alternate',
+        hrefLang: getHreflang(alternate),
+        href: origin + localizePath(path, alternate),
+      })),
+      {
+        tagName: 'link',
+        rel: 'alternate',
+        hrefLang: 'x-default',
+        href: origin + localizePath(path, DEFAULT_LOCALE),
+      },
+      {property: 'og:url', content: canonicalUrl},
+    );
+  }
+
+  if (shop?.name) {
+    tags.push({property: 'og:site_name', content: shop.name});
+  }
+
+  if (description) {
+    tags.push(
+      {name: 'description', content: description},
+      {property: 'og:description', content: description},
+      {name: 'twitter:description', content: description},
+    );
+  }
+
+  if (image?.url) {
+    tags.push(
+      {property: 'og:image', content: image.url},
+      {name: 'twitter:image', content: image.url},
+    );
+    if (image.width && image.height) {
+      tags.push(
+        {property: 'og:image:width', content: String(image.width)},
+        {property: 'og:image:height', content: String(image.height)},
+      );
+    }
+    if (image.altText) {
+      tags.push(
+        {property: 'og:image:alt', content: image.altText},
+        {name: 'twitter:image:alt', content: image.altText},
+      );
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Collapses whitespace and cuts long text at the last word that fits.
+ * @param {string} text
+ */
+function truncate(text) {
+  const normalized = text.replace(/\s+/g, ' ').trim();
+  if (normalized.length <= MAX_DESCRIPTION_LENGTH) return normalized;
+
+  const cut = normalized.slice(0, MAX_DESCRIPTION_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * @typedef {Object} SeoInput
+ * @property {string} title
+ * @property {string | null} [description] Defaults to the shop's description
+ * @property {string | null} [path] Unlocalized path of the page, defaults to
+ *   the current path without its query string. `null` when the page's
+ *   resource wasn't found.
+ * @property {SeoImage | null} [image]
+ * @property {'website' | 'product' | 'article'} [type] Open Graph type
+ */
+/**
+ * @typedef {Object} SeoImage
+ * @property {string} url
+ * @property {number | null} [width]
+ * @property {number | null} [height]
+ * @property {string | null} [altText]
+ */
+/**
+ * @typedef {{
+ *   origin?: string;
+ *   header?: {shop: {name: string; description?: string | null}};
+ * }} RootData
+ */
+
+/** @typedef {import('react-router').MetaArgs} MetaArgs */
+/** @typedef {import('react-router').MetaDescriptor} MetaDescriptor */
@@ -0,0 +1,57 @@
+import {describe, expect, it} from 'vitest';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * @param {string} pathname
+ * @param {string} [locale]
+ */
+function createArgs(pathname, locale) {
+  return /** @type {any} */ ({
+    location: {pathname},
+    params: {locale},
+    matches: [{id: 'root', data: {origin: 'https://shop.example'}}],
+  });
+}
+
+/**
+ * @param {Array<Record<string, unknown>>} tags
+ */
+function getLinks(tags) {
+  return tags.filter((tag) => tag.tagName === 'link');
+}
+
+describe('getSeoMeta', () => {
+  it('links the canonical URL and the alternates of every locale', () => {
+    const tags = getSeoMeta(createArgs('/fr-ca/products/board', 'fr-ca'), {
+      title: 'Board',
+      path: '/products/board',
+    });
+
+    expect(getLinks(tags)).toContainEqual({
+      tagName: 'link',
+      rel: 'canonical',
+      href: 'https://shop.example/fr-ca/products/board',
+    });
+    expect(getLinks(tags)).toContainEqual({
+      tagName: 'link',
+      rel: 'alternate',
+      hrefLang: 'x-default',
+      href: 'https://shop.example/products/board',
+    });
+    expect(tags).toContainEqual({
+      property: 'og:url',
+      content: 'https://shop.example/fr-ca/products/board',
+    });
+  });
+
+  it('leaves out the canonical URL of a page without a path', () => {
+    const tags = getSeoMeta(createArgs('/products/missing'), {
+      title: 'Not found',
+      path: null,
+    });
+
+    expect(getLinks(tags)).toEqual([]);
+    expect(tags.some((tag) => tag.property === 'og:url')).toBe(false);
+    expect(tags).toContainEqual({title: 'Not found'});
+  });
+});
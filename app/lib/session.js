@@ -28,8 +28,10 @@ export class AppSession {
    * @static
    * @param {Request} request
    * @param {string[]} secrets
+   * @param {{maxAge?: number}} [options] Seconds the cookie outlives its
+   * last change. Without it, the session ends when the browser closes.
    */
-  static async init(request, secrets) {
+  static async init(request, secrets, {maxAge} = {}) {
     const storage = createCookieSessionStorage({
       cookie: {
         name: 'session',
@@ -37,6 +39,7 @@ export class AppSession {
         path: '/',
         sameSite: 'lax',
         secrets,
+        maxAge,
       },
     });
 
@@ -0,0 +1,308 @@
+import {
+  DEFAULT_LOCALE,
+  getHreflang,
+  localizePath,
+  SUPPORTED_LOCALES,
+} from '~/lib/i18n';
+
+/**
+ * Child sitemaps for Shopify resources, keyed by the `$type` URL segment.
+ * `maxAge` is how long, in seconds, caches may keep a sitemap of that type.
+ * @type {Record<string, SitemapTypeConfig>}
+ */
+export const SITEMAP_TYPES = {
+  products: {type: 'PRODUCT', maxAge: 60 * 60, images: true},
+  collections: {type: 'COLLECTION', maxAge: 60 * 60 * 6},
+  pages: {type: 'PAGE', maxAge: 60 * 60 * 24},
+  blogs: {type: 'BLOG', maxAge: 60 * 60 * 24},
+  articles: {type: 'ARTICLE', maxAge: 60 * 60 * 24, images: true},
+  metaObjects: {type: 'METAOBJECT', maxAge: 60 * 60 * 24},
+};
+
+/** The `$type` of the child sitemap listing `STATIC_SITEMAP_PATHS`. */
+export const STATIC_SITEMAP_TYPE = 'static';
+
+/** Routes of the app itself that aren't Shopify resources. */
+export const STATIC_SITEMAP_PATHS = [
+  '/',
+  '/collections/all',
+  '/blogs',
+  '/policies',
+];
+
+const SITEMAP_NAMESPACES = [
+  'xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+  'xmlns:xhtml="http://www.w3.org/1999/xhtml"',
+  'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"',
+].join(' ');
+
+/**
+ * The sitemap index of a locale, listing that locale's child sitemaps.
+ * Every supported locale has its own index, e.g. `/fr-ca/sitemap.xml`.
+ * @param {{
+ *   storefront: Storefront;
+ *   request: Request;
+ *   locale: I18nLocale;
+ * }}
+ */
+export async function getSitemapIndexResponse({storefront, request, locale}) {
+  const data = await storefront.query(SITEMAP_INDEX_QUERY, {
+    cache: storefront.CacheLong(),
+  });
+  const origin = new URL(request.url).origin;
+
+  const childPaths = [
+    `/sitemap/${STATIC_SITEMAP_TYPE}/1.xml`,
+    ...Object.keys(SITEMAP_TYPES).flatMap((type) =>
+      Array.from(
+        {length: data?.[type]?.pagesCount?.count ?? 0},
+        (_, index) => `/sitemap/${type}/${index + 1}.xml`,
+      ),
+    ),
+  ];
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...childPaths.map(
+      (path) =>
+        `  <sitemap><loc>${escapeXml(
+          origin + localizePath(path, locale),
+        )}</loc></sitemap>`,
+    ),
+    '</sitemapindex>',
+  ].join('\n');
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'application/xml',
+      'Cache-Control': `max-age=${60 * 60 * 24}`,
+    },
+  });
+}
+
+/**
+ * A child sitemap of a locale. Every URL lists its alternates in all
+ * supported locales, and products and articles list their image. The
+ * `ETag` and `Last-Modified` headers come from the most recently updated
+ * resource, so unchanged sitemaps are answered with a 304.
+ * @param {{
+ *   storefront: Storefront;
+ *   request: Request;
+ *   type: string;
+ *   page: number;
+ *   locale: I18nLocale;
+ * }}
+ */
+export async function getSitemapResponse({
+  storefront,
+  request,
+  type,
+  page,
+  locale,
+}) {
+  const origin = new URL(request.url).origin;
+
+  /** @type {SitemapEntry[]} */
+  let entries;
+  let maxAge = 60 * 60 * 24;
+
+  if (type === STATIC_SITEMAP_TYPE) {
+    if (page !== 1) throw new Response(null, {status: 404});
+    entries = STATIC_SITEMAP_PATHS.map((path) => ({path}));
+  } else {
+    const config = SITEMAP_TYPES[type];
+    if (!config || !Number.isInteger(page) || page < 1) {
+      throw new Response(null, {status: 404});
+    }
+    maxAge = config.maxAge;
+
+    const data = await storefront.query(SITEMAP_RESOURCES_QUERY, {
+      variables: {
+        type: config.type,
+        page,
+        country: locale.country,
+        language: locale.language,
+      },
+    });
+    entries = (data?.sitemap?.resources?.items ?? []).map((item) => ({
+      // Metaobjects are served under their own type, e.g. `/stores/toronto`
+      path: `/${item.type ?? type}/${item.onlineStoreUrlHandle ?? item.handle}`,
+      updatedAt: item.updatedAt,
+      image: config.images ? getImageUrl(item.image?.filepath) : null,
+    }));
+  }
+
+  const lastModified = getLastModified(entries);
+  const etag = `W/"${[
+    type,
+    page,
+    getHreflang(locale),
+    entries.length,
+    lastModified?.getTime() ?? 0,
+  ].join('-')}"`;
+  const headers = new Headers({
+    'Content-Type': 'application/xml',
+    'Cache-Control': `max-age=${maxAge}`,
+    ETag: etag,
+  });
+  if (lastModified) headers.set('Last-Modified', lastModified.toUTCString());
+
+  const ifNoneMatch = request.headers.get('If-None-Match') ?? '';
+  if (ifNoneMatch.split(',').some((value) => value.trim() === etag)) {
+    return new Response(null, {status: 304, headers});
+  }
+
+  const body = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset ${SITEMAP_NAMESPACES}>`,
+    ...entries.map((entry) => renderUrl({entry, origin, locale})),
+    '</urlset>',
+  ].join('\n');
+
+  return new Response(body, {headers});
+}
+
+/**
+ * @param {{entry: SitemapEntry; origin: string; locale: I18nLocale}}
+ */
+function renderUrl({entry, origin, locale}) {
+  const getUrl = (/** @type {I18nLocale} */ urlLocale) =>
+    escapeXml(origin + localizePath(entry.path, urlLocale));
+
+  return [
+    '  <url>',
+    `    <loc>${getUrl(locale)}</loc>`,
+    ...(entry.updatedAt ? [`    <lastmod>${entry.updatedAt}</lastmod>`] : []),
+    ...SUPPORTED_LOCALES.map(
+      (alternate) =>
+        `    <xhtml:link rel="alternate" hreflang="${getHreflang(
+          alternate,
+        )}" href="${getUrl(alternate)}" />`,
+    ),
+    `    <xhtml:link rel="alternate" hreflang="x-default" href="${getUrl(
+      DEFAULT_LOCALE,
+    )}" />`,
+    ...(entry.image
+      ? [
+          `    <image:image><image:loc>${escapeXml(
+            entry.image,
+          )}</image:loc></image:image>`,
+        ]
+      : []),
+    '  </url>',
+  ].join('\n');
+}
+
+/**
+ * @returns {Date | null}
+ * @param {SitemapEntry[]} entries
+ */
+function getLastModified(entries) {
+  const timestamps = entries
+    .map(({updatedAt}) => (updatedAt ? Date.parse(updatedAt) : NaN))
+    .filter((timestamp) => !Number.isNaN(timestamp));
+  return timestamps.length ? new Date(Math.max(...timestamps)) : null;
+}
+
+/**
+ * Sitemap images are CDN URLs, sometimes without a protocol.
+ * @returns {string | null}
+ * @param {string | null | undefined} filepath
+ */
+function getImageUrl(filepath) {
+  if (!filepath) return null;
+  if (filepath.startsWith('//')) return `https:${filepath}`;
+  return /^https?:\/\//.test(filepath) ? filepath : null;
+}
+
+/**
+ * @param {string} value
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+const SITEMAP_INDEX_QUERY = `#graphql
+  query LocalizedSitemapIndex {
+    products: sitemap(type: PRODUCT) {
+      pagesCount {
+        count
+      }
+    }
+    collections: sitemap(type: COLLECTION) {
+      pagesCount {
+        count
+      }
+    }
+    pages: sitemap(type: PAGE) {
+      pagesCount {
+        count
+      }
+    }
+    blogs: sitemap(type: BLOG) {
+      pagesCount {
+        count
+      }
+    }
+    articles: sitemap(type: ARTICLE) {
+      pagesCount {
+        count
+      }
+    }
+    metaObjects: sitemap(type: METAOBJECT) {
+      pagesCount {
+        count
+      }
+    }
+  }
+`;
+
+const SITEMAP_RESOURCES_QUERY = `#graphql
+  query LocalizedSitemapResources(
+    $country: CountryCode
+    $language: LanguageCode
+    $page: Int!
+    $type: SitemapType!
+  ) @inContext(country: $country, language: $language) {
+    sitemap(type: $type) {
+      resources(page: $page) {
+        items {
+          handle
+          updatedAt
+          ... on SitemapResource {
+            image {
+              filepath
+            }
+          }
+          ... on SitemapResourceMetaobject {
+            type
+            onlineStoreUrlHandle
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @typedef {Object} SitemapTypeConfig
+ * @property {SitemapType} type
+ * @property {number} maxAge
+ * @property {boolean} [images] Whether to list the resources' images
+ */
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} path Unlocalized path of the page
+ * @property {string} [updatedAt]
+ * @property {string | null} [image]
+ */
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').SitemapType} SitemapType */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
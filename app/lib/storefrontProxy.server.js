@@ -0,0 +1,273 @@
+import {getStorefrontHeaders} from '@shopify/hydrogen/oxygen';
+import {createRateLimiter} from '~/lib/rateLimit.server';
+
+/** Default of `STOREFRONT_PROXY_RATE_LIMIT`, in requests per minute. */
+export const DEFAULT_RATE_LIMIT = 60;
+
+/** Default of `STOREFRONT_PROXY_MAX_BODY_BYTES`. */
+export const DEFAULT_MAX_BODY_BYTES = 32 * 1024;
+
+/** Headers that only apply to a single connection. */
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+/**
+ * Request headers that must not reach the Storefront API: the visitor's
+ * session, credentials only the server may send, and headers describing the
+ * visitor that the Storefront API would trust.
+ */
+const SENSITIVE_REQUEST_HEADERS = [
+  'authorization',
+  'content-length',
+  'cookie',
+  'forwarded',
+  'host',
+  'shopify-storefront-buyer-ip',
+  'shopify-storefront-private-token',
+  'true-client-ip',
+  'x-real-ip',
+];
+const SENSITIVE_REQUEST_HEADER_PREFIXES = ['cf-', 'oxygen-', 'x-forwarded-'];
+
+/**
+ * Cookies of the checkout domain don't belong on the storefront, and the body
+ * is decoded by `fetch`, so its encoding headers no longer apply.
+ */
+const STRIPPED_RESPONSE_HEADERS = [
+  'content-encoding',
+  'content-length',
+  'set-cookie',
+];
+
+/** Automatic persisted query hashes are hex SHA-256 digests. */
+const QUERY_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const rateLimiter = createRateLimiter();
+
+/**
+ * Forwards a Storefront API query from a third-party widget to the checkout
+ * domain. Requests are rejected when the API version isn't allowed, the IP
+ * address exceeds its rate limit, the body is too large or isn't a single
+ * GraphQL query, or the query isn't allowlisted. Automatic persisted queries
+ * may send the SHA-256 hash of the query in
+ * `extensions.persistedQuery.sha256Hash` instead of the query itself.
+ * Configured with these environment variables:
+ * - `STOREFRONT_PROXY_API_VERSIONS`: comma-separated API versions, defaults
+ *   to the version of the storefront client
+ * - `STOREFRONT_PROXY_RATE_LIMIT`: requests per minute and IP address,
+ *   defaults to `DEFAULT_RATE_LIMIT`. Oxygen always sets the buyer IP, so
+ *   requests without one, in local development, aren't limited
+ * - `STOREFRONT_PROXY_MAX_BODY_BYTES`: defaults to `DEFAULT_MAX_BODY_BYTES`
+ * - `STOREFRONT_PROXY_QUERY_HASHES`: comma-separated SHA-256 hex digests of
+ *   the only query documents allowed, when set
+ * @returns {Promise<Response>}
+ * @param {{
+ *   request: Request;
+ *   version: string | undefined;
+ *   env: Env;
+ *   storefront: Storefront;
+ * }}
+ */
+export async function proxyStorefrontRequest({
+  request,
+  version,
+  env,
+  storefront,
+}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  if (!version || !getAllowedVersions(env, storefront).includes(version)) {
+    return errorResponse('Unsupported API version', 404);
+  }
+
+  const ip = getStorefrontHeaders(request).buyerIp;
+  const retryAfter = ip
+    ? rateLimiter.consume(
+        ip,
+        toPositiveInteger(env.STOREFRONT_PROXY_RATE_LIMIT) ??
+          DEFAULT_RATE_LIMIT,
+      )
+    : 0;
+  if (retryAfter) {
+    return errorResponse('Too many requests', 429, {
+      'Retry-After': String(retryAfter),
+    });
+  }
+
+  const maxBodyBytes =
+    toPositiveInteger(env.STOREFRONT_PROXY_MAX_BODY_BYTES) ??
+    DEFAULT_MAX_BODY_BYTES;
+  const contentLength = Number(request.headers.get('Content-Length') || 0);
+  if (contentLength > maxBodyBytes) {
+    return errorResponse('Request body is too large', 413);
+  }
+
+  const text = await request.text();
+  if (new TextEncoder().encode(text).length > maxBodyBytes) {
+    return errorResponse('Request body is too large', 413);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return errorResponse('Request body is not valid JSON', 400);
+  }
+  const queryHash = await getQueryHash(body);
+  if (!queryHash) {
+    return errorResponse('Request body must be a single GraphQL query', 400);
+  }
+
+  const allowedHashes = toList(env.STOREFRONT_PROXY_QUERY_HASHES).map((hash) =>
+    hash.toLowerCase(),
+  );
+  if (allowedHashes.length && !allowedHashes.includes(queryHash)) {
+    return errorResponse('Query is not allowed', 403);
+  }
+
+  const response = await fetch(
+    `https://${env.PUBLIC_CHECKOUT_DOMAIN}/api/${version}/graphql.json`,
+    {
+      method: 'POST',
+      body: text,
+      headers: filterHeaders(request.headers, isForwardedRequestHeader),
+    },
+  );
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: filterHeaders(
+      response.headers,
+      (name) => !STRIPPED_RESPONSE_HEADERS.includes(name),
+    ),
+  });
+}
+
+/**
+ * @returns {string[]}
+ * @param {Env} env
+ * @param {Storefront} storefront
+ */
+function getAllowedVersions(env, storefront) {
+  const versions = toList(env.STOREFRONT_PROXY_API_VERSIONS);
+  if (versions.length) return versions;
+
+  const clientVersion = /\/api\/([^/]+)\/graphql\.json$/.exec(
+    storefront.getApiUrl(),
+  )?.[1];
+  return clientVersion ? [clientVersion] : [];
+}
+
+/**
+ * The SHA-256 hash of the body's query. A persisted query's hash is used
+ * when the query isn't sent, and must match the query when it is.
+ * @returns {Promise<string | null>} Lowercase hex digest, or `null` when the
+ *   body isn't a single GraphQL query
+ * @param {unknown} body
+ */
+async function getQueryHash(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return null;
+
+  const persistedHash = body.extensions?.persistedQuery?.sha256Hash;
+  const hasPersistedHash =
+    typeof persistedHash === 'string' &&
+    QUERY_HASH_PATTERN.test(persistedHash.toLowerCase());
+
+  if (typeof body.query === 'string') {
+    const hash = await sha256(body.query);
+    if (hasPersistedHash && persistedHash.toLowerCase() !== hash) return null;
+    return hash;
+  }
+
+  return hasPersistedHash ? persistedHash.toLowerCase() : null;
+}
+
+/**
+ * @param {string} name Lowercase header name
+ */
+function isForwardedRequestHeader(name) {
+  return (
+    !SENSITIVE_REQUEST_HEADERS.includes(name) &&
+    !SENSITIVE_REQUEST_HEADER_PREFIXES.some((prefix) => name.startsWith(prefix))
+  );
+}
+
+/**
+ * Copies headers, without hop-by-hop headers, including those listed in
+ * `Connection`, and those rejected by `shouldKeep`.
+ * @returns {Headers}
+ * @param {Headers} headers
+ * @param {(name: string) => boolean} shouldKeep
+ */
+function filterHeaders(headers, shouldKeep) {
+  const connectionHeaders = toList(headers.get('Connection') ?? '').map(
+    (name) => name.toLowerCase(),
+  );
+  const filtered = new Headers();
+
+  headers.forEach((value, name) => {
+    if (HOP_BY_HOP_HEADERS.includes(name)) return;
+    if (connectionHeaders.includes(name)) return;
+    if (shouldKeep(name)) filtered.append(name, value);
+  });
+
+  return filtered;
+}
+
+/**
+ * Errors use the shape of GraphQL errors, which widgets already handle.
+ * @param {string} message
+ * @param {number} status
+ * @param {Record<string, string>} [headers]
+ */
+function errorResponse(message, status, headers) {
+  return Response.json({errors: [{message}]}, {status, headers});
+}
+
+/**
+ * @returns {Promise<string>} Hex digest
+ * @param {string} text
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(text),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+/**
+ * @returns {string[]}
+ * @param {string | undefined} value Comma-separated list
+ */
+function toList(value) {
+  return (value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * @returns {number | null}
+ * @param {string | undefined} value
+ */
+function toPositiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/** @typedef {import('@shopify/hydrogen').Storefront} Storefront */
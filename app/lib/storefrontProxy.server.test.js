@@ -0,0 +1,210 @@
+import {afterEach, beforeEach, describe, expect, it, vi} from 'vitest';
+import {
+  DEFAULT_MAX_BODY_BYTES,
+  proxyStorefrontRequest,
+} from '~/lib/storefrontProxy.server';
+
+const VERSION = '2025-07';
+const QUERY = '{ shop { name } }';
+const OTHER_QUERY_HASH = 'f'.repeat(64);
+
+/** @type {Env} */
+const env = /** @type {any} */ ({PUBLIC_CHECKOUT_DOMAIN: 'checkout.example'});
+
+const storefront = /** @type {any} */ ({
+  getApiUrl: () => `https://checkout.example/api/${VERSION}/graphql.json`,
+});
+
+let nextIp = 0;
+
+/**
+ * A request from an IP address that hasn't made any requests yet.
+ * @param {{body?: string; headers?: Record<string, string>}} [options]
+ */
+function createRequest({body = JSON.stringify({query: QUERY}), headers} = {}) {
+  return new Request(`https://shop.example/api/${VERSION}/graphql.json`, {
+    method: 'POST',
+    body,
+    headers: {'oxygen-buyer-ip': `192.0.2.${++nextIp}`, ...headers},
+  });
+}
+
+/**
+ * @param {Request} request
+ * @param {{version?: string; env?: Env}} [options]
+ */
+function proxy(request, {version = VERSION, env: proxyEnv = env} = {}) {
+  return proxyStorefrontRequest({
+    request,
+    version,
+    env: proxyEnv,
+    storefront,
+  });
+}
+
+/**
+ * @param {Request} request
+ * @param {{version?: string; env?: Env}} [options]
+ */
+async function proxyStatus(request, options) {
+  return (await proxy(request, options)).status;
+}
+
+/**
+ * @param {string} text
+ */
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(text),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, '0'),
+  ).join('');
+}
+
+describe('proxyStorefrontRequest', () => {
+  /** @type {import('vitest').Mock} */
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(
+      async () =>
+        new Response('{"data":{}}', {
+          headers: {
+            'Content-Type': 'application/json',
+            'Set-Cookie': 'checkout=1',
+          },
+        }),
+    );
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('forwards the query to the API version of the storefront client', async () => {
+    const response = await proxy(createRequest());
+
+    expect(response.status).toBe(200);
+    expect(fetchMock).toHaveBeenCalledWith(
+      `https://checkout.example/api/${VERSION}/graphql.json`,
+      expect.objectContaining({body: JSON.stringify({query: QUERY})}),
+    );
+  });
+
+  it('rejects other API versions', async () => {
+    const response = await proxy(createRequest(), {version: '2020-01'});
+
+    expect(response.status).toBe(404);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('rejects bodies larger than the limit', async () => {
+    const query = `{ shop { name } } # ${'x'.repeat(DEFAULT_MAX_BODY_BYTES)}`;
+    const response = await proxy(
+      createRequest({body: JSON.stringify({query})}),
+    );
+
+    expect(response.status).toBe(413);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('limits the requests of each IP address', async () => {
+    const limitedEnv = /** @type {any} */ ({
+      ...env,
+      STOREFRONT_PROXY_RATE_LIMIT: '2',
+    });
+    const headers = {'oxygen-buyer-ip': '198.51.100.1'};
+
+    const statuses = [];
+    for (let count = 0; count < 3; count++) {
+      statuses.push(
+        await proxyStatus(createRequest({headers}), {env: limitedEnv}),
+      );
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+    expect(await proxyStatus(createRequest(), {env: limitedEnv})).toBe(200);
+  });
+
+  it("doesn't limit requests without an IP address", async () => {
+    const limitedEnv = /** @type {any} */ ({
+      ...env,
+      STOREFRONT_PROXY_RATE_LIMIT: '1',
+    });
+
+    for (let count = 0; count < 3; count++) {
+      const request = createRequest();
+      request.headers.delete('oxygen-buyer-ip');
+      expect(await proxyStatus(request, {env: limitedEnv})).toBe(200);
+    }
+  });
+
+  it('strips credentials and visitor headers in both directions', async () => {
+    const response = await proxy(
+      createRequest({
+        headers: {
+          Authorization: 'Bearer secret',
+          Cookie: 'session=1',
+          'Shopify-Storefront-Private-Token': 'secret',
+          'X-Forwarded-For': '203.0.113.1',
+          'X-Shopify-Storefront-Access-Token': 'public',
+        },
+      }),
+    );
+
+    /** @type {Headers} */
+    const forwarded = fetchMock.mock.calls[0][1].headers;
+    expect([...forwarded.keys()].sort()).toEqual([
+      'content-type',
+      'x-shopify-storefront-access-token',
+    ]);
+    expect(response.headers.has('set-cookie')).toBe(false);
+  });
+
+  it('only forwards allowlisted queries', async () => {
+    const allowlistEnv = /** @type {any} */ ({
+      ...env,
+      STOREFRONT_PROXY_QUERY_HASHES: await sha256(QUERY),
+    });
+
+    const otherQuery = createRequest({
+      body: JSON.stringify({query: '{ shop { id } }'}),
+    });
+
+    expect(await proxyStatus(createRequest(), {env: allowlistEnv})).toBe(200);
+    expect(await proxyStatus(otherQuery, {env: allowlistEnv})).toBe(403);
+  });
+
+  it('accepts persisted queries sent by their hash', async () => {
+    const hash = await sha256(QUERY);
+    const allowlistEnv = /** @type {any} */ ({
+      ...env,
+      STOREFRONT_PROXY_QUERY_HASHES: hash,
+    });
+    /**
+     * @param {string} sha256Hash
+     * @param {string} [query]
+     */
+    const persistedQuery = (sha256Hash, query) =>
+      createRequest({
+        body: JSON.stringify({
+          query,
+          extensions: {persistedQuery: {version: 1, sha256Hash}},
+        }),
+      });
+
+    const options = {env: allowlistEnv};
+
+    expect(await proxyStatus(persistedQuery(hash), options)).toBe(200);
+    expect(await proxyStatus(persistedQuery(OTHER_QUERY_HASH), options)).toBe(
+      403,
+    );
+    // The hash must match the query sent along with it
+    expect(
+      await proxyStatus(persistedQuery(OTHER_QUERY_HASH, QUERY), options),
+    ).toBe(400);
+  });
+});
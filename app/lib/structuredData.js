@@ -0,0 +1,193 @@
+/**
+ * schema.org JSON-LD builders for route data. Routes declare their
+ * structured data and breadcrumbs on their `handle`, and `<StructuredData>`
+ * renders them with the CSP nonce:
+ * @example
+ * ```js
+ * export const handle = {
+ *   breadcrumb: ({data}) => [{name: data?.page.title, path: '/pages/about'}],
+ *   structuredData: ({data, getUrl}) => getArticleJsonLd({...}),
+ * };
+ * ```
+ */
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * A Product with one Offer per variant, grouped in an AggregateOffer when the
+ * product has more than one variant.
+ * @param {{
+ *   product: {
+ *     title: string;
+ *     handle: string;
+ *     description?: string | null;
+ *     vendor?: string | null;
+ *     seo?: {description?: string | null} | null;
+ *     selectedOrFirstAvailableVariant?: {image?: {url: string} | null} | null;
+ *     variants?: {nodes: StructuredDataVariant[]} | null;
+ *   };
+ *   getUrl: (path: string) => string;
+ * }}
+ */
+export function getProductJsonLd({product, getUrl}) {
+  const productPath = `/products/${product.handle}`;
+  const offers = (product.variants?.nodes ?? []).map((variant) => ({
+    '@type': 'Offer',
+    name: variant.title,
+    sku: variant.sku || undefined,
+    price: variant.price.amount,
+    priceCurrency: variant.price.currencyCode,
+    availability: `${SCHEMA_CONTEXT}/${
+      variant.availableForSale ? 'InStock' : 'OutOfStock'
+    }`,
+    url: getUrl(`${productPath}?${getVariantSearch(variant)}`),
+  }));
+  const prices = offers.map((offer) => Number(offer.price));
+
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Product',
+    name: product.title,
+    description: product.seo?.description || product.description || undefined,
+    image: product.selectedOrFirstAvailableVariant?.image?.url,
+    brand: product.vendor
+      ? {'@type': 'Brand', name: product.vendor}
+      : undefined,
+    url: getUrl(productPath),
+    offers:
+      offers.length > 1
+        ? {
+            '@type': 'AggregateOffer',
+            lowPrice: String(Math.min(...prices)),
+            highPrice: String(Math.max(...prices)),
+            priceCurrency: offers[0].priceCurrency,
+            offerCount: offers.length,
+            offers,
+          }
+        : offers[0],
+  };
+}
+
+/**
+ * An ItemList of the products shown on a collection page.
+ * @param {{
+ *   collection: {
+ *     title: string;
+ *     handle: string;
+ *     products: {
+ *       nodes: Array<{handle: string; title: string; featuredImage?: {url: string} | null}>;
+ *     };
+ *   };
+ *   getUrl: (path: string) => string;
+ * }}
+ */
+export function getCollectionJsonLd({collection, getUrl}) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'ItemList',
+    name: collection.title,
+    url: getUrl(`/collections/${collection.handle}`),
+    numberOfItems: collection.products.nodes.length,
+    itemListElement: collection.products.nodes.map((product, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: product.title,
+      url: getUrl(`/products/${product.handle}`),
+      image: product.featuredImage?.url,
+    })),
+  };
+}
+
+/**
+ * @param {{
+ *   article: {
+ *     title: string;
+ *     handle: string;
+ *     publishedAt: string;
+ *     author?: {name: string} | null;
+ *     image?: {url: string} | null;
+ *     seo?: {description?: string | null} | null;
+ *   };
+ *   blogHandle: string;
+ *   getUrl: (path: string) => string;
+ * }}
+ */
+export function getArticleJsonLd({article, blogHandle, getUrl}) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'Article',
+    headline: article.title,
+    description: article.seo?.description || undefined,
+    image: article.image?.url,
+    datePublished: article.publishedAt,
+    author: article.author
+      ? {'@type': 'Person', name: article.author.name}
+      : undefined,
+    url: getUrl(`/blogs/${blogHandle}/${article.handle}`),
+  };
+}
+
+/**
+ * A BreadcrumbList starting at the home page.
+ * @param {{
+ *   breadcrumbs: Breadcrumb[];
+ *   getUrl: (path: string) => string;
+ * }}
+ */
+export function getBreadcrumbListJsonLd({breadcrumbs, getUrl}) {
+  return {
+    '@context': SCHEMA_CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: [{name: 'Home', path: '/'}, ...breadcrumbs].map(
+      (breadcrumb, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: breadcrumb.name,
+        item: getUrl(breadcrumb.path),
+      }),
+    ),
+  };
+}
+
+/**
+ * Serializes JSON-LD for an inline script. `<` is escaped so that text from
+ * the shop's content can't close the script element.
+ * @param {object} jsonLd
+ */
+export function serializeJsonLd(jsonLd) {
+  return JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+}
+
+/**
+ * @param {StructuredDataVariant} variant
+ */
+function getVariantSearch(variant) {
+  return new URLSearchParams(
+    variant.selectedOptions.map(({name, value}) => [name, value]),
+  ).toString();
+}
+
+/**
+ * @typedef {Object} Breadcrumb
+ * @property {string} name
+ * @property {string} path Unlocalized path of the page
+ */
+/**
+ * @typedef {Object} StructuredDataVariant
+ * @property {string} title
+ * @property {string | null} [sku]
+ * @property {boolean} availableForSale
+ * @property {{amount: string; currencyCode: string}} price
+ * @property {Array<{name: string; value: string}>} selectedOptions
+ */
+/**
+ * Declared on a route's `handle`.
+ * @typedef {Object} StructuredDataHandle
+ * @property {(args: StructuredDataArgs) => Breadcrumb[]} [breadcrumb]
+ * @property {(args: StructuredDataArgs & {getUrl: (path: string) => string}) => object | null} [structuredData]
+ */
+/**
+ * @typedef {Object} StructuredDataArgs
+ * @property {any} data The route's loader data, undefined when it threw
+ * @property {Record<string, string | undefined>} params
+ */
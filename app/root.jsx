@@ -1,8 +1,8 @@
 import { Analytics, getShopAnalytics, useNonce } from '@shopify/hydrogen';
+import { useEffect } from 'react';
 import {
   Outlet,
   useRouteError,
-  isRouteErrorResponse,
   Links,
   Meta,
   Scripts,
@@ -11,11 +11,19 @@ import {
 } from 'react-router';
 
 import favicon from '~/assets/favicon.svg';
-import { FOOTER_QUERY, HEADER_QUERY } from '~/lib/fragments';
+import {
+  FOOTER_QUERY,
+  HEADER_QUERY,
+  LOCALIZATION_QUERY,
+} from '~/lib/fragments';
 import resetStyles from '~/styles/reset.css?url';
 import appStyles from '~/styles/app.css?url';
 import { PageLayout } from './components/PageLayout';
-import { CUSTOMER_EMAIL_QUERY } from '~/graphql/customer-account/CustomerEmailQuery';
+import { AnalyticsBus } from './components/AnalyticsBus';
+import { StructuredData } from './components/StructuredData';
+import { ErrorPage } from './components/ErrorPage';
+import { markHydrated } from '~/lib/errors';
+import { getCustomerIdentity } from '~/lib/identity.server';
 
 export const shouldRevalidate = ({ formMethod, currentUrl, nextUrl }) => {
   if (formMethod && formMethod !== 'GET') return true;
@@ -46,27 +54,17 @@ export async function loader(args) {
   const criticalData = await loadCriticalData(args);
 
   const { storefront, env, customerAccount } = args.context;
+  const { language, country, pathPrefix } = storefront.i18n;
 
-  let customerEmail = null;
-  try {
-    const isLoggedIn = await customerAccount.isLoggedIn();
-    if (isLoggedIn) {
-      const { data } = await customerAccount.query(CUSTOMER_EMAIL_QUERY, {
-        variables: {
-          language: customerAccount.i18n.language,
-        },
-      });
-      customerEmail = data?.customer?.emailAddress?.emailAddress ?? null;
-    }
-  } catch {
-    customerEmail = null;
-  }
+  const identity = await getCustomerIdentity({ customerAccount, env });
 
   return {
     ...deferredData,
     ...criticalData,
-    customerEmail,
+    identity,
     publicStoreDomain: env.PUBLIC_STORE_DOMAIN,
+    // Makes canonical and Open Graph URLs absolute, see `getSeoMeta`
+    origin: new URL(args.request.url).origin,
     shop: getShopAnalytics({
       storefront,
       publicStorefrontId: env.PUBLIC_STOREFRONT_ID,
@@ -79,6 +77,9 @@ export async function loader(args) {
       language: args.context.storefront.i18n.language,
     },
     gtmId: env.PUBLIC_GTM_ID,
+    selectedLocale: { language, country, pathPrefix },
+    // Shown as the reference of server errors, see `ErrorPage`
+    requestId: args.context.logger.requestId,
   };
 }
 
@@ -103,10 +104,16 @@ function loadDeferredData({ context }) {
     })
     .catch(() => null);
 
+  // Markets and currencies offered by the country selector
+  const localization = storefront
+    .query(LOCALIZATION_QUERY, { cache: storefront.CacheLong() })
+    .catch(() => null);
+
   return {
     cart: cart.get(),
     isLoggedIn: customerAccount.isLoggedIn(),
     footer,
+    localization,
   };
 }
 
@@ -114,22 +121,10 @@ export function Layout({ children }) {
   const nonce = useNonce();
   const data = useRouteLoaderData('root');
 
-  // JSON-encode safely for inline scripts
-  const safeEmail = JSON.stringify(data?.customerEmail ?? null);
-
   const dataLayerInitScript = `
     window.dataLayer = window.dataLayer || [];
   `;
 
-  const userInfoPushScript = `
-    if (${safeEmail} !== null) {
-      window.dataLayer.push({
-        event: 'user_info',
-        user_email: ${safeEmail}
-      });
-    }
-  `;
-
   const gtmLoaderScript = `
     (function(w,d,s,l,i,n){
       w[l]=w[l]||[];
@@ -144,13 +139,24 @@ export function Layout({ children }) {
     })(window,document,'script','dataLayer','${data?.gtmId}');
   `;
 
+  // e.g. `PT_BR` becomes `pt-BR`
+  const [language, region] = (data?.selectedLocale?.language ?? 'EN').split(
+    '_',
+  );
+  const lang = [language.toLowerCase(), region].filter(Boolean).join('-');
+
+  useEffect(() => {
+    markHydrated();
+  }, []);
+
   return (
-    <html lang="en" suppressHydrationWarning>
+    <html lang={lang} suppressHydrationWarning>
       <head>
         <meta charSet="utf-8" />
         <meta name="viewport" content="width=device-width,initial-scale=1" />
         <Links />
         <Meta />
+        <StructuredData />
 
         {data?.gtmId && (
           <>
@@ -159,11 +165,6 @@ export function Layout({ children }) {
               suppressHydrationWarning
               dangerouslySetInnerHTML={{ __html: dataLayerInitScript }}
             />
-            <script
-              nonce={nonce || undefined}
-              suppressHydrationWarning
-              dangerouslySetInnerHTML={{ __html: userInfoPushScript }}
-            />
             <script
               nonce={nonce || undefined}
               suppressHydrationWarning
@@ -172,8 +173,7 @@ export function Layout({ children }) {
           </>
         )}
       </head>
-      {/* ✅ expose the email globally on body for hooks */}
-      <body data-customer-email={data?.customerEmail ?? ''}>
+      <body>
         {data?.gtmId && (
           <noscript>
             <iframe
@@ -198,32 +198,34 @@ export default function App() {
   if (!data) return <Outlet />;
 
   return (
-    <Analytics.Provider cart={data.cart} shop={data.shop} consent={data.consent}>
-      <PageLayout {...data}>
-        <Outlet />
-      </PageLayout>
-    </Analytics.Provider>
+    <Storefront data={data}>
+      <Outlet />
+    </Storefront>
   );
 }
 
 export function ErrorBoundary() {
   const error = useRouteError();
-  let message = 'Unknown error';
-  let status = 500;
+  const data = useRouteLoaderData('root');
+  if (!data) return <ErrorPage error={error} />;
 
-  if (isRouteErrorResponse(error)) {
-    message = error?.data?.message ?? error.data;
-    status = error.status;
-  } else if (error instanceof Error) {
-    message = error.message;
-  }
+  return (
+    <Storefront data={data}>
+      <ErrorPage error={error} />
+    </Storefront>
+  );
+}
 
+/**
+ * The analytics provider and page layout around every page.
+ * @param {{ data: RootLoader; children: React.ReactNode }}
+ */
+function Storefront({ data, children }) {
   return (
-    <div className="route-error">
-      <h1>Oops</h1>
-      <h2>{status}</h2>
-      <pre>{message}</pre>
-    </div>
+    <Analytics.Provider cart={data.cart} shop={data.shop} consent={data.consent}>
+      <AnalyticsBus consent={data.consent} identity={data.identity} />
+      <PageLayout {...data}>{children}</PageLayout>
+    </Analytics.Provider>
   );
 }
 
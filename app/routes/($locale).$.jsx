@@ -11,5 +11,5 @@ export default function CatchAllPage() {
   return null;
 }
 
-/** @typedef {import('./+types/$').Route} Route */
+/** @typedef {import('./+types/($locale).$').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
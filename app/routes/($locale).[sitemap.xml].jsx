@@ -0,0 +1,21 @@
+import {DEFAULT_LOCALE, findLocale, isLocaleParamValid} from '~/lib/i18n';
+import {getSitemapIndexResponse} from '~/lib/sitemap.server';
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, params, context: {storefront}}) {
+  // Resource routes skip the `($locale)` layout loader, so check it here
+  if (!isLocaleParamValid(params.locale, storefront.i18n)) {
+    throw new Response(null, {status: 404});
+  }
+
+  return getSitemapIndexResponse({
+    storefront,
+    request,
+    locale: findLocale(params.locale) ?? DEFAULT_LOCALE,
+  });
+}
+
+/** @typedef {import('./+types/($locale).[sitemap.xml]').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
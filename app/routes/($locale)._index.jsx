@@ -2,12 +2,14 @@ import {Await, useLoaderData, Link} from 'react-router';
 import {Suspense} from 'react';
 import {Image} from '@shopify/hydrogen';
 import {ProductItem} from '~/components/ProductItem';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getSeoMeta} from '~/lib/seo';
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: 'Hydrogen | Home'}];
+export const meta = (args) => {
+  return getSeoMeta(args, {title: 'Hydrogen | Home', path: '/'});
 };
 
 /**
@@ -76,12 +78,13 @@ export default function Homepage() {
  * }}
  */
 function FeaturedCollection({collection}) {
+  const localize = useLocalizePath();
   if (!collection) return null;
   const image = collection?.image;
   return (
     <Link
       className="featured-collection"
-      to={`/collections/${collection.handle}`}
+      to={localize(`/collections/${collection.handle}`)}
     >
       {image && (
         <div className="featured-collection-image">
@@ -100,15 +103,24 @@ function FeaturedCollection({collection}) {
  */
 function RecommendedProducts({products}) {
   return (
-    <div className="recommended-products">
+    <div
+      className="recommended-products"
+      data-analytics-section="recommended_products"
+    >
       <h2>Recommended Products</h2>
       <Suspense fallback={<div>Loading...</div>}>
         <Await resolve={products}>
           {(response) => (
             <div className="recommended-products-grid">
               {response
-                ? response.products.nodes.map((product) => (
-                    <ProductItem key={product.id} product={product} />
+                ? response.products.nodes.map((product, index) => (
+                    <ProductItem
+                      key={product.id}
+                      product={product}
+                      listId="recommended_products"
+                      listName="Recommended Products"
+                      index={index}
+                    />
                   ))
                 : null}
             </div>
@@ -172,7 +184,7 @@ const RECOMMENDED_PRODUCTS_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/_index').Route} Route */
+/** @typedef {import('./+types/($locale)._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').FeaturedCollectionFragment} FeaturedCollectionFragment */
 /** @typedef {import('storefrontapi.generated').RecommendedProductsQuery} RecommendedProductsQuery */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
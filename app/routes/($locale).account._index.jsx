@@ -0,0 +1,12 @@
+import {redirect} from 'react-router';
+import {localizePath} from '~/lib/i18n';
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  return redirect(localizePath('/account/orders', context.storefront.i18n));
+}
+
+/** @typedef {import('./+types/($locale).account._index').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
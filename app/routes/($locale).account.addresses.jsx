@@ -522,6 +522,6 @@ export function AddressForm({addressId, address, defaultAddress, children}) {
 /** @typedef {import('customer-accountapi.generated').AddressFragment} AddressFragment */
 /** @typedef {import('customer-accountapi.generated').CustomerFragment} CustomerFragment */
 /** @template T @typedef {import('react-router').Fetcher<T>} Fetcher */
-/** @typedef {import('./+types/account.addresses').Route} Route */
+/** @typedef {import('./+types/($locale).account.addresses').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
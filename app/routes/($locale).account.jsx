@@ -5,6 +5,7 @@ import {
   Outlet,
   useLoaderData,
 } from 'react-router';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
 import {CUSTOMER_DETAILS_QUERY} from '~/graphql/customer-account/CustomerDetailsQuery';
 
 export function shouldRevalidate() {
@@ -59,6 +60,8 @@ export default function AccountLayout() {
 }
 
 function AccountMenu() {
+  const localize = useLocalizePath();
+
   function isActiveStyle({isActive, isPending}) {
     return {
       fontWeight: isActive ? 'bold' : undefined,
@@ -68,15 +71,15 @@ function AccountMenu() {
 
   return (
     <nav role="navigation">
-      <NavLink to="/account/orders" style={isActiveStyle}>
+      <NavLink to={localize('/account/orders')} style={isActiveStyle}>
         Orders &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
-      <NavLink to="/account/profile" style={isActiveStyle}>
+      <NavLink to={localize('/account/profile')} style={isActiveStyle}>
         &nbsp; Profile &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
-      <NavLink to="/account/addresses" style={isActiveStyle}>
+      <NavLink to={localize('/account/addresses')} style={isActiveStyle}>
         &nbsp; Addresses &nbsp;
       </NavLink>
       &nbsp;|&nbsp;
@@ -86,12 +89,18 @@ function AccountMenu() {
 }
 
 function Logout() {
+  const localize = useLocalizePath();
+
   return (
-    <Form className="account-logout" method="POST" action="/account/logout">
+    <Form
+      className="account-logout"
+      method="POST"
+      action={localize('/account/logout')}
+    >
       &nbsp;<button type="submit">Sign out</button>
     </Form>
   );
 }
 
-/** @typedef {import('./+types/account').Route} Route */
+/** @typedef {import('./+types/($locale).account').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
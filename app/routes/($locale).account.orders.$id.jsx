@@ -1,5 +1,6 @@
 import {redirect, useLoaderData} from 'react-router';
 import {Money, Image} from '@shopify/hydrogen';
+import {localizePath} from '~/lib/i18n';
 import {CUSTOMER_ORDER_QUERY} from '~/graphql/customer-account/CustomerOrderQuery';
 
 /**
@@ -15,7 +16,7 @@ export const meta = ({data}) => {
 export async function loader({params, context}) {
   const {customerAccount} = context;
   if (!params.id) {
-    return redirect('/account/orders');
+    return redirect(localizePath('/account/orders', context.storefront.i18n));
   }
 
   const orderId = atob(params.id);
@@ -215,7 +216,7 @@ function OrderLineRow({lineItem}) {
   );
 }
 
-/** @typedef {import('./+types/account.orders.$id').Route} Route */
+/** @typedef {import('./+types/($locale).account.orders.$id').Route} Route */
 /** @typedef {import('customer-accountapi.generated').OrderLineItemFullFragment} OrderLineItemFullFragment */
 /** @typedef {import('customer-accountapi.generated').OrderQuery} OrderQuery */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -15,6 +15,7 @@ import {
   parseOrderFilters,
   ORDER_FILTER_FIELDS,
 } from '~/lib/orderFilters';
+import { useLocalizePath } from '~/hooks/useLocalizePath';
 import { CUSTOMER_ORDERS_QUERY } from '~/graphql/customer-account/CustomerOrdersQuery';
 import { PaginatedResourceSection } from '~/components/PaginatedResourceSection';
 
@@ -92,6 +93,8 @@ function OrdersTable({ orders, filters }) {
  * @param {{hasFilters?: boolean}}
  */
 function EmptyOrders({ hasFilters = false }) {
+  const localize = useLocalizePath();
+
   return (
     <div>
       {hasFilters ? (
@@ -99,7 +102,7 @@ function EmptyOrders({ hasFilters = false }) {
           <p>No orders found matching your search.</p>
           <br />
           <p>
-            <Link to="/account/orders">Clear filters →</Link>
+            <Link to={localize('/account/orders')}>Clear filters →</Link>
           </p>
         </>
       ) : (
@@ -107,7 +110,7 @@ function EmptyOrders({ hasFilters = false }) {
           <p>You haven&apos;t placed any orders yet.</p>
           <br />
           <p>
-            <Link to="/collections">Start Shopping →</Link>
+            <Link to={localize('/collections')}>Start Shopping →</Link>
           </p>
         </>
       )}
@@ -203,11 +206,13 @@ function OrderSearchForm({ currentFilters }) {
  * @param {{order: OrderItemFragment}}
  */
 function OrderItem({ order }) {
+  const localize = useLocalizePath();
+  const orderUrl = localize(`/account/orders/${btoa(order.id)}`);
   const fulfillmentStatus = flattenConnection(order.fulfillments)[0]?.status;
   return (
     <>
       <fieldset>
-        <Link to={`/account/orders/${btoa(order.id)}`}>
+        <Link to={orderUrl}>
           <strong>#{order.number}</strong>
         </Link>
         <p>{new Date(order.processedAt).toDateString()}</p>
@@ -217,7 +222,7 @@ function OrderItem({ order }) {
         <p>{order.financialStatus}</p>
         {fulfillmentStatus && <p>{fulfillmentStatus}</p>}
         <Money data={order.totalPrice} />
-        <Link to={`/account/orders/${btoa(order.id)}`}>View Order →</Link>
+        <Link to={orderUrl}>View Order →</Link>
       </fieldset>
       <br />
     </>
@@ -231,7 +236,7 @@ function OrderItem({ order }) {
  * }} OrdersLoaderData
  */
 
-/** @typedef {import('./+types/account.orders._index').Route} Route */
+/** @typedef {import('./+types/($locale).account.orders._index').Route} Route */
 /** @typedef {import('~/lib/orderFilters').OrderFilterParams} OrderFilterParams */
 /** @typedef {import('customer-accountapi.generated').CustomerOrdersFragment} CustomerOrdersFragment */
 /** @typedef {import('customer-accountapi.generated').OrderItemFragment} OrderItemFragment */
@@ -143,6 +143,6 @@ export default function AccountProfile() {
 
 /** @typedef {import('customer-accountapi.generated').CustomerFragment} CustomerFragment */
 /** @typedef {import('@shopify/hydrogen/customer-account-api-types').CustomerUpdateInput} CustomerUpdateInput */
-/** @typedef {import('./+types/account.profile').Route} Route */
+/** @typedef {import('./+types/($locale).account.profile').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
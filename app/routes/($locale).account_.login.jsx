@@ -7,5 +7,5 @@ export async function loader({ request, context }) {
   });
 }
 
-/** @typedef {import('./+types/account_.login').Route} Route */
+/** @typedef {import('./+types/($locale).account_.login').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
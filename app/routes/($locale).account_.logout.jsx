@@ -1,9 +1,13 @@
 import {redirect} from 'react-router';
+import {localizePath} from '~/lib/i18n';
 
 // if we don't implement this, /account/logout will get caught by account.$.tsx to do login
 
-export async function loader() {
-  return redirect('/');
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  return redirect(localizePath('/', context.storefront.i18n));
 }
 
 /**
@@ -13,6 +17,6 @@ export async function action({context}) {
   return context.customerAccount.logout();
 }
 
-/** @typedef {import('./+types/account_.logout').Route} Route */
+/** @typedef {import('./+types/($locale).account_.logout').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
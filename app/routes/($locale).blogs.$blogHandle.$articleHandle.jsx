@@ -1,12 +1,47 @@
 import {useLoaderData} from 'react-router';
 import {Image} from '@shopify/hydrogen';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {getSeoMeta} from '~/lib/seo';
+import {getArticleJsonLd} from '~/lib/structuredData';
+
+/**
+ * Breadcrumbs and structured data rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: ({data}) =>
+    data?.article
+      ? [
+          {name: 'Blogs', path: '/blogs'},
+          {name: data.blog.title, path: `/blogs/${data.blog.handle}`},
+          {
+            name: data.article.title,
+            path: `/blogs/${data.blog.handle}/${data.article.handle}`,
+          },
+        ]
+      : [{name: 'Blogs', path: '/blogs'}],
+  structuredData: ({data, getUrl}) =>
+    data?.article
+      ? getArticleJsonLd({
+          article: data.article,
+          blogHandle: data.blog.handle,
+          getUrl,
+        })
+      : null,
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.article.title ?? ''} article`}];
+export const meta = (args) => {
+  const article = args.data?.article;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${article?.title ?? ''} article`,
+    description: article?.seo?.description,
+    path: article ? `/blogs/${args.data?.blog.handle}/${article.handle}` : null,
+    image: article?.image,
+    type: 'article',
+  });
 };
 
 /**
@@ -57,9 +92,9 @@ async function loadCriticalData({context, request, params}) {
     },
   );
 
-  const article = blog.articleByHandle;
+  const {articleByHandle: article, ...blogFields} = blog;
 
-  return {article};
+  return {article, blog: blogFields};
 }
 
 /**
@@ -112,6 +147,7 @@ const ARTICLE_QUERY = `#graphql
   ) @inContext(language: $language, country: $country) {
     blog(handle: $blogHandle) {
       handle
+      title
       articleByHandle(handle: $articleHandle) {
         handle
         title
@@ -136,5 +172,6 @@ const ARTICLE_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/blogs.$blogHandle.$articleHandle').Route} Route */
+/** @typedef {import('./+types/($locale).blogs.$blogHandle.$articleHandle').Route} Route */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,13 +1,33 @@
 import {Link, useLoaderData} from 'react-router';
 import {Image, getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: ({data}) => [
+    {name: 'Blogs', path: '/blogs'},
+    ...(data?.blog
+      ? [{name: data.blog.title, path: `/blogs/${data.blog.handle}`}]
+      : []),
+  ],
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.blog.title ?? ''} blog`}];
+export const meta = (args) => {
+  const blog = args.data?.blog;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${blog?.title ?? ''} blog`,
+    description: blog?.seo?.description,
+    path: blog ? `/blogs/${blog.handle}` : null,
+  });
 };
 
 /**
@@ -96,6 +116,7 @@ export default function Blog() {
  * }}
  */
 function ArticleItem({article, loading}) {
+  const localize = useLocalizePath();
   const publishedAt = new Intl.DateTimeFormat('en-US', {
     year: 'numeric',
     month: 'long',
@@ -103,7 +124,7 @@ function ArticleItem({article, loading}) {
   }).format(new Date(article.publishedAt));
   return (
     <div className="blog-article" key={article.id}>
-      <Link to={`/blogs/${article.blog.handle}/${article.handle}`}>
+      <Link to={localize(`/blogs/${article.blog.handle}/${article.handle}`)}>
         {article.image && (
           <div className="blog-article-image">
             <Image
@@ -181,6 +202,7 @@ const BLOGS_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/blogs.$blogHandle._index').Route} Route */
+/** @typedef {import('./+types/($locale).blogs.$blogHandle._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').ArticleItemFragment} ArticleItemFragment */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
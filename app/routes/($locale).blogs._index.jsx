@@ -1,12 +1,22 @@
 import {Link, useLoaderData} from 'react-router';
 import {getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Blogs', path: '/blogs'}],
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: `Hydrogen | Blogs`}];
+export const meta = (args) => {
+  return getSeoMeta(args, {title: `Hydrogen | Blogs`});
 };
 
 /**
@@ -57,6 +67,7 @@ function loadDeferredData({context}) {
 export default function Blogs() {
   /** @type {LoaderReturnData} */
   const {blogs} = useLoaderData();
+  const localize = useLocalizePath();
 
   return (
     <div className="blogs">
@@ -68,7 +79,7 @@ export default function Blogs() {
               className="blog"
               key={blog.handle}
               prefetch="intent"
-              to={`/blogs/${blog.handle}`}
+              to={localize(`/blogs/${blog.handle}`)}
             >
               <h2>{blog.title}</h2>
             </Link>
@@ -115,6 +126,7 @@ const BLOGS_QUERY = `#graphql
 
 /** @typedef {BlogsQuery['blogs']['nodes'][0]} BlogNode */
 
-/** @typedef {import('./+types/blogs._index').Route} Route */
+/** @typedef {import('./+types/($locale).blogs._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').BlogsQuery} BlogsQuery */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,7 +1,17 @@
 import {redirect} from 'react-router';
+import {getAttributionAttributes} from '~/lib/attribution';
+import {
+  getCartAttributeValues,
+  getMissingCartAttributes,
+} from '~/lib/cartAttributes';
+import {syncGiftLines} from '~/lib/cartIncentives.server';
+import {beginCheckout} from '~/lib/ga4';
+import {localizePath} from '~/lib/i18n';
 
 /**
  * Automatically creates a new cart based on the URL and redirects straight to checkout.
+ * When the store requires order attributes, the shopper is sent to the cart to fill
+ * them in instead.
  * Expected URL structure:
  * ```js
  * /cart/<variant_id>:<quantity>
@@ -22,7 +32,7 @@ import {redirect} from 'react-router';
 export async function loader({request, context, params}) {
   const {cart} = context;
   const {lines} = params;
-  if (!lines) return redirect('/cart');
+  if (!lines) return redirect(localizePath('/cart', context.storefront.i18n));
   const linesMap = lines.split(',').map((line) => {
     const lineDetails = line.split(':');
     const variantId = lineDetails[0];
@@ -44,6 +54,7 @@ export async function loader({request, context, params}) {
   const result = await cart.create({
     lines: linesMap,
     discountCodes: discountArray,
+    attributes: getAttributionAttributes(context.attribution),
   });
 
   const cartResult = result.cart;
@@ -57,8 +68,44 @@ export async function loader({request, context, params}) {
   // Update cart id in cookie
   const headers = cart.setCartId(cartResult.id);
 
+  // Gifts the lines unlock go to checkout too; the cart is kept without them
+  await syncGiftLines({
+    cart,
+    storefront: context.storefront,
+    logger: context.logger,
+  }).catch((error) => {
+    context.logger.error('Failed to update cart gifts', {error});
+  });
+
+  const missingAttributes = getMissingCartAttributes(
+    getCartAttributeValues(cartResult.attributes),
+  );
+  if (missingAttributes.length) {
+    return redirect(localizePath('/cart', context.storefront.i18n), {headers});
+  }
+
   // redirect to checkout
   if (cartResult.checkoutUrl) {
+    // The browser leaves the storefront straight away, so the event is sent
+    // from the server. Mutations only return a minimal cart, so the lines
+    // are read back before forwarding, without delaying the redirect.
+    context.waitUntil(
+      cart.get({cartId: cartResult.id}).then((createdCart) => {
+        if (!createdCart) return;
+
+        context.events.forward(
+          [
+            {
+              event: 'begin_checkout',
+              payload: beginCheckout({cart: createdCart}),
+              timestamp: Date.now(),
+            },
+          ],
+          {request, context},
+        );
+      }),
+    );
+
     return redirect(cartResult.checkoutUrl, {headers});
   } else {
     throw new Error('No checkout URL found');
@@ -69,5 +116,5 @@ export default function Component() {
   return null;
 }
 
-/** @typedef {import('./+types/cart.$lines').Route} Route */
+/** @typedef {import('./+types/($locale).cart.$lines').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,377 @@
+import {useLoaderData, data} from 'react-router';
+import {CartForm} from '@shopify/hydrogen';
+import {CartMain} from '~/components/CartMain';
+import {mergeAttributionAttributes} from '~/lib/attribution';
+import {
+  getCartAttributeValues,
+  getMissingCartAttributes,
+  mergeCartAttributes,
+  validateCartAttributes,
+  validateCartNote,
+} from '~/lib/cartAttributes';
+import {isGiftLine} from '~/lib/cartIncentives';
+import {syncGiftLines} from '~/lib/cartIncentives.server';
+import {validateCartLineProperties} from '~/lib/lineItemProperties.server';
+import {SAVED_FOR_LATER_ACTIONS} from '~/lib/savedForLater';
+import {
+  createSavedItem,
+  getSavedForLater,
+  getSavedItemVariants,
+  updateSavedForLater,
+} from '~/lib/savedForLater.server';
+import {
+  localizePath,
+  parseLocaleCode,
+  resolveLocale,
+  setSessionLocale,
+} from '~/lib/i18n';
+
+/**
+ * Actions that can change the subtotal, after which the gifts of the cart
+ * incentives are added or removed.
+ */
+const SUBTOTAL_ACTIONS = [
+  CartForm.ACTIONS.LinesAdd,
+  CartForm.ACTIONS.LinesUpdate,
+  CartForm.ACTIONS.LinesRemove,
+  CartForm.ACTIONS.DiscountCodesUpdate,
+  CartForm.ACTIONS.BuyerIdentityUpdate,
+  SAVED_FOR_LATER_ACTIONS.SaveForLater,
+  SAVED_FOR_LATER_ACTIONS.MoveToCart,
+];
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Cart', path: '/cart'}],
+};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = () => {
+  return [{title: `Hydrogen | Cart`}];
+};
+
+/**
+ * @type {HeadersFunction}
+ */
+export const headers = ({actionHeaders}) => actionHeaders;
+
+/**
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  const {cart, session, storefront} = context;
+
+  const formData = await request.formData();
+
+  const {action, inputs} = CartForm.getFormInput(formData);
+
+  if (!action) {
+    throw new Error('No action provided');
+  }
+
+  // Line item properties are checked against those declared by each product
+  if (
+    action === CartForm.ACTIONS.LinesAdd ||
+    action === CartForm.ACTIONS.LinesUpdate
+  ) {
+    const validated = await validateCartLineProperties({
+      action,
+      lines: inputs.lines,
+      storefront,
+      cart,
+    });
+    if ('errors' in validated) {
+      return invalidInputResponse(validated.errors, cart);
+    }
+    inputs.lines = validated.lines;
+  }
+
+  let status = 200;
+  let result;
+  /** @type {I18nLocale | null} */
+  let selectedLocale = null;
+
+  switch (action) {
+    case CartForm.ACTIONS.LinesAdd:
+      result = await cart.addLines(inputs.lines);
+      break;
+    case CartForm.ACTIONS.LinesUpdate:
+      result = await cart.updateLines(inputs.lines);
+      break;
+    case CartForm.ACTIONS.LinesRemove:
+      result = await cart.removeLines(inputs.lineIds);
+      break;
+    case CartForm.ACTIONS.DiscountCodesUpdate: {
+      const formDiscountCode = inputs.discountCode;
+
+      // User inputted discount code
+      const discountCodes = formDiscountCode ? [formDiscountCode] : [];
+
+      // Combine discount codes already applied on cart
+      discountCodes.push(...inputs.discountCodes);
+
+      result = await cart.updateDiscountCodes(discountCodes);
+      break;
+    }
+    case CartForm.ACTIONS.GiftCardCodesUpdate: {
+      const formGiftCardCode = inputs.giftCardCode;
+
+      // User inputted gift card code
+      const giftCardCodes = formGiftCardCode ? [formGiftCardCode] : [];
+
+      // Combine gift card codes already applied on cart
+      giftCardCodes.push(...inputs.giftCardCodes);
+
+      result = await cart.updateGiftCardCodes(giftCardCodes);
+      break;
+    }
+    case CartForm.ACTIONS.GiftCardCodesRemove: {
+      const appliedGiftCardIds = inputs.giftCardCodes;
+      result = await cart.removeGiftCardCodes(appliedGiftCardIds);
+      break;
+    }
+    case CartForm.ACTIONS.NoteUpdate: {
+      const error = validateCartNote(inputs.note);
+      if (error) return invalidInputResponse([error], cart);
+
+      result = await cart.updateNote(inputs.note.trim());
+      break;
+    }
+    case CartForm.ACTIONS.AttributesUpdateInput: {
+      // Sent by the order attributes form, one input per field
+      const {attributes, errors} = validateCartAttributes(inputs);
+      if (Object.keys(errors).length) {
+        return invalidInputResponse(Object.values(errors), cart);
+      }
+
+      const currentCart = await cart.get();
+      result = await cart.updateAttributes(
+        mergeCartAttributes(currentCart?.attributes, attributes),
+      );
+      break;
+    }
+    case CartForm.ACTIONS.BuyerIdentityUpdate: {
+      // Sent by the country selector as `<language>-<country>`
+      const locale = parseLocaleCode(inputs.locale);
+      if (locale) {
+        selectedLocale = resolveLocale(locale);
+        setSessionLocale(session, locale);
+      }
+
+      // Switching market without a cart doesn't need to create one
+      if (locale && !cart.getCartId()) {
+        result = {cart: null, errors: [], warnings: []};
+        break;
+      }
+
+      result = await cart.updateBuyerIdentity({
+        ...inputs.buyerIdentity,
+        ...(locale && {countryCode: locale.country}),
+      });
+      break;
+    }
+    case SAVED_FOR_LATER_ACTIONS.SaveForLater: {
+      const currentCart = await cart.get();
+      const line = currentCart?.lines.nodes.find(
+        (line) => line.id === inputs.lineId,
+      );
+      // Gifts are added and removed with their incentive tier
+      if (!line || isGiftLine(line)) {
+        return invalidInputResponse(
+          ["This item can't be saved for later"],
+          cart,
+        );
+      }
+
+      // Saved first, so the line is never lost
+      const savedItem = createSavedItem(line);
+      const saved = await updateSavedForLater(context, (items) => [
+        savedItem,
+        ...items,
+      ]).catch((error) => {
+        context.logger.error('Failed to save for later', {error});
+        return null;
+      });
+      if (!saved) {
+        return invalidInputResponse(
+          ["This item couldn't be saved for later. Please try again."],
+          cart,
+        );
+      }
+
+      result = await cart.removeLines([line.id]);
+      // The line is still in the cart, so it mustn't be saved twice
+      if (result.errors?.length) {
+        await updateSavedForLater(context, (items) =>
+          items.filter(({id}) => id !== savedItem.id),
+        ).catch((error) => {
+          context.logger.error('Failed to remove saved for later', {error});
+        });
+      }
+      break;
+    }
+    case SAVED_FOR_LATER_ACTIONS.MoveToCart: {
+      const items = await getSavedForLater(context).catch((error) => {
+        context.logger.error('Failed to load saved for later', {error});
+        return [];
+      });
+      const item = items.find((item) => item.id === inputs.itemId);
+      if (!item) {
+        return invalidInputResponse(['This item is no longer saved'], cart);
+      }
+
+      // Stock may have run out since the item was saved
+      const [{variant}] = await getSavedItemVariants(storefront, [item]);
+      if (!variant?.availableForSale) {
+        return invalidInputResponse(
+          [`${variant?.product.title ?? 'This item'} is sold out`],
+          cart,
+        );
+      }
+
+      // So were the properties the product declares
+      const validated = await validateCartLineProperties({
+        action: CartForm.ACTIONS.LinesAdd,
+        lines: [
+          {
+            merchandiseId: item.merchandiseId,
+            quantity: item.quantity,
+            attributes: item.attributes,
+          },
+        ],
+        storefront,
+        cart,
+      });
+      if ('errors' in validated) {
+        return invalidInputResponse(validated.errors, cart);
+      }
+
+      result = await cart.addLines(validated.lines);
+      if (!result.errors?.length) {
+        await updateSavedForLater(context, (items) =>
+          items.filter(({id}) => id !== item.id),
+        ).catch((error) => {
+          context.logger.error('Failed to remove saved for later', {error});
+        });
+      }
+      break;
+    }
+    default:
+      throw new Error(`${action} cart action is not defined`);
+  }
+
+  const cartId = result?.cart?.id;
+  const headers = cartId ? cart.setCartId(result.cart.id) : new Headers();
+  const {errors, warnings} = result;
+  let cartResult = result.cart;
+
+  // Carry the visit's marketing attribution through to checkout and the order
+  const attributes = cartId
+    ? mergeAttributionAttributes(cartResult.attributes, context.attribution)
+    : null;
+  if (attributes) {
+    const attributesResult = await cart.updateAttributes(attributes, {cartId});
+    cartResult = attributesResult.cart ?? cartResult;
+  }
+
+  // The shopper's change is kept even when gifts can't be updated
+  if (cartId && SUBTOTAL_ACTIONS.includes(action)) {
+    const giftsResult = await syncGiftLines({
+      cart,
+      storefront,
+      logger: context.logger,
+    }).catch((error) => {
+      context.logger.error('Failed to update cart gifts', {error});
+      return null;
+    });
+    cartResult = giftsResult?.cart ?? cartResult;
+  }
+
+  const redirectTo = formData.get('redirectTo') ?? null;
+  if (typeof redirectTo === 'string') {
+    status = 303;
+    headers.set(
+      'Location',
+      selectedLocale && redirectTo.startsWith('/')
+        ? localizePath(redirectTo, selectedLocale)
+        : redirectTo,
+    );
+  }
+
+  return data(
+    {
+      cart: cartResult,
+      errors,
+      warnings,
+      missingAttributes: getCartMissingAttributes(cartResult),
+      analytics: {
+        cartId,
+      },
+    },
+    {status, headers},
+  );
+}
+
+/**
+ * Labels of the required order attributes the cart is missing, which the
+ * cart's checkout button waits for.
+ * @returns {string[]}
+ * @param {{attributes?: AttributeInput[] | null} | null | undefined} cart
+ */
+function getCartMissingAttributes(cart) {
+  if (!cart) return [];
+  return getMissingCartAttributes(getCartAttributeValues(cart.attributes));
+}
+
+/**
+ * Rejects a cart action whose inputs failed validation, leaving the cart
+ * unchanged. The errors have the shape of the Storefront API's user errors.
+ * @param {string[]} messages
+ * @param {HydrogenCart} cart
+ */
+function invalidInputResponse(messages, cart) {
+  return data(
+    {
+      cart: null,
+      errors: messages.map((message) => ({message})),
+      warnings: [],
+      analytics: {cartId: cart.getCartId()},
+    },
+    {status: 400},
+  );
+}
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({context}) {
+  const cart = await context.cart.get();
+  return {cart, missingAttributes: getCartMissingAttributes(cart)};
+}
+
+export default function Cart() {
+  /** @type {LoaderReturnData} */
+  const {cart} = useLoaderData();
+
+  return (
+    <div className="cart">
+      <h1>Cart</h1>
+      <CartMain layout="page" cart={cart} />
+    </div>
+  );
+}
+
+/** @typedef {import('react-router').HeadersFunction} HeadersFunction */
+/** @typedef {import('./+types/($locale).cart').Route} Route */
+/** @typedef {import('@shopify/hydrogen').CartQueryDataReturn} CartQueryDataReturn */
+/** @typedef {import('@shopify/hydrogen').HydrogenCart} HydrogenCart */
+/** @typedef {import('@shopify/hydrogen/storefront-api-types').AttributeInput} AttributeInput */
+/** @typedef {import('~/lib/i18n').I18nLocale} I18nLocale */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
@@ -1,15 +1,47 @@
-import { redirect, useLoaderData, useRouteLoaderData } from 'react-router';
-import { useEffect } from 'react';
+import { redirect, useLoaderData } from 'react-router';
 import { getPaginationVariables, Analytics } from '@shopify/hydrogen';
 import { PaginatedResourceSection } from '~/components/PaginatedResourceSection';
 import { redirectIfHandleIsLocalized } from '~/lib/redirect';
 import { ProductItem } from '~/components/ProductItem';
+import { localizePath } from '~/lib/i18n';
+import { getSeoMeta } from '~/lib/seo';
+import { getCollectionJsonLd } from '~/lib/structuredData';
+
+/**
+ * Page type reported with engagement events, and structured data rendered
+ * by `<StructuredData>`
+ * @type {StructuredDataHandle & {pageType: string}}
+ */
+export const handle = {
+  pageType: 'collection',
+  breadcrumb: ({ data }) => [
+    { name: 'Collections', path: '/collections' },
+    ...(data?.collection
+      ? [
+          {
+            name: data.collection.title,
+            path: `/collections/${data.collection.handle}`,
+          },
+        ]
+      : []),
+  ],
+  structuredData: ({ data, getUrl }) =>
+    data?.collection
+      ? getCollectionJsonLd({ collection: data.collection, getUrl })
+      : null,
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({ data }) => {
-  return [{ title: `Hydrogen | ${data?.collection.title ?? ''} Collection` }];
+export const meta = (args) => {
+  const collection = args.data?.collection;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${collection?.title ?? ''} Collection`,
+    description: collection?.seo.description ?? collection?.description,
+    path: collection ? `/collections/${collection.handle}` : null,
+    image: collection?.image,
+  });
 };
 
 /**
@@ -38,7 +70,7 @@ async function loadCriticalData({ context, params, request }) {
   });
 
   if (!handle) {
-    throw redirect('/collections');
+    throw redirect(localizePath('/collections', storefront.i18n));
   }
 
   const [{ collection }] = await Promise.all([
@@ -75,74 +107,6 @@ function loadDeferredData({ context }) {
 export default function Collection() {
   /** @type {LoaderReturnData} */
   const { collection } = useLoaderData();
-  const rootData = useRouteLoaderData('root');
-
-  // ✅ unified email + user type from root loader (same as product page)
-  const userEmail = rootData?.customerEmail ?? null;
-  const userType = userEmail ? 'logged_in' : 'visitor';
-
-  // Flatten product details from this collection for tracking
-  const products = collection?.products?.nodes ?? [];
-  const productIds = products.map((p) => p.id);
-  const productHandles = products.map((p) => p.handle);
-  const productTitles = products.map((p) => p.title);
-
-  useEffect(() => {
-    if (typeof window === 'undefined') return;
-
-    const waitForGTM = () => {
-      return new Promise((resolve) => {
-        if (window.google_tag_manager && window.dataLayer) {
-          resolve(true);
-          return;
-        }
-        let attempts = 0;
-        const maxAttempts = 50;
-        const interval = setInterval(() => {
-          attempts++;
-          if (window.google_tag_manager && window.dataLayer) {
-            clearInterval(interval);
-            resolve(true);
-          } else if (attempts >= maxAttempts) {
-            clearInterval(interval);
-            resolve(false);
-          }
-        }, 100);
-      });
-    };
-
-    waitForGTM().then((isReady) => {
-      if (!isReady) return;
-
-      // Optional: user info event (you already use this on product pages)
-      window.dataLayer.push({
-        event: 'user_data_available',
-        user_type: userType,
-        user_email: userEmail || null,
-      });
-
-      // ✅ collection page view details with full context
-      window.dataLayer.push({
-        event: 'collection_page_view',
-        page_type: 'collection',
-
-        // collection-level
-        collection_id: collection.id,
-        collection_handle: collection.handle,
-        collection_title: collection.title,
-        collection_description: collection.description ?? '',
-
-        // user-level
-        user_email: userEmail || null,
-        user_type: userType,
-
-        // products in this collection (arrays)
-        collection_product_ids: productIds,
-        collection_product_handles: productHandles,
-        collection_product_titles: productTitles,
-      });
-    });
-  }, [collection, userEmail, userType]);
 
   return (
     <div className="collection">
@@ -157,6 +121,9 @@ export default function Collection() {
             key={product.id}
             product={product}
             loading={index < 8 ? 'eager' : undefined}
+            listId={collection.handle}
+            listName={collection.title}
+            index={index}
           />
         )}
       </PaginatedResourceSection>
@@ -216,6 +183,16 @@ const COLLECTION_QUERY = `#graphql
       handle
       title
       description
+      seo {
+        description
+        title
+      }
+      image {
+        url
+        altText
+        width
+        height
+      }
       products(
         first: $first,
         last: $last,
@@ -236,6 +213,7 @@ const COLLECTION_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/collections.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).collections.$handle').Route} Route */
 /** @typedef {import('storefrontapi.generated').ProductItemFragment} ProductItemFragment */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,6 +1,23 @@
 import {useLoaderData, Link} from 'react-router';
 import {getPaginationVariables, Image} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Collections', path: '/collections'}],
+};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = (args) => {
+  return getSeoMeta(args, {title: `Hydrogen | Collections`});
+};
 
 /**
  * @param {Route.LoaderArgs} args
@@ -75,11 +92,13 @@ export default function Collections() {
  * }}
  */
 function CollectionItem({collection, index}) {
+  const localize = useLocalizePath();
+
   return (
     <Link
       className="collection-item"
       key={collection.id}
-      to={`/collections/${collection.handle}`}
+      to={localize(`/collections/${collection.handle}`)}
       prefetch="intent"
     >
       {collection?.image && (
@@ -136,6 +155,7 @@ const COLLECTIONS_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/collections._index').Route} Route */
+/** @typedef {import('./+types/($locale).collections._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').CollectionFragment} CollectionFragment */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
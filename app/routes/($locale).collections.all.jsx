@@ -2,12 +2,21 @@ import {useLoaderData} from 'react-router';
 import {getPaginationVariables} from '@shopify/hydrogen';
 import {PaginatedResourceSection} from '~/components/PaginatedResourceSection';
 import {ProductItem} from '~/components/ProductItem';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Products', path: '/collections/all'}],
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = () => {
-  return [{title: `Hydrogen | Products`}];
+export const meta = (args) => {
+  return getSeoMeta(args, {title: `Hydrogen | Products`});
 };
 
 /**
@@ -69,6 +78,9 @@ export default function Collection() {
             key={product.id}
             product={product}
             loading={index < 8 ? 'eager' : undefined}
+            listId="all"
+            listName="All Products"
+            index={index}
           />
         )}
       </PaginatedResourceSection>
@@ -128,6 +140,7 @@ const CATALOG_QUERY = `#graphql
   ${COLLECTION_ITEM_FRAGMENT}
 `;
 
-/** @typedef {import('./+types/collections.all').Route} Route */
+/** @typedef {import('./+types/($locale).collections.all').Route} Route */
 /** @typedef {import('storefrontapi.generated').CollectionItemFragment} CollectionItemFragment */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -47,5 +47,5 @@ export async function loader({request, context, params}) {
   });
 }
 
-/** @typedef {import('./+types/discount.$code').Route} Route */
+/** @typedef {import('./+types/($locale).discount.$code').Route} Route */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
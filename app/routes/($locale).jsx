@@ -0,0 +1,17 @@
+import {isLocaleParamValid} from '~/lib/i18n';
+
+/**
+ * Layout route for the optional `($locale)` path segment. Locale prefixes
+ * that aren't supported, or that weren't detected as the request's locale,
+ * are not found.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({params, context}) {
+  if (!isLocaleParamValid(params.locale, context.storefront.i18n)) {
+    throw new Response(null, {status: 404});
+  }
+
+  return null;
+}
+
+/** @typedef {import('./+types/($locale)').Route} Route */
@@ -1,11 +1,28 @@
 import {useLoaderData} from 'react-router';
 import {redirectIfHandleIsLocalized} from '~/lib/redirect';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: ({data}) =>
+    data?.page
+      ? [{name: data.page.title, path: `/pages/${data.page.handle}`}]
+      : [],
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.page.title ?? ''}`}];
+export const meta = (args) => {
+  const page = args.data?.page;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${page?.title ?? ''}`,
+    description: page?.seo?.description,
+    path: page ? `/pages/${page.handle}` : null,
+  });
 };
 
 /**
@@ -95,5 +112,6 @@ const PAGE_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/pages.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).pages.$handle').Route} Route */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,10 +1,29 @@
 import {Link, useLoaderData} from 'react-router';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: ({data}) => [
+    {name: 'Policies', path: '/policies'},
+    ...(data?.policy
+      ? [{name: data.policy.title, path: `/policies/${data.policy.handle}`}]
+      : []),
+  ],
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({data}) => {
-  return [{title: `Hydrogen | ${data?.policy.title ?? ''}`}];
+export const meta = (args) => {
+  const policy = args.data?.policy;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${policy?.title ?? ''}`,
+    path: policy ? `/policies/${policy.handle}` : null,
+  });
 };
 
 /**
@@ -42,13 +61,14 @@ export async function loader({params, context}) {
 export default function Policy() {
   /** @type {LoaderReturnData} */
   const {policy} = useLoaderData();
+  const localize = useLocalizePath();
 
   return (
     <div className="policy">
       <br />
       <br />
       <div>
-        <Link to="/policies">← Back to Policies</Link>
+        <Link to={localize('/policies')}>← Back to Policies</Link>
       </div>
       <br />
       <h1>{policy.title}</h1>
@@ -98,6 +118,7 @@ const POLICY_CONTENT_QUERY = `#graphql
  * >} SelectedPolicies
  */
 
-/** @typedef {import('./+types/policies.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).policies.$handle').Route} Route */
 /** @typedef {import('@shopify/hydrogen/storefront-api-types').Shop} Shop */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,4 +1,21 @@
 import {useLoaderData, Link} from 'react-router';
+import {useLocalizePath} from '~/hooks/useLocalizePath';
+import {getSeoMeta} from '~/lib/seo';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Policies', path: '/policies'}],
+};
+
+/**
+ * @type {Route.MetaFunction}
+ */
+export const meta = (args) => {
+  return getSeoMeta(args, {title: `Hydrogen | Policies`});
+};
 
 /**
  * @param {Route.LoaderArgs}
@@ -25,6 +42,7 @@ export async function loader({context}) {
 export default function Policies() {
   /** @type {LoaderReturnData} */
   const {policies} = useLoaderData();
+  const localize = useLocalizePath();
 
   return (
     <div className="policies">
@@ -32,7 +50,9 @@ export default function Policies() {
       <div>
         {policies.map((policy) => (
           <fieldset key={policy.id}>
-            <Link to={`/policies/${policy.handle}`}>{policy.title}</Link>
+            <Link to={localize(`/policies/${policy.handle}`)}>
+              {policy.title}
+            </Link>
           </fieldset>
         ))}
       </div>
@@ -70,7 +90,8 @@ const POLICIES_QUERY = `#graphql
   }
 `;
 
-/** @typedef {import('./+types/policies._index').Route} Route */
+/** @typedef {import('./+types/($locale).policies._index').Route} Route */
 /** @typedef {import('storefrontapi.generated').PoliciesQuery} PoliciesQuery */
 /** @typedef {import('storefrontapi.generated').PolicyItemFragment} PolicyItemFragment */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,4 +1,4 @@
-import { useLoaderData, useRouteLoaderData } from 'react-router';
+import { useLoaderData } from 'react-router';
 import { useEffect } from 'react';
 import {
   getSelectedProductOptions,
@@ -12,16 +12,46 @@ import { ProductPrice } from '~/components/ProductPrice';
 import { ProductImage } from '~/components/ProductImage';
 import { ProductForm } from '~/components/ProductForm';
 import { redirectIfHandleIsLocalized } from '~/lib/redirect';
-import { useScrollTracking } from '~/hooks/useScrollTracking';
-import { CUSTOMER_EMAIL_QUERY } from '~/graphql/customer-account/CustomerEmailQuery';
+import { track } from '~/lib/analytics';
+import { viewItem } from '~/lib/ga4';
+import { getSeoMeta } from '~/lib/seo';
+import { getProductJsonLd } from '~/lib/structuredData';
+import { useProductListContext } from '~/hooks/useProductListTracking';
+
+/**
+ * Page type reported with engagement events, and structured data rendered
+ * by `<StructuredData>`
+ * @type {StructuredDataHandle & {pageType: string}}
+ */
+export const handle = {
+  pageType: 'product',
+  breadcrumb: ({ data }) =>
+    data?.product
+      ? [
+          {
+            name: data.product.title,
+            path: `/products/${data.product.handle}`,
+          },
+        ]
+      : [],
+  structuredData: ({ data, getUrl }) =>
+    data?.product ? getProductJsonLd({ product: data.product, getUrl }) : null,
+};
 
 /**
  * @type {Route.MetaFunction}
  */
-export const meta = ({ data }) => [
-  { title: `Hydrogen | ${data?.product.title ?? ''}` },
-  { rel: 'canonical', href: `/products/${data?.product.handle}` },
-];
+export const meta = (args) => {
+  const product = args.data?.product;
+  return getSeoMeta(args, {
+    title: `Hydrogen | ${product?.title ?? ''}`,
+    description: product?.seo.description ?? product?.description,
+    // Variant query parameters are left out of the canonical URL
+    path: product ? `/products/${product.handle}` : null,
+    image: product?.selectedOrFirstAvailableVariant?.image,
+    type: 'product',
+  });
+};
 
 /**
  * @param {Route.LoaderArgs} args
@@ -50,44 +80,12 @@ async function loadCriticalData({ context, params, request }) {
   return { product };
 }
 
-async function loadDeferredData({ context }) {
-  const { customerAccount } = context;
-
-  const customer = await customerAccount
-    .isLoggedIn()
-    .then(async (isLoggedIn) => {
-      if (!isLoggedIn) return null;
-
-      try {
-        const { data } = await customerAccount.query(CUSTOMER_EMAIL_QUERY, {
-          variables: { language: customerAccount.i18n.language },
-        });
-        return {
-          isLoggedIn: true,
-          email: data?.customer?.emailAddress?.emailAddress ?? null,
-        };
-      } catch {
-        return null;
-      }
-    })
-    .catch(() => null);
-
-  return { customer };
+function loadDeferredData() {
+  return {};
 }
 
 export default function Product() {
-  const { product, customer } = useLoaderData();
-  const rootData = useRouteLoaderData('root');
-
-  // ✅ unified email for the page
-  const userEmail = customer?.email || rootData?.customerEmail || null;
-  const userType = userEmail ? 'logged_in' : 'visitor';
-
-  // ✅ scroll tracking always knows email + page type
-  useScrollTracking([25, 50, 75, 100], {
-    pageType: 'product',
-    userEmail,
-  });
+  const { product } = useLoaderData();
 
   const selectedVariant = useOptimisticVariant(
     product.selectedOrFirstAvailableVariant,
@@ -101,63 +99,22 @@ export default function Product() {
     selectedOrFirstAvailableVariant: selectedVariant,
   });
 
-  useEffect(() => {
-    if (typeof window === 'undefined') return;
-
-    const waitForGTM = () => {
-      return new Promise((resolve) => {
-        if (window.google_tag_manager && window.dataLayer) {
-          resolve(true);
-          return;
-        }
-        let attempts = 0;
-        const maxAttempts = 50;
-        const interval = setInterval(() => {
-          attempts++;
-          if (window.google_tag_manager && window.dataLayer) {
-            clearInterval(interval);
-            resolve(true);
-          } else if (attempts >= maxAttempts) {
-            clearInterval(interval);
-            resolve(false);
-          }
-        }, 100);
-      });
-    };
+  // The collection or search results the product was selected from, if any
+  const { listId, listName, index } = useProductListContext() ?? {};
 
-    waitForGTM().then((isReady) => {
-      if (!isReady) return;
-
-      // user info event for GTM/Klaviyo identify
-      window.dataLayer.push({
-        event: 'user_data_available',
-        user_type: userType,
-        user_email: userEmail || null,
-      });
-
-      // product page view details (now with variant + price)
-      window.dataLayer.push({
-        event: 'product_page_view',
-        page_type: 'product',
-
-        // product-level
-        product_id: product.id,
-        product_title: product.title,
-        product_handle: product.handle,
-        product_vendor: product.vendor,
-
-        // user-level
-        user_email: userEmail || null,
-        user_type: userType,
-
-        // variant + pricing
-        variant_id: selectedVariant?.id ?? null,
-        variant_title: selectedVariant?.title ?? '',
-        price: selectedVariant?.price?.amount ?? null,
-        currency: selectedVariant?.price?.currencyCode ?? null,
-      });
+  useEffect(() => {
+    // GA4 view_item with the selected variant + price
+    track('view_item', {
+      page_type: 'product',
+      ...viewItem({
+        product,
+        variant: selectedVariant,
+        listId,
+        listName,
+        index,
+      }),
     });
-  }, [product, userEmail, userType, selectedVariant]);
+  }, [product, selectedVariant, listId, listName, index]);
 
   return (
     <div className="product">
@@ -169,13 +126,11 @@ export default function Product() {
           compareAtPrice={selectedVariant?.compareAtPrice}
         />
         <br />
-        {/* ✅ pass product + user info into ProductForm so we can track Add To Cart */}
         <ProductForm
+          key={product.id}
           productOptions={productOptions}
           selectedVariant={selectedVariant}
-          product={product}
-          userEmail={userEmail}
-          userType={userType}
+          lineItemProperties={product.lineItemProperties?.value}
         />
         <br />
         <br />
@@ -183,7 +138,10 @@ export default function Product() {
           <strong>Description</strong>
         </p>
         <br />
-        <div dangerouslySetInnerHTML={{ __html: product.descriptionHtml }} />
+        <div
+          data-analytics-section="product_description"
+          dangerouslySetInnerHTML={{ __html: product.descriptionHtml }}
+        />
         <br />
       </div>
       <Analytics.ProductView
@@ -246,11 +204,18 @@ fragment Product on Product {
   id
   title
   vendor
+  productType
   handle
   descriptionHtml
   description
   encodedVariantExistence
   encodedVariantAvailability
+  lineItemProperties: metafield(
+    namespace: "custom"
+    key: "line_item_properties"
+  ) {
+    value
+  }
   options {
     name
     optionValues {
@@ -282,6 +247,23 @@ fragment Product on Product {
     description
     title
   }
+  # Price and availability of the variants, for structured data. Capped to
+  # keep the page query small for products with many variants
+  variants(first: 50) {
+    nodes {
+      title
+      sku
+      availableForSale
+      price {
+        amount
+        currencyCode
+      }
+      selectedOptions {
+        name
+        value
+      }
+    }
+  }
 }
 ${PRODUCT_VARIANT_FRAGMENT}
 `;
@@ -300,5 +282,6 @@ query Product(
 ${PRODUCT_FRAGMENT}
 `;
 
-/** @typedef {import('./+types/products.$handle').Route} Route */
+/** @typedef {import('./+types/($locale).products.$handle').Route} Route */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
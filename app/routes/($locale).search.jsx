@@ -1,8 +1,18 @@
-import {useLoaderData} from 'react-router';
+import {useEffect, useRef} from 'react';
+import {useLoaderData, useLocation} from 'react-router';
 import {getPaginationVariables, Analytics} from '@shopify/hydrogen';
 import {SearchForm} from '~/components/SearchForm';
 import {SearchResults} from '~/components/SearchResults';
 import {getEmptyPredictiveSearchResult} from '~/lib/search';
+import {SEARCH_SOURCES, trackSearch} from '~/lib/searchAnalytics';
+
+/**
+ * Breadcrumbs rendered by `<StructuredData>`
+ * @type {StructuredDataHandle}
+ */
+export const handle = {
+  breadcrumb: () => [{name: 'Search', path: '/search'}],
+};
 
 /**
  * @type {Route.MetaFunction}
@@ -35,12 +45,13 @@ export async function loader({request, context}) {
 export default function SearchPage() {
   /** @type {LoaderReturnData} */
   const {type, term, result, error} = useLoaderData();
+  useSearchTracking({type, term, result});
   if (type === 'predictive') return null;
 
   return (
     <div className="search">
       <h1>Search</h1>
-      <SearchForm>
+      <SearchForm state={{searchSource: SEARCH_SOURCES.SEARCH_PAGE}}>
         {({inputRef}) => (
           <>
             <input
@@ -74,6 +85,28 @@ export default function SearchPage() {
   );
 }
 
+/**
+ * Tracks each full search term once, so loading more results doesn't count
+ * as another search.
+ * @param {{
+ *   type: 'predictive' | 'regular';
+ *   term: string;
+ *   result: RegularSearchReturn['result'] | null | undefined;
+ * }}
+ */
+function useSearchTracking({type, term, result}) {
+  const {state} = useLocation();
+  const source = state?.searchSource ?? null;
+  const trackedTerm = useRef(null);
+
+  useEffect(() => {
+    if (type !== 'regular' || !term || trackedTerm.current === term) return;
+
+    trackedTerm.current = term;
+    trackSearch({term, result, source});
+  }, [type, term, result, source]);
+}
+
 /**
  * Regular search query and fragments
  * (adjust as needed)
@@ -415,9 +448,10 @@ async function predictiveSearch({request, context}) {
   return {type, term, result: {items, total}};
 }
 
-/** @typedef {import('./+types/search').Route} Route */
+/** @typedef {import('./+types/($locale).search').Route} Route */
 /** @typedef {import('~/lib/search').RegularSearchReturn} RegularSearchReturn */
 /** @typedef {import('~/lib/search').PredictiveSearchReturn} PredictiveSearchReturn */
 /** @typedef {import('storefrontapi.generated').RegularSearchQuery} RegularSearchQuery */
 /** @typedef {import('storefrontapi.generated').PredictiveSearchQuery} PredictiveSearchQuery */
+/** @typedef {import('~/lib/structuredData').StructuredDataHandle} StructuredDataHandle */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,24 @@
+import {DEFAULT_LOCALE, findLocale, isLocaleParamValid} from '~/lib/i18n';
+import {getSitemapResponse} from '~/lib/sitemap.server';
+
+/**
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, params, context: {storefront}}) {
+  // Resource routes skip the `($locale)` layout loader, so check it here
+  if (!isLocaleParamValid(params.locale, storefront.i18n)) {
+    throw new Response(null, {status: 404});
+  }
+
+  return getSitemapResponse({
+    storefront,
+    request,
+    type: params.type,
+    page: Number(params.page),
+    // Unprefixed sitemaps always list the default locale's URLs
+    locale: findLocale(params.locale) ?? DEFAULT_LOCALE,
+  });
+}
+
+/** @typedef {import('./+types/($locale).sitemap.$type.$page[.xml]').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
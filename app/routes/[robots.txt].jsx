@@ -1,4 +1,19 @@
 import {parseGid} from '@shopify/hydrogen';
+import {localizePath, SUPPORTED_LOCALES} from '~/lib/i18n';
+import {
+  isProductionHost,
+  parseRobotsConfig,
+  ROBOTS_METAFIELD,
+} from '~/lib/robots';
+
+/**
+ * Filtered collection URLs, e.g. `?filter.v.option.color=red`, multiply into
+ * near-duplicate pages.
+ */
+const FACETED_DISALLOW_RULES = [
+  'Disallow: /collections/*?*filter.*',
+  'Disallow: /*/collections/*?*filter.*',
+];
 
 /**
  * @param {Route.LoaderArgs}
@@ -6,11 +21,31 @@ import {parseGid} from '@shopify/hydrogen';
 export async function loader({request, context}) {
   const url = new URL(request.url);
 
-  const {shop} = await context.storefront.query(ROBOTS_QUERY);
+  // Staging and preview deployments must never be indexed
+  if (!isProductionHost(request, context.env)) {
+    return robotsTxtResponse('User-agent: *\nDisallow: /');
+  }
+
+  const {shop} = await context.storefront.query(ROBOTS_QUERY, {
+    variables: ROBOTS_METAFIELD,
+  });
 
   const shopId = parseGid(shop.id).id;
-  const body = robotsTxtData({url: url.origin, shopId});
+  const body = robotsTxtData({
+    sitemapUrls: SUPPORTED_LOCALES.map(
+      (locale) => url.origin + localizePath('/sitemap.xml', locale),
+    ),
+    shopId,
+    config: parseRobotsConfig(shop.robots?.value),
+  });
 
+  return robotsTxtResponse(body);
+}
+
+/**
+ * @param {string} body
+ */
+function robotsTxtResponse(body) {
   return new Response(body, {
     status: 200,
     headers: {
@@ -22,102 +57,159 @@ export async function loader({request, context}) {
 }
 
 /**
- * @param {{shopId?: string; url?: string}}
+ * @param {{
+ *   config: RobotsConfig;
+ *   shopId?: string;
+ *   sitemapUrls: string[];
+ * }}
  */
-function robotsTxtData({url, shopId}) {
-  const sitemapUrl = url ? `${url}/sitemap.xml` : undefined;
-
-  return `
-User-agent: *
-${generalDisallowRules({sitemapUrl, shopId})}
-
-# Google adsbot ignores robots.txt unless specifically named!
-User-agent: adsbot-google
-Disallow: /checkouts/
-Disallow: /checkout
-Disallow: /carts
-Disallow: /orders
-${shopId ? `Disallow: /${shopId}/checkouts` : ''}
-${shopId ? `Disallow: /${shopId}/orders` : ''}
-Disallow: /*?*oseid=*
-Disallow: /*preview_theme_id*
-Disallow: /*preview_script_id*
-
-User-agent: Nutch
-Disallow: /
-
-User-agent: AhrefsBot
-Crawl-delay: 10
-${generalDisallowRules({sitemapUrl, shopId})}
-
-User-agent: AhrefsSiteAudit
-Crawl-delay: 10
-${generalDisallowRules({sitemapUrl, shopId})}
-
-User-agent: MJ12bot
-Crawl-Delay: 10
-
-User-agent: Pinterest
-Crawl-delay: 1
-`.trim();
+function robotsTxtData({config, shopId, sitemapUrls}) {
+  const generalRules = [
+    ...generalDisallowRules({shopId}),
+    ...FACETED_DISALLOW_RULES,
+    ...config.disallow.map((path) => `Disallow: ${path}`),
+  ];
+
+  /** @type {RobotsGroup[]} */
+  const groups = [
+    {userAgent: '*', rules: generalRules},
+    {
+      comment: 'Google adsbot ignores robots.txt unless specifically named!',
+      userAgent: 'adsbot-google',
+      rules: [
+        'Disallow: /checkouts/',
+        'Disallow: /checkout',
+        'Disallow: /carts',
+        'Disallow: /orders',
+        ...(shopId
+          ? [`Disallow: /${shopId}/checkouts`, `Disallow: /${shopId}/orders`]
+          : []),
+        'Disallow: /*?*oseid=*',
+        'Disallow: /*preview_theme_id*',
+        'Disallow: /*preview_script_id*',
+      ],
+    },
+    {userAgent: 'Nutch', rules: ['Disallow: /']},
+    {userAgent: 'AhrefsBot', crawlDelay: 10, rules: generalRules},
+    {userAgent: 'AhrefsSiteAudit', crawlDelay: 10, rules: generalRules},
+    {userAgent: 'MJ12bot', crawlDelay: 10, rules: []},
+    {userAgent: 'Pinterest', crawlDelay: 1, rules: []},
+  ];
+
+  Object.entries(config.bots).forEach(([userAgent, override]) => {
+    let group = groups.find(
+      (existing) =>
+        existing.userAgent.toLowerCase() === userAgent.toLowerCase(),
+    );
+    if (!group) {
+      group = {userAgent, rules: generalRules};
+      groups.push(group);
+    }
+
+    if (override.allow || override.disallow) {
+      group.rules = [
+        ...(override.allow ?? []).map((path) => `Allow: ${path}`),
+        ...(override.disallow ?? []).map((path) => `Disallow: ${path}`),
+      ];
+    }
+    if (override.crawlDelay) group.crawlDelay = override.crawlDelay;
+  });
+
+  return [
+    ...groups.map(({comment, userAgent, crawlDelay, rules}) =>
+      [
+        ...(comment ? [`# ${comment}`] : []),
+        `User-agent: ${userAgent}`,
+        ...(crawlDelay ? [`Crawl-delay: ${crawlDelay}`] : []),
+        ...rules,
+      ].join('\n'),
+    ),
+    sitemapUrls.map((sitemapUrl) => `Sitemap: ${sitemapUrl}`).join('\n'),
+  ].join('\n\n');
 }
 
 /**
  * This function generates disallow rules that generally follow what Shopify's
  * Online Store has as defaults for their robots.txt
- * @param {{
- *   shopId?: string;
- *   sitemapUrl?: string;
- * }}
+ * @returns {string[]}
+ * @param {{shopId?: string}}
  */
-function generalDisallowRules({shopId, sitemapUrl}) {
-  return `Disallow: /admin
-Disallow: /cart
-Disallow: /orders
-Disallow: /checkouts/
-Disallow: /checkout
-${shopId ? `Disallow: /${shopId}/checkouts` : ''}
-${shopId ? `Disallow: /${shopId}/orders` : ''}
-Disallow: /carts
-Disallow: /account
-Disallow: /collections/*sort_by*
-Disallow: /*/collections/*sort_by*
-Disallow: /collections/*+*
-Disallow: /collections/*%2B*
-Disallow: /collections/*%2b*
-Disallow: /*/collections/*+*
-Disallow: /*/collections/*%2B*
-Disallow: /*/collections/*%2b*
-Disallow: */collections/*filter*&*filter*
-Disallow: /blogs/*+*
-Disallow: /blogs/*%2B*
-Disallow: /blogs/*%2b*
-Disallow: /*/blogs/*+*
-Disallow: /*/blogs/*%2B*
-Disallow: /*/blogs/*%2b*
-Disallow: /*?*oseid=*
-Disallow: /*preview_theme_id*
-Disallow: /*preview_script_id*
-Disallow: /policies/
-Disallow: /*/*?*ls=*&ls=*
-Disallow: /*/*?*ls%3D*%3Fls%3D*
-Disallow: /*/*?*ls%3d*%3fls%3d*
-Disallow: /search
-Allow: /search/
-Disallow: /search/?*
-Disallow: /apple-app-site-association
-Disallow: /.well-known/shopify/monorail
-${sitemapUrl ? `Sitemap: ${sitemapUrl}` : ''}`;
+function generalDisallowRules({shopId}) {
+  return [
+    'Disallow: /admin',
+    'Disallow: /orders',
+    'Disallow: /checkouts/',
+    'Disallow: /checkout',
+    ...(shopId
+      ? [`Disallow: /${shopId}/checkouts`, `Disallow: /${shopId}/orders`]
+      : []),
+    'Disallow: /carts',
+    'Disallow: /collections/*sort_by*',
+    'Disallow: /*/collections/*sort_by*',
+    'Disallow: /collections/*+*',
+    'Disallow: /collections/*%2B*',
+    'Disallow: /collections/*%2b*',
+    'Disallow: /*/collections/*+*',
+    'Disallow: /*/collections/*%2B*',
+    'Disallow: /*/collections/*%2b*',
+    'Disallow: */collections/*filter*&*filter*',
+    'Disallow: /blogs/*+*',
+    'Disallow: /blogs/*%2B*',
+    'Disallow: /blogs/*%2b*',
+    'Disallow: /*/blogs/*+*',
+    'Disallow: /*/blogs/*%2B*',
+    'Disallow: /*/blogs/*%2b*',
+    'Disallow: /*?*oseid=*',
+    'Disallow: /*preview_theme_id*',
+    'Disallow: /*preview_script_id*',
+    'Disallow: /*/*?*ls=*&ls=*',
+    'Disallow: /*/*?*ls%3D*%3Fls%3D*',
+    'Disallow: /*/*?*ls%3d*%3fls%3d*',
+    ...localizedDisallowRules(),
+    'Disallow: /apple-app-site-association',
+    'Disallow: /.well-known/shopify/monorail',
+  ];
+}
+
+/**
+ * The cart, account and search pages of every supported locale, e.g.
+ * `/fr-ca/cart`, since storefront routes are served under each path prefix.
+ * @returns {string[]}
+ */
+function localizedDisallowRules() {
+  return SUPPORTED_LOCALES.flatMap((locale) => [
+    `Disallow: ${localizePath('/cart', locale)}`,
+    `Disallow: ${localizePath('/account', locale)}`,
+    `Disallow: ${localizePath('/search', locale)}`,
+    `Allow: ${localizePath('/search/', locale)}`,
+    `Disallow: ${localizePath('/search/?*', locale)}`,
+  ]);
 }
 
 const ROBOTS_QUERY = `#graphql
-  query StoreRobots($country: CountryCode, $language: LanguageCode)
-   @inContext(country: $country, language: $language) {
+  query StoreRobots(
+    $country: CountryCode
+    $key: String!
+    $language: LanguageCode
+    $namespace: String!
+  ) @inContext(country: $country, language: $language) {
     shop {
       id
+      robots: metafield(namespace: $namespace, key: $key) {
+        value
+      }
     }
   }
 `;
 
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string} userAgent
+ * @property {string[]} rules `Allow` and `Disallow` lines
+ * @property {number} [crawlDelay]
+ * @property {string} [comment]
+ */
+
 /** @typedef {import('./+types/[robots.txt]').Route} Route */
+/** @typedef {import('~/lib/robots').RobotsConfig} RobotsConfig */
 /** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,18 +0,0 @@
-import {getSitemapIndex} from '@shopify/hydrogen';
-
-/**
- * @param {Route.LoaderArgs}
- */
-export async function loader({request, context: {storefront}}) {
-  const response = await getSitemapIndex({
-    storefront,
-    request,
-  });
-
-  response.headers.set('Cache-Control', `max-age=${60 * 60 * 24}`);
-
-  return response;
-}
-
-/** @typedef {import('./+types/[sitemap.xml]').Route} Route */
-/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -1,8 +1,19 @@
+import {mergeGuestSavedForLater} from '~/lib/savedForLater.server';
+
 /**
+ * Completes the login, then moves the items saved for later as a guest to
+ * the customer's list. Logging in succeeds even when they can't be moved;
+ * they stay in the session until the next login.
  * @param {Route.LoaderArgs}
  */
 export async function loader({context}) {
-  return context.customerAccount.authorize();
+  const response = await context.customerAccount.authorize();
+
+  await mergeGuestSavedForLater(context).catch((error) => {
+    context.logger.error('Failed to merge saved for later', {error});
+  });
+
+  return response;
 }
 
 /** @typedef {import('./+types/account_.authorize').Route} Route */
@@ -1,17 +1,18 @@
+import {proxyStorefrontRequest} from '~/lib/storefrontProxy.server';
+
 /**
+ * Proxies Storefront API queries of third-party widgets to the checkout
+ * domain, with the API version, headers, body size, rate and queries
+ * restricted by `proxyStorefrontRequest`.
  * @param {Route.ActionArgs}
  */
 export async function action({params, context, request}) {
-  const response = await fetch(
-    `https://${context.env.PUBLIC_CHECKOUT_DOMAIN}/api/${params.version}/graphql.json`,
-    {
-      method: 'POST',
-      body: request.body,
-      headers: request.headers,
-    },
-  );
-
-  return new Response(response.body, {headers: new Headers(response.headers)});
+  return proxyStorefrontRequest({
+    request,
+    version: params.version,
+    env: context.env,
+    storefront: context.storefront,
+  });
 }
 
 /** @typedef {import('./+types/api.$version.[graphql.json]').Route} Route */
@@ -0,0 +1,142 @@
+import {findLocale} from '~/lib/i18n';
+
+/** Products of the cart whose recommendations are shown. */
+const MAX_SOURCE_PRODUCTS = 5;
+
+/** Recommendations shown in the cart. */
+const MAX_RECOMMENDATIONS = 8;
+
+/**
+ * Products that complement those in the cart, shown by
+ * `<CartRecommendations>`. The cart fetches them once it is open, so they
+ * never delay it. Each `productId` search parameter is a product of the
+ * cart: recommendations come from the first few and exclude them all. The
+ * `locale` search parameter, e.g. `fr-ca`, sets the market of the prices,
+ * which defaults to the detected locale. Responses without a `locale` are
+ * private, as the detected locale varies by visitor.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const {storefront} = context;
+  const {searchParams} = new URL(request.url);
+  const requestedLocale = findLocale(searchParams.get('locale'));
+  const locale = requestedLocale ?? storefront.i18n;
+  const productIds = [...new Set(searchParams.getAll('productId'))];
+
+  const results = await Promise.all(
+    productIds.slice(0, MAX_SOURCE_PRODUCTS).map((productId) =>
+      storefront
+        .query(CART_RECOMMENDATIONS_QUERY, {
+          cache: storefront.CacheLong(),
+          variables: {
+            productId,
+            country: locale.country,
+            language: locale.language,
+          },
+        })
+        // The other products still have recommendations
+        .catch((error) => {
+          context.logger.error('Failed to load cart recommendations', {
+            error,
+          });
+          return null;
+        }),
+    ),
+  );
+
+  /** @type {Map<string, CartRecommendationFragment>} */
+  const products = new Map();
+  results.forEach((result) => {
+    (result?.productRecommendations ?? []).forEach((product) => {
+      if (
+        !productIds.includes(product.id) &&
+        product.selectedOrFirstAvailableVariant?.availableForSale &&
+        !products.has(product.id)
+      ) {
+        products.set(product.id, product);
+      }
+    });
+  });
+
+  const cacheScope = requestedLocale ? 'public' : 'private';
+  return Response.json(
+    {products: Array.from(products.values()).slice(0, MAX_RECOMMENDATIONS)},
+    {headers: {'Cache-Control': `${cacheScope}, max-age=${60 * 60}`}},
+  );
+}
+
+// The variant has the fields of cart lines, to add it to the optimistic cart
+const CART_RECOMMENDATIONS_QUERY = `#graphql
+  fragment CartRecommendation on Product {
+    id
+    title
+    handle
+    variantsCount {
+      count
+    }
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+    lineItemProperties: metafield(
+      namespace: "custom"
+      key: "line_item_properties"
+    ) {
+      value
+    }
+    selectedOrFirstAvailableVariant {
+      id
+      availableForSale
+      compareAtPrice {
+        amount
+        currencyCode
+      }
+      price {
+        amount
+        currencyCode
+      }
+      requiresShipping
+      title
+      image {
+        id
+        url
+        altText
+        width
+        height
+      }
+      product {
+        handle
+        title
+        id
+        vendor
+        productType
+      }
+      selectedOptions {
+        name
+        value
+      }
+    }
+  }
+  query CartRecommendations(
+    $productId: ID!
+    $country: CountryCode
+    $language: LanguageCode
+  ) @inContext(country: $country, language: $language) {
+    productRecommendations(productId: $productId, intent: COMPLEMENTARY) {
+      ...CartRecommendation
+    }
+  }
+`;
+
+/** @typedef {import('./+types/api.cart-recommendations').Route} Route */
+/** @typedef {import('storefrontapi.generated').CartRecommendationFragment} CartRecommendationFragment */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,31 @@
+import {captureError, readErrorReport} from '~/lib/errors.server';
+
+/**
+ * Receives errors that happened in the browser, so they are logged with the
+ * server's errors. Reports are sent by `reportError`.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  const {report, errors, status} = await readErrorReport(request);
+
+  if (errors) {
+    return Response.json({errors}, {status});
+  }
+
+  const {name, message, stack, ...reportContext} = report;
+  const error = Object.assign(new Error(message), {name, stack});
+  captureError(error, {
+    logger: context.logger,
+    source: 'client',
+    ...reportContext,
+  });
+
+  return new Response(null, {status: 202});
+}
+
+/** @typedef {import('./+types/api.errors').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
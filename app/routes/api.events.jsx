@@ -0,0 +1,49 @@
+import {getStorefrontHeaders} from '@shopify/hydrogen/oxygen';
+import {
+  isSameOriginRequest,
+  RATE_LIMIT,
+  readEventBatch,
+} from '~/lib/events.server';
+import {createRateLimiter} from '~/lib/rateLimit.server';
+
+const rateLimiter = createRateLimiter();
+
+/**
+ * Receives batched analytics events from the client's beacon sink, so events
+ * still reach their destinations when client-side tags are blocked. Only
+ * pages of the storefront may send events, at most `RATE_LIMIT` batches per
+ * minute and IP address. Forwarding happens after the response is sent.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  if (!isSameOriginRequest(request)) {
+    return Response.json({errors: ['Cross-origin request']}, {status: 403});
+  }
+
+  // Oxygen always sets the buyer IP; it's only missing in local development
+  const ip = getStorefrontHeaders(request).buyerIp;
+  const retryAfter = ip ? rateLimiter.consume(ip, RATE_LIMIT) : 0;
+  if (retryAfter) {
+    return Response.json(
+      {errors: ['Too many requests']},
+      {status: 429, headers: {'Retry-After': String(retryAfter)}},
+    );
+  }
+
+  const {events, errors, status} = await readEventBatch(request);
+
+  if (errors) {
+    return Response.json({errors}, {status});
+  }
+
+  context.events.forward(events, {request, context});
+
+  return new Response(null, {status: 202});
+}
+
+/** @typedef {import('./+types/api.events').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof action>} ActionReturnData */
@@ -0,0 +1,23 @@
+import {getCustomerEmail} from '~/lib/identity.server';
+
+/**
+ * Releases the logged-in customer's raw email to the analytics event bus.
+ * The bus only requests it once the visitor has granted marketing consent,
+ * and only forwards it to marketing sinks. Consent is checked again here, so
+ * the email is `null` for any other request.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const email = await getCustomerEmail({
+    request,
+    customerAccount: context.customerAccount,
+  });
+
+  return Response.json(
+    {email},
+    {headers: {'Cache-Control': 'private, no-store'}},
+  );
+}
+
+/** @typedef {import('./+types/api.identity').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,60 @@
+import {findLocale} from '~/lib/i18n';
+
+/**
+ * Best-selling products, shown on the 404 page. Error pages don't have
+ * loader data of their own, so the page fetches them once it has rendered.
+ * The `locale` search parameter, e.g. `fr-ca`, sets the market of the
+ * prices, which defaults to the detected locale. Responses without a
+ * `locale` are private, as the detected locale varies by visitor.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const {storefront} = context;
+  const requestedLocale = findLocale(
+    new URL(request.url).searchParams.get('locale'),
+  );
+  const locale = requestedLocale ?? storefront.i18n;
+  const cacheScope = requestedLocale ? 'public' : 'private';
+
+  const {products} = await storefront.query(POPULAR_PRODUCTS_QUERY, {
+    cache: storefront.CacheLong(),
+    variables: {country: locale.country, language: locale.language},
+  });
+
+  return Response.json(
+    {products: products.nodes},
+    {headers: {'Cache-Control': `${cacheScope}, max-age=${60 * 60}`}},
+  );
+}
+
+const POPULAR_PRODUCTS_QUERY = `#graphql
+  fragment PopularProduct on Product {
+    id
+    title
+    handle
+    priceRange {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredImage {
+      id
+      url
+      altText
+      width
+      height
+    }
+  }
+  query PopularProducts($country: CountryCode, $language: LanguageCode)
+    @inContext(country: $country, language: $language) {
+    products(first: 4, sortKey: BEST_SELLING) {
+      nodes {
+        ...PopularProduct
+      }
+    }
+  }
+`;
+
+/** @typedef {import('./+types/api.popular-products').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
@@ -0,0 +1,66 @@
+import {findLocale} from '~/lib/i18n';
+import {
+  getSavedForLater,
+  getSavedItemVariants,
+  updateSavedForLater,
+} from '~/lib/savedForLater.server';
+
+/**
+ * The visitor's saved-for-later list, shown by `<SavedForLater>`, with the
+ * current price and availability of each item. Items are saved and moved
+ * back to the cart by the cart actions of `SAVED_FOR_LATER_ACTIONS`. The
+ * `locale` search parameter, e.g. `fr-ca`, sets the market of the prices,
+ * which defaults to the detected locale.
+ * @param {Route.LoaderArgs}
+ */
+export async function loader({request, context}) {
+  const {storefront} = context;
+  const {searchParams} = new URL(request.url);
+  const locale = findLocale(searchParams.get('locale')) ?? storefront.i18n;
+
+  // The cart still renders when the list can't be loaded
+  const items = await getSavedForLater(context).catch((error) => {
+    context.logger.error('Failed to load saved for later', {error});
+    return [];
+  });
+
+  return Response.json(
+    {items: await getSavedItemVariants(storefront, items, locale)},
+    {headers: {'Cache-Control': 'private, no-store'}},
+  );
+}
+
+/**
+ * Removes the item of the `itemId` form field from the list.
+ * @param {Route.ActionArgs}
+ */
+export async function action({request, context}) {
+  if (request.method !== 'POST') {
+    return new Response(null, {status: 405, headers: {Allow: 'POST'}});
+  }
+
+  const formData = await request.formData();
+  const itemId = formData.get('itemId');
+
+  if (typeof itemId !== 'string' || !itemId) {
+    return Response.json({errors: ['Missing item']}, {status: 400});
+  }
+
+  const saved = await updateSavedForLater(context, (items) =>
+    items.filter((item) => item.id !== itemId),
+  ).catch((error) => {
+    context.logger.error('Failed to remove from saved for later', {error});
+    return null;
+  });
+  if (!saved) {
+    return Response.json(
+      {errors: ["This item couldn't be removed. Please try again."]},
+      {status: 502},
+    );
+  }
+
+  return new Response(null, {status: 204});
+}
+
+/** @typedef {import('./+types/api.saved-for-later').Route} Route */
+/** @typedef {import('@shopify/remix-oxygen').SerializeFrom<typeof loader>} LoaderReturnData */
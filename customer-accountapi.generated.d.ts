@@ -180,13 +180,30 @@ export type CustomerEmailQueryVariables = CustomerAccountAPI.Exact<{
 }>;
 
 export type CustomerEmailQuery = {
-  customer: {
+  customer: Pick<CustomerAccountAPI.Customer, 'id'> & {
     emailAddress?: CustomerAccountAPI.Maybe<
       Pick<CustomerAccountAPI.CustomerEmailAddress, 'emailAddress'>
     >;
   };
 };
 
+export type CustomerMetafieldsSetMutationVariables = CustomerAccountAPI.Exact<{
+  metafields:
+    | Array<CustomerAccountAPI.MetafieldsSetInput>
+    | CustomerAccountAPI.MetafieldsSetInput;
+}>;
+
+export type CustomerMetafieldsSetMutation = {
+  metafieldsSet?: CustomerAccountAPI.Maybe<{
+    userErrors: Array<
+      Pick<
+        CustomerAccountAPI.MetafieldsSetUserError,
+        'code' | 'field' | 'message'
+      >
+    >;
+  }>;
+};
+
 export type OrderMoneyFragment = Pick<
   CustomerAccountAPI.MoneyV2,
   'amount' | 'currencyCode'
@@ -489,6 +506,20 @@ export type CustomerOrdersQuery = {
   };
 };
 
+export type CustomerSavedForLaterQueryVariables = CustomerAccountAPI.Exact<{
+  namespace: CustomerAccountAPI.Scalars['String']['input'];
+  key: CustomerAccountAPI.Scalars['String']['input'];
+  language?: CustomerAccountAPI.InputMaybe<CustomerAccountAPI.LanguageCode>;
+}>;
+
+export type CustomerSavedForLaterQuery = {
+  customer: Pick<CustomerAccountAPI.Customer, 'id'> & {
+    savedForLater?: CustomerAccountAPI.Maybe<
+      Pick<CustomerAccountAPI.Metafield, 'value'>
+    >;
+  };
+};
+
 export type CustomerUpdateMutationVariables = CustomerAccountAPI.Exact<{
   customer: CustomerAccountAPI.CustomerUpdateInput;
   language?: CustomerAccountAPI.InputMaybe<CustomerAccountAPI.LanguageCode>;
@@ -520,7 +551,7 @@ interface GeneratedQueryTypes {
     return: CustomerDetailsQuery;
     variables: CustomerDetailsQueryVariables;
   };
-  '#graphql\n  query CustomerEmail($language: LanguageCode) @inContext(language: $language) {\n    customer {\n      emailAddress {\n        emailAddress\n      }\n    }\n  }\n': {
+  '#graphql\n  query CustomerEmail($language: LanguageCode) @inContext(language: $language) {\n    customer {\n      id\n      emailAddress {\n        emailAddress\n      }\n    }\n  }\n': {
     return: CustomerEmailQuery;
     variables: CustomerEmailQueryVariables;
   };
@@ -532,6 +563,10 @@ interface GeneratedQueryTypes {
     return: CustomerOrdersQuery;
     variables: CustomerOrdersQueryVariables;
   };
+  '#graphql\n  query CustomerSavedForLater(\n    $namespace: String!\n    $key: String!\n    $language: LanguageCode\n  ) @inContext(language: $language) {\n    customer {\n      id\n      savedForLater: metafield(namespace: $namespace, key: $key) {\n        value\n      }\n    }\n  }\n': {
+    return: CustomerSavedForLaterQuery;
+    variables: CustomerSavedForLaterQueryVariables;
+  };
 }
 
 interface GeneratedMutationTypes {
@@ -547,6 +582,10 @@ interface GeneratedMutationTypes {
     return: CustomerAddressCreateMutation;
     variables: CustomerAddressCreateMutationVariables;
   };
+  '#graphql\n  mutation customerMetafieldsSet($metafields: [MetafieldsSetInput!]!) {\n    metafieldsSet(metafields: $metafields) {\n      userErrors {\n        code\n        field\n        message\n      }\n    }\n  }\n': {
+    return: CustomerMetafieldsSetMutation;
+    variables: CustomerMetafieldsSetMutationVariables;
+  };
   '#graphql\n  mutation customerUpdate(\n    $customer: CustomerUpdateInput!\n    $language: LanguageCode\n  ) @inContext(language: $language) {\n    customerUpdate(input: $customer) {\n      customer {\n        firstName\n        lastName\n        emailAddress {\n          emailAddress\n        }\n        phoneNumber {\n          phoneNumber\n        }\n      }\n      userErrors {\n        code\n        field\n        message\n      }\n    }\n  }\n': {
     return: CustomerUpdateMutation;
     variables: CustomerUpdateMutationVariables;
@@ -236,6 +236,10 @@ export default [
         ...globals.jest,
       },
     },
+    settings: {
+      // Tests run with Vitest, whose API matches Jest's
+      jest: {version: 29},
+    },
   },
   {
     files: ['**/*.server.*'],
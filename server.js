@@ -2,6 +2,9 @@
 import {storefrontRedirect} from '@shopify/hydrogen';
 import {createRequestHandler} from '@shopify/hydrogen/oxygen';
 import {createHydrogenRouterContext} from '~/lib/context';
+import {DEFAULT_LOCALE, getLocaleCode, getLocaleRedirect} from '~/lib/i18n';
+import {getRedirectResponse} from '~/lib/redirects.server';
+import {createRequestLogger, REQUEST_ID_HEADER} from '~/lib/logger.server';
 
 /**
  * Export a fetch handler in module format.
@@ -14,20 +17,62 @@ export default {
    * @return {Promise<Response>}
    */
   async fetch(request, env, executionContext) {
+    const logger = createRequestLogger({
+      request,
+      env,
+      waitUntil: executionContext.waitUntil.bind(executionContext),
+    });
+    /** @type {ServerBuild | undefined} */
+    let build;
+    /** @type {Response} */
+    let response;
+
     try {
+      response = await handleFetch();
+    } catch (error) {
+      logger.error('Unhandled error', {error});
+      response = new Response('An unexpected error occurred', {status: 500});
+    }
+
+    response.headers.set(REQUEST_ID_HEADER, logger.requestId);
+    logger.end({request, response, routes: build?.routes});
+    return response;
+
+    async function handleFetch() {
       const hydrogenContext = await createHydrogenRouterContext(
         request,
         env,
         executionContext,
+        logger,
+      );
+
+      /**
+       * Answer legacy URLs with the merchant's redirect rules before
+       * rendering anything. Unmatched 404s still fall back to
+       * `storefrontRedirect` below.
+       */
+      const redirectResponse = await getRedirectResponse({
+        request,
+        storefront: hydrogenContext.storefront,
+        withCache: hydrogenContext.withCache,
+      });
+      if (redirectResponse) return redirectResponse;
+
+      const localeRedirect = getLocaleRedirect(
+        request,
+        hydrogenContext.storefront.i18n,
       );
+      if (localeRedirect) return localeRedirect;
+
+      // eslint-disable-next-line import/no-unresolved
+      build = await import('virtual:react-router/server-build');
 
       /**
        * Create a Remix request handler and pass
        * Hydrogen's Storefront client to the loader context.
        */
       const handleRequest = createRequestHandler({
-        // eslint-disable-next-line import/no-unresolved
-        build: await import('virtual:react-router/server-build'),
+        build,
         mode: process.env.NODE_ENV,
         getLoadContext: () => hydrogenContext,
       });
@@ -41,6 +86,19 @@ export default {
         );
       }
 
+      const {i18n} = hydrogenContext.storefront;
+      if (
+        i18n.source !== 'path' &&
+        response.headers.get('Content-Type')?.startsWith('text/html')
+      ) {
+        // Unprefixed pages redirect some `Accept-Language` headers
+        response.headers.append('Vary', 'Accept-Language');
+        // Markets chosen without a path prefix of their own are per visitor
+        if (getLocaleCode(i18n) !== getLocaleCode(DEFAULT_LOCALE)) {
+          response.headers.set('Cache-Control', 'private, no-store');
+        }
+      }
+
       if (response.status === 404) {
         /**
          * Check for redirects only when there's a 404 from the app.
@@ -55,9 +113,8 @@ export default {
       }
 
       return response;
-    } catch (error) {
-      console.error(error);
-      return new Response('An unexpected error occurred', {status: 500});
     }
   },
 };
+
+/** @typedef {import('react-router').ServerBuild} ServerBuild */